@@ -0,0 +1,343 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requirePermission } = require('./middleware/middleware');
+const { listSubjects, matchSubject } = require('./subjects');
+const { regradeMarks } = require('./grading');
+const { isValidDate, isValidTime } = require('./dates');
+const { appliesTo } = require('./schoolCalendar');
+const { getRepository } = require('./storage/storage');
+const { nextId } = require('./storage/sequences');
+
+const yearsRepo = getRepository('academicYears');
+const termsRepo = getRepository('terms');
+const examsRepo = getRepository('exams');
+const marksRepo = getRepository('marks');
+const holidaysRepo = getRepository('holidays');
+const examPeriodsRepo = getRepository('examPeriods');
+const eventsRepo = getRepository('calendarEvents');
+
+// The school calendar, served under /calendar (and /academics, its earlier name):
+//   academic years { id, name, startDate, endDate }
+//   terms          { id, yearId, name, startDate, endDate }, inside their year and not overlapping each other
+//   exams          { id, termId, name, type, maxMarks, weight, subjects, date }
+//   holidays       { id, name, startDate, endDate, sections }, days without lessons
+//   exam periods   { id, termId, name, startDate, endDate, sections }, inside their term
+//   events         { id, name, startDate, endDate, startTime, endTime, description, sections }
+// Holidays, exam periods and events concern the listed sections, or the whole school when `sections` is empty.
+// An exam with an empty `subjects` list is held in every subject. Within a term, a subject's score is the
+// average of its exam percentages weighted by `weight`, so weights are relative and need not add up to 100.
+const EXAM_TYPES = ['midterm', 'final', 'quiz', 'assignment'];
+
+const checkName = (name, max) =>
+  (typeof name === 'string' && name.trim() && name.trim().length <= max ? null : `name must be 1 to ${max} characters`);
+
+// Checks startDate/endDate, which must lie within `outer` ({ startDate, endDate }) when given
+const checkDates = ({ startDate, endDate }, outer, outerLabel) => {
+  if (!isValidDate(startDate) || !isValidDate(endDate)) {
+    return 'startDate and endDate must be dates in YYYY-MM-DD format';
+  }
+  if (startDate > endDate) {
+    return 'startDate must not be after endDate';
+  }
+  if (outer && (startDate < outer.startDate || endDate > outer.endDate)) {
+    return `The dates must fall within the ${outerLabel} (${outer.startDate} to ${outer.endDate})`;
+  }
+  return null;
+};
+
+// Resolves `sections` (default: none, meaning the whole school) to a list of distinct names, or null when invalid
+const parseSections = (sections = []) => {
+  if (!Array.isArray(sections) || !sections.every(s => typeof s === 'string' && s.trim())) {
+    return null;
+  }
+  return [...new Set(sections.map(s => s.trim()))];
+};
+
+const SECTIONS_MESSAGE = 'sections must be a list of section names';
+
+// Filters holidays, exam periods and events on ?from=&to=&section=
+const datedFilter = ({ from, to, section }) => entry => (!from || entry.endDate >= from) && (!to || entry.startDate <= to) &&
+  (!section || appliesTo(entry, [section]));
+
+const overlaps = (a, b) => a.startDate <= b.endDate && b.startDate <= a.endDate;
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Each resource checks a merged record against its siblings and resolves to { record } or { message }.
+// `inUse` names what still refers to a record, which blocks deleting it, and `afterUpdate` runs after a change.
+const RESOURCES = {
+  years: {
+    label: 'Academic year',
+    repo: yearsRepo,
+    collection: 'academicYears',
+    filter: () => () => true,
+    validate: async (record, years) => {
+      const message = checkName(record.name, 50) || checkDates(record);
+      if (message) {
+        return { message };
+      }
+      if (years.some(y => sameName(y.name, record.name))) {
+        return { message: `Academic year ${record.name.trim()} already exists` };
+      }
+      const clash = years.find(y => overlaps(y, record));
+      if (clash) {
+        return { message: `The dates overlap academic year ${clash.name}` };
+      }
+      const terms = record.id ? await termsRepo.find(t => t.yearId === record.id) : [];
+      const outside = terms.find(t => t.startDate < record.startDate || t.endDate > record.endDate);
+      if (outside) {
+        return { message: `Term ${outside.name} would fall outside the academic year` };
+      }
+      const { name, startDate, endDate } = record;
+      return { record: { name: name.trim(), startDate, endDate } };
+    },
+    inUse: async year => (await termsRepo.findOne(t => t.yearId === year.id)) && 'it still has terms',
+  },
+  terms: {
+    label: 'Term',
+    repo: termsRepo,
+    collection: 'terms',
+    filter: ({ yearId }) => t => !yearId || t.yearId === parseInt(yearId),
+    validate: async (record, terms) => {
+      const year = await yearsRepo.findOne(y => y.id === record.yearId);
+      if (!year) {
+        return { message: 'yearId must be an existing academic year' };
+      }
+      const message = checkName(record.name, 50) || checkDates(record, year, 'academic year');
+      if (message) {
+        return { message };
+      }
+      const siblings = terms.filter(t => t.yearId === year.id);
+      if (siblings.some(t => sameName(t.name, record.name))) {
+        return { message: `Term ${record.name.trim()} already exists in ${year.name}` };
+      }
+      const clash = siblings.find(t => overlaps(t, record));
+      if (clash) {
+        return { message: `The dates overlap term ${clash.name}` };
+      }
+      const exams = record.id ? await examsRepo.find(e => e.termId === record.id && e.date) : [];
+      const outside = exams.find(e => e.date < record.startDate || e.date > record.endDate);
+      if (outside) {
+        return { message: `Exam ${outside.name} would fall outside the term` };
+      }
+      const { yearId, name, startDate, endDate } = record;
+      return { record: { yearId, name: name.trim(), startDate, endDate } };
+    },
+    inUse: async (term) => {
+      if (await examsRepo.findOne(e => e.termId === term.id)) {
+        return 'it still has exams';
+      }
+      if (await examPeriodsRepo.findOne(p => p.termId === term.id)) {
+        return 'it still has exam periods';
+      }
+      return (await marksRepo.findOne(m => m.termId === term.id)) && 'marks were recorded in it';
+    },
+  },
+  exams: {
+    label: 'Exam',
+    repo: examsRepo,
+    collection: 'exams',
+    filter: ({ termId, subject }) => e => (!termId || e.termId === parseInt(termId)) &&
+      (!subject || !e.subjects.length || e.subjects.includes(subject)),
+    validate: async (record, exams) => {
+      const term = await termsRepo.findOne(t => t.id === record.termId);
+      if (!term) {
+        return { message: 'termId must be an existing term' };
+      }
+      const { type, maxMarks, weight, subjects = [], date = null } = record;
+      const message = checkName(record.name, 100) ||
+        (!EXAM_TYPES.includes(type) && `type must be one of: ${EXAM_TYPES.join(', ')}`) ||
+        ((typeof maxMarks !== 'number' || !(maxMarks > 0 && maxMarks <= 1000)) && 'maxMarks must be a number between 1 and 1000') ||
+        ((typeof weight !== 'number' || !(weight > 0 && weight <= 100)) && 'weight must be a number above 0 and at most 100') ||
+        (date !== null && !(isValidDate(date) && date >= term.startDate && date <= term.endDate) &&
+          `date must be a YYYY-MM-DD date within the term (${term.startDate} to ${term.endDate})`) ||
+        (!Array.isArray(subjects) && 'subjects must be a list of subject names');
+      if (message) {
+        return { message };
+      }
+      if (exams.some(e => e.termId === term.id && sameName(e.name, record.name))) {
+        return { message: `Exam ${record.name.trim()} already exists in ${term.name}` };
+      }
+      const catalogue = await listSubjects();
+      const names = [];
+      for (const subject of subjects) {
+        const entry = matchSubject(catalogue, subject);
+        if (!entry) {
+          return { message: `Unknown subject: ${subject}` };
+        }
+        names.push(entry.name);
+      }
+      const aboveMax = record.id && await marksRepo.findOne(m => m.examId === record.id && m.marks > maxMarks);
+      if (aboveMax) {
+        return { message: `Some marks for this exam are above ${maxMarks}` };
+      }
+      return {
+        record: { termId: term.id, name: record.name.trim(), type, maxMarks, weight, subjects: [...new Set(names)], date },
+      };
+    },
+    inUse: async exam => (await marksRepo.findOne(m => m.examId === exam.id)) && 'marks were recorded for it',
+    // A new maxMarks changes the percentages the exam's marks are graded on
+    afterUpdate: regradeMarks,
+  },
+  holidays: {
+    label: 'Holiday',
+    repo: holidaysRepo,
+    collection: 'holidays',
+    filter: datedFilter,
+    validate: async (record) => {
+      const sections = parseSections(record.sections);
+      const message = checkName(record.name, 100) || checkDates(record) || (!sections && SECTIONS_MESSAGE);
+      if (message) {
+        return { message };
+      }
+      const { name, startDate, endDate } = record;
+      return { record: { name: name.trim(), startDate, endDate, sections } };
+    },
+    inUse: async () => null,
+  },
+  'exam-periods': {
+    label: 'Exam period',
+    repo: examPeriodsRepo,
+    collection: 'examPeriods',
+    filter: query => p => (!query.termId || p.termId === parseInt(query.termId)) && datedFilter(query)(p),
+    validate: async (record) => {
+      const term = await termsRepo.findOne(t => t.id === record.termId);
+      if (!term) {
+        return { message: 'termId must be an existing term' };
+      }
+      const sections = parseSections(record.sections);
+      const message = checkName(record.name, 100) || checkDates(record, term, 'term') || (!sections && SECTIONS_MESSAGE);
+      if (message) {
+        return { message };
+      }
+      const { name, startDate, endDate } = record;
+      return { record: { termId: term.id, name: name.trim(), startDate, endDate, sections } };
+    },
+    inUse: async () => null,
+  },
+  events: {
+    label: 'Event',
+    repo: eventsRepo,
+    collection: 'calendarEvents',
+    filter: datedFilter,
+    validate: async (record) => {
+      const { startTime = null, endTime = null, description = null } = record;
+      const sections = parseSections(record.sections);
+      const message = checkName(record.name, 100) || checkDates(record) ||
+        ((startTime !== null || endTime !== null) && !(isValidTime(startTime) && isValidTime(endTime) && startTime < endTime) &&
+          'startTime and endTime must be HH:MM times with startTime first, or both left out') ||
+        (description !== null && (typeof description !== 'string' || description.length > 500) &&
+          'description must be at most 500 characters') ||
+        (!sections && SECTIONS_MESSAGE);
+      if (message) {
+        return { message };
+      }
+      const { name, startDate, endDate } = record;
+      return { record: { name: name.trim(), startDate, endDate, startTime, endTime, description: description?.trim() || null, sections } };
+    },
+    inUse: async () => null,
+  },
+};
+
+Object.entries(RESOURCES).forEach(([path, { label, repo, collection, filter, validate, inUse, afterUpdate }]) => {
+  // GET /calendar/<path>: List records (terms filter on ?yearId=, exams on ?termId= and ?subject=, holidays and
+  // events on ?from=&to=&section=, exam periods on those and ?termId=)
+  router.get(`/${path}`, authenticate, async (req, res) => {
+    try {
+      const records = await repo.find(filter(req.query));
+      res.json(records.sort((a, b) => (a.startDate || a.date || '').localeCompare(b.startDate || b.date || '') || a.id - b.id));
+    } catch (error) {
+      console.error(`${label} GET error:`, error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // GET /calendar/<path>/:id: One record
+  router.get(`/${path}/:id`, authenticate, async (req, res) => {
+    try {
+      const record = await repo.findOne(r => r.id === parseInt(req.params.id));
+      if (!record) {
+        return res.status(404).json({ message: `${label} not found` });
+      }
+      res.json(record);
+    } catch (error) {
+      console.error(`${label} GET error:`, error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // POST /calendar/<path>: Create a record
+  router.post(`/${path}`, authenticate, requirePermission('exams:manage'), async (req, res) => {
+    try {
+      const { id: ignored, ...body } = req.body || {};
+      const result = await repo.mutate(async (records) => {
+        const { record, message } = await validate(body, records);
+        if (!record) {
+          return { message };
+        }
+        const created = { id: await nextId(collection, records), ...record, createdAt: new Date().toISOString() };
+        records.push(created);
+        return { record: created };
+      });
+      if (!result.record) {
+        return res.status(400).json({ message: result.message });
+      }
+      res.status(201).json(result.record);
+    } catch (error) {
+      console.error(`${label} POST error:`, error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // PATCH /calendar/<path>/:id: Change some fields of a record
+  router.patch(`/${path}/:id`, authenticate, requirePermission('exams:manage'), async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      const result = await repo.mutate(async (records) => {
+        const index = records.findIndex(r => r.id === id);
+        if (index === -1) {
+          return { status: 404, message: `${label} not found` };
+        }
+        const { id: ignored, ...changes } = req.body || {};
+        const { record, message } = await validate({ ...records[index], ...changes }, records.filter(r => r.id !== id));
+        if (!record) {
+          return { status: 400, message };
+        }
+        records[index] = { ...records[index], ...record, updatedAt: new Date().toISOString() };
+        return { record: records[index] };
+      });
+      if (!result.record) {
+        return res.status(result.status).json({ message: result.message });
+      }
+      if (afterUpdate) {
+        await afterUpdate();
+      }
+      res.json(result.record);
+    } catch (error) {
+      console.error(`${label} PATCH error:`, error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // DELETE /calendar/<path>/:id: Remove a record nothing refers to
+  router.delete(`/${path}/:id`, authenticate, requirePermission('exams:manage'), async (req, res) => {
+    try {
+      const record = await repo.findOne(r => r.id === parseInt(req.params.id));
+      if (!record) {
+        return res.status(404).json({ message: `${label} not found` });
+      }
+      const reason = await inUse(record);
+      if (reason) {
+        return res.status(409).json({ message: `${label} ${record.name} cannot be deleted because ${reason}` });
+      }
+      await repo.remove(r => r.id === record.id);
+      res.json({ message: `${label} deleted` });
+    } catch (error) {
+      console.error(`${label} DELETE error:`, error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+});
+
+module.exports = router;
+module.exports.EXAM_TYPES = EXAM_TYPES;
@@ -1,121 +1,215 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const fs = require('fs').promises;
-const path = require('path');
+const { getRepository } = require('./storage/storage');
+const { authenticate, authenticateIfPresent } = require('./middleware/middleware');
+const { createSession, refreshSession, revokeSession, revokeAllSessions } = require('./sessions');
+const { checkPasswordStrength, hashPassword, createResetToken, consumeResetToken } = require('./passwords');
+const { sendMail } = require('./mailer');
+const { findInvitation, checkInvitation, redeemInvitation } = require('./invitations');
+const { createUser } = require('./users');
+const { hasPermission } = require('./permissions');
 const router = express.Router();
 
-const DATA_DIR = path.join(process.cwd(), 'data');
-const USERS_FILE = path.join(DATA_DIR, 'users.json');
+const usersRepo = getRepository('users');
 
-const VALID_USER_TYPES = ['Admin', 'Teacher', 'Student'];
+// Student self-registration is open unless STUDENT_SIGNUP=invitation
+const studentSignupOpen = () => (process.env.STUDENT_SIGNUP || 'open') !== 'invitation';
 
-const ensureDataDirAndFile = async () => {
+// POST /auth/signup: Students may self-register (unless invitation-only); every other account type
+// needs the token of a user with users:manage or an invitation code. The very first Admin may sign up
+// while no Admin exists.
+router.post('/signup', authenticateIfPresent, async (req, res) => {
   try {
-    await fs.mkdir(DATA_DIR, { recursive: true });
-    try {
-      await fs.access(USERS_FILE);
-    } catch {
-      await fs.writeFile(USERS_FILE, JSON.stringify([]));
+    const { email, password, section, name, invitationCode } = req.body;
+    let { userType } = req.body;
+    console.log('Signup attempt:', { email, userType });
+
+    let invitation = null;
+    if (invitationCode) {
+      invitation = await findInvitation(invitationCode);
+      const invitationError = checkInvitation(invitation, { email, userType });
+      if (invitationError) {
+        return res.status(400).json({ message: invitationError });
+      }
+      userType = invitation.userType;
     }
+
+    const byAdmin = Boolean(req.user) && (await hasPermission(req.user, 'users:manage'));
+    const authorize = async (users) => {
+      if (invitation) {
+        const invitationError = await redeemInvitation(invitationCode, { email, userType });
+        return invitationError && { status: 400, message: invitationError };
+      }
+      if (byAdmin) {
+        return null;
+      }
+      if (userType === 'Student') {
+        return studentSignupOpen() ? null : { status: 403, message: 'Student registration requires an invitation code' };
+      }
+      if (userType === 'Admin' && !users.some(u => u.userType === 'Admin')) {
+        console.log('Bootstrapping first Admin:', email);
+        return null;
+      }
+      return { status: 403, message: `Only Admins can create ${userType} accounts` };
+    };
+
+    const result = await createUser(
+      { email, password, userType, section: invitation?.section || section, name },
+      { authorize }
+    );
+    if (!result.user) {
+      console.log('Signup rejected:', result.message);
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.status(201).json(await createSession(result.user));
   } catch (error) {
-    throw new Error(`Failed to ensure data directory/file: ${error.message}`);
+    console.error('Signup error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
-};
+});
 
-const readUsers = async () => {
+router.post('/signin', async (req, res) => {
   try {
-    await ensureDataDirAndFile();
-    const data = await fs.readFile(USERS_FILE, 'utf-8');
-    const users = JSON.parse(data);
-    console.log('Read users.json:', users);
-    return users;
+    const { email, password } = req.body || {};
+    if (typeof email !== 'string' || !email || typeof password !== 'string' || !password) {
+      return res.status(400).json({ message: 'Email and password are required' });
+    }
+    console.log('Signin attempt:', { email });
+
+    const user = await usersRepo.findOne(user => user.email.toLowerCase() === email.toLowerCase());
+    if (!user || !(await bcrypt.compare(password, user.password))) {
+      console.log('Invalid credentials for:', email);
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+    if (user.active === false) {
+      return res.status(403).json({ message: 'Account is deactivated' });
+    }
+
+    res.json({ ...(await createSession(user)), ...(user.mustChangePassword && { mustChangePassword: true }) });
   } catch (error) {
-    console.error('readUsers error:', error);
-    throw new Error(`Failed to read users: ${error.message}`);
+    console.error('Signin error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
-};
+});
 
-const writeUsers = async (users) => {
+// POST /auth/refresh: Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', async (req, res) => {
   try {
-    await ensureDataDirAndFile();
-    await fs.writeFile(USERS_FILE, JSON.stringify(users, null, 2));
-    console.log('Wrote to users.json:', users);
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'refreshToken is required' });
+    }
+    const tokens = await refreshSession(refreshToken);
+    if (!tokens) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+    res.json(tokens);
   } catch (error) {
-    console.error('writeUsers error:', error);
-    throw new Error(`Failed to write users: ${error.message}`);
+    console.error('Refresh error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
-};
+});
 
-router.post('/signup', async (req, res) => {
+// POST /auth/logout: End the current session, or every session of the user with { allSessions: true }
+router.post('/logout', authenticate, async (req, res) => {
   try {
-    const { email, password, userType, section } = req.body;
-    console.log('Signup attempt:', { email, userType });
-    if (!email || !password || !userType) {
-      console.log('Missing fields:', { email, password, userType });
-      return res.status(400).json({ message: 'Email, password, and userType are required' });
+    if (req.body?.allSessions === true) {
+      await revokeAllSessions(req.user.id);
+    } else {
+      await revokeSession(req.sessionId);
     }
-    if (userType === 'Student' && !section) {
-      console.log('Section missing for Student');
-      return res.status(400).json({ message: 'Section is required for Students' });
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /auth/password/change: Change the password of the signed-in user; every other session is ended
+router.post('/password/change', authenticate, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'currentPassword and newPassword are required' });
     }
-    if (!VALID_USER_TYPES.includes(userType)) {
-      console.log('Invalid userType:', userType);
-      return res.status(400).json({ message: 'Invalid userType. Must be Admin, Teacher, or Student' });
+    if (!(await bcrypt.compare(currentPassword, req.user.password))) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
     }
-
-    const users = await readUsers();
-    if (users.find(user => user.email.toLowerCase() === email.toLowerCase())) {
-      console.log('Duplicate email detected:', email);
-      return res.status(400).json({ message: 'User already exists' });
+    const passwordError = checkPasswordStrength(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
     }
 
-    const hashedPassword = await bcrypt.hash(password, 10);
-    const newUser = {
-      id: users.length + 1,
-      email,
-      password: hashedPassword,
-      userType,
-      ...(userType === 'Student' && { section }),
-    };
-    users.push(newUser);
-    await writeUsers(users);
+    const [user] = await usersRepo.update(u => u.id === req.user.id, {
+      password: await hashPassword(newPassword),
+      mustChangePassword: false,
+    });
+    await revokeAllSessions(user.id);
+    res.json({ message: 'Password changed', ...(await createSession(user)) });
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    const tokenPayload = { id: newUser.id, email, userType };
-    if (userType === 'Student') {
-      tokenPayload.section = section;
+// POST /auth/password/forgot: Email a single-use reset token. The response never reveals whether the email is registered.
+router.post('/password/forgot', async (req, res) => {
+  try {
+    const email = req.body?.email;
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ message: 'Email is required' });
     }
-    const token = jwt.sign(tokenPayload, process.env.JWT_SECRET, { expiresIn: '1h' });
-    res.status(201).json({ token });
+    // Deactivated accounts cannot sign in, so they get no reset code either
+    const user = await usersRepo.findOne(u => u.email.toLowerCase() === email.toLowerCase() && u.active !== false);
+    if (user) {
+      const { token, expiresAt } = await createResetToken(user.id);
+      const link = process.env.APP_URL ? `${process.env.APP_URL}/reset-password?token=${token}\n\n` : '';
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Use this code to reset your password: ${token}\n\n${link}It expires at ${expiresAt} and can be used once.`,
+      });
+    } else {
+      console.log('Password reset requested for an unknown or deactivated account');
+    }
+    res.json({ message: 'If the email is registered, a reset link has been sent' });
   } catch (error) {
-    console.error('Signup error:', error);
+    console.error('Password forgot error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-router.post('/signin', async (req, res) => {
+// POST /auth/password/reset: Set a new password with a reset token; every session of the user is ended
+router.post('/password/reset', async (req, res) => {
   try {
-    const { email, password } = req.body;
-    console.log('Signin attempt:', { email });
-    if (!email || !password) {
-      console.log('Missing fields:', { email, password });
-      return res.status(400).json({ message: 'Email and password are required' });
+    const { token, newPassword } = req.body || {};
+    if (!token || !newPassword) {
+      return res.status(400).json({ message: 'token and newPassword are required' });
     }
-
-    const users = await readUsers();
-    const user = users.find(user => user.email.toLowerCase() === email.toLowerCase());
-    if (!user || !(await bcrypt.compare(password, user.password))) {
-      console.log('Invalid credentials for:', email);
-      return res.status(401).json({ message: 'Invalid credentials' });
+    if (typeof token !== 'string') {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+    const passwordError = checkPasswordStrength(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+    const userId = await consumeResetToken(token);
+    if (!userId) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
     }
 
-    const token = jwt.sign({ id: user.id, email: user.email, userType: user.userType }, process.env.JWT_SECRET, { expiresIn: '1h' });
-    res.json({ token });
+    const hashedPassword = await hashPassword(newPassword);
+    const [user] = await usersRepo.update(u => u.id === userId, { password: hashedPassword, mustChangePassword: false });
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+    await revokeAllSessions(user.id);
+    res.json({ message: 'Password has been reset' });
   } catch (error) {
-    console.error('Signin error:', error);
+    console.error('Password reset error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-module.exports = router;
-module.exports.readUsers = readUsers;
\ No newline at end of file
+module.exports = router;
\ No newline at end of file
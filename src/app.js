@@ -6,6 +6,17 @@ const routinesRoutes = require('./routine');
 const documentsRoutes = require('./docs');
 const policiesRoutes = require('./policy');
 const marksRoutes = require('./marks');
+const usersRoutes = require('./users');
+const rolesRoutes = require('./roles');
+const notificationsRoutes = require('./notifications');
+const subjectsRoutes = require('./subjects');
+const academicsRoutes = require('./academics');
+const calendarRoutes = require('./calendar');
+const gradingRoutes = require('./grading');
+const reportsRoutes = require('./reports');
+const timetablesRoutes = require('./timetables');
+const feedsRoutes = require('./feeds');
+const leaveRoutes = require('./leave');
 const app = express();
 
 
@@ -17,6 +28,18 @@ app.use('/documents', documentsRoutes);
 app.use('/routines', routinesRoutes);
 app.use('/policies', policiesRoutes);
 app.use('/marks', marksRoutes);
+app.use('/users', usersRoutes);
+app.use('/roles', rolesRoutes);
+app.use('/notifications', notificationsRoutes);
+app.use('/subjects', subjectsRoutes);
+app.use('/calendar', calendarRoutes, academicsRoutes);
+// Deprecated: the calendar's records under their earlier name, kept for existing clients
+app.use('/academics', academicsRoutes);
+app.use('/grading-schemes', gradingRoutes);
+app.use('/reports', reportsRoutes);
+app.use('/timetables', timetablesRoutes);
+app.use('/feeds', feedsRoutes);
+app.use('/leave', leaveRoutes);
 
 app.get('/', (req, res) => res.send('API is running'));
 
@@ -1,171 +1,549 @@
 const express = require('express');
-const fs = require('fs').promises;
-const path = require('path');
-const jwt = require('jsonwebtoken');
-const ExcelJS = require('exceljs');
+const { getRepository } = require('./storage/storage');
+const { authenticate, requirePermission, requirePermissionScope } = require('./middleware/middleware');
+const { permissionScope, isOwnOrChild } = require('./permissions');
+const { checkAssignedStudent, getTeachingAssignments, getSectionTeachers, teachesSection } = require('./teaching');
+const { notifyUsers } = require('./notifications');
+const { sendMail } = require('./mailer');
+const { EXPORT_FORMATS, parseExportFormat, sendExport, sheetName } = require('./exporters');
+const { alertThreshold, summarizeRecords, averageRate, studentsStats, isAtRisk } = require('./attendanceStats');
+const { displayName } = require('./profiles');
+const { today, isValidDate, parseDateRange, inRange } = require('./dates');
+const { loadCalendar, holidayOn, holidayMessage } = require('./schoolCalendar');
+const { STATUSES, validateEntry, isDated, byDateAndPeriod, recordAttendance, summarizeRollCall } = require('./attendanceRecords');
+const { sheetUpload, handleUploadError, readSheetRows, buildTemplate } = require('./sheetImport');
 const router = express.Router();
 
-const DATA_DIR = path.join(process.cwd(), 'data');
-const ATTENDANCE_FILE = path.join(DATA_DIR, 'attendance.json');
+const attendanceRepo = getRepository('attendance');
+const usersRepo = getRepository('users');
+const alertEmailsRepo = getRepository('alertEmails');
 
-// Helper to ensure data directory and attendance file exist
-const ensureDataDirAndFile = async () => {
+// POST /attendance - Record a user's attendance for a date, and optionally a period (attendance:write, or
+// attendance:write:assigned for students in the sections the user teaches)
+router.post('/', authenticate, requirePermissionScope('attendance:write'), async (req, res) => {
   try {
-    await fs.mkdir(DATA_DIR, { recursive: true });
-    try {
-      await fs.access(ATTENDANCE_FILE);
-    } catch {
-      await fs.writeFile(ATTENDANCE_FILE, JSON.stringify([]));
+    const { userId } = req.body;
+    if (!userId) {
+      return res.status(400).json({ message: 'userId, date and status are required' });
+    }
+    const { entry, message } = validateEntry(req.body);
+    if (!entry) {
+      return res.status(400).json({ message });
+    }
+
+    const user = await usersRepo.findOne(u => u.id === userId);
+    if (!user || (user.userType !== 'Teacher' && user.userType !== 'Student')) {
+      return res.status(400).json({ message: 'Invalid userId or user is not a Teacher/Student' });
+    }
+    if (req.permissionScope === 'assigned') {
+      const access = await checkAssignedStudent(req.user, userId);
+      if (!access.student) {
+        return res.status(access.status).json({ message: access.message });
+      }
     }
+    const holiday = holidayOn(await loadCalendar(), entry.date, user.section);
+    if (holiday) {
+      return res.status(400).json({ message: holidayMessage(holiday, entry.date) });
+    }
+
+    const record = await attendanceRepo.mutate(records => recordAttendance(records, user, entry, req.user.id));
+    res.status(201).json(record);
   } catch (error) {
-    console.error('ensureDataDirAndFile error:', error);
-    throw new Error(`Failed to ensure data directory/file: ${error.message}`);
+    console.error('Attendance POST error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Resolves to null when the user may take attendance in the section, or to an error message
+const checkSectionAccess = async (req, section) => {
+  if (req.permissionScope !== 'assigned' || teachesSection(await getTeachingAssignments(req.user.id), section)) {
+    return null;
   }
+  return `You do not teach section ${section}`;
 };
 
-// Helper to read attendance from JSON file
-const readAttendance = async () => {
-  try {
-    await ensureDataDirAndFile();
-    const data = await fs.readFile(ATTENDANCE_FILE, 'utf-8');
-    const attendance = JSON.parse(data);
-    console.log('Read attendance.json:', attendance);
-    return attendance;
-  } catch (error) {
-    console.error('readAttendance error:', error);
-    throw new Error(`Failed to read attendance: ${error.message}`);
+// Whole-day attendance when no period is given; undefined when the period is not a positive integer
+const parseRollCallPeriod = (period) => {
+  if (period === undefined || period === null || period === '') {
+    return null;
   }
+  return Number.isInteger(Number(period)) && Number(period) > 0 ? Number(period) : undefined;
 };
 
-// Helper to write attendance to JSON file
-const writeAttendance = async (attendance) => {
+// POST /attendance/sections/:section/:date - Roll call: record a status for many students of a section at once.
+// Body: { period, entries: [{ userId, status, remarks }] }. Every entry is checked before anything is written,
+// and all of them are saved in one write. Responds with the section's students grouped by status.
+router.post('/sections/:section/:date', authenticate, requirePermissionScope('attendance:write'), async (req, res) => {
   try {
-    await ensureDataDirAndFile();
-    await fs.writeFile(ATTENDANCE_FILE, JSON.stringify(attendance, null, 2));
-    console.log('Wrote to attendance.json:', attendance);
+    const { section, date } = req.params;
+    const denied = await checkSectionAccess(req, section);
+    if (denied) {
+      return res.status(403).json({ message: denied });
+    }
+    const { entries } = req.body || {};
+    if (!Array.isArray(entries) || !entries.length) {
+      return res.status(400).json({ message: 'entries must be a non-empty list of { userId, status, remarks }' });
+    }
+    const period = parseRollCallPeriod(req.body.period);
+    if (period === undefined) {
+      return res.status(400).json({ message: 'period must be a positive integer' });
+    }
+    const holiday = isValidDate(date) && holidayOn(await loadCalendar(), date, section);
+    if (holiday) {
+      return res.status(400).json({ message: holidayMessage(holiday, date) });
+    }
+
+    const students = await usersRepo.find(u => u.userType === 'Student' && u.section === section && u.active !== false);
+    const studentsById = new Map(students.map(student => [student.id, student]));
+    const seen = new Set();
+    const errors = [];
+    const valid = [];
+    entries.forEach((item, index) => {
+      const userId = item?.userId;
+      const { entry, message } = validateEntry({ ...item, date, period });
+      if (!studentsById.has(userId)) {
+        errors.push({ index, userId, message: `User ${userId} is not a Student in section ${section}` });
+      } else if (seen.has(userId)) {
+        errors.push({ index, userId, message: `User ${userId} appears more than once` });
+      } else if (!entry) {
+        errors.push({ index, userId, message });
+      } else {
+        valid.push({ student: studentsById.get(userId), entry });
+      }
+      seen.add(userId);
+    });
+    if (errors.length) {
+      return res.status(400).json({ message: 'No attendance was recorded because some entries are invalid', errors });
+    }
+
+    const records = await attendanceRepo.mutate(async (allRecords) => {
+      for (const { student, entry } of valid) {
+        await recordAttendance(allRecords, student, entry, req.user.id);
+      }
+      return allRecords.filter(r => r.date === date && r.period === period);
+    });
+    res.status(201).json({ section, date, period, recorded: valid.length, ...summarizeRollCall(students, records, { date, period }) });
   } catch (error) {
-    console.error('writeAttendance error:', error);
-    throw new Error(`Failed to write attendance: ${error.message}`);
+    console.error('Roll call POST error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
-};
+});
 
-// JWT middleware to authenticate and verify userType
-const authenticate = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) {
-    return res.status(401).json({ message: 'No token provided' });
+// GET /attendance/sections/:section/:date?period= - The section's students grouped by status for a date and period
+router.get('/sections/:section/:date', authenticate, requirePermissionScope('attendance:read'), async (req, res) => {
+  try {
+    const { section, date } = req.params;
+    const denied = await checkSectionAccess(req, section);
+    if (denied) {
+      return res.status(403).json({ message: denied });
+    }
+    if (!isValidDate(date)) {
+      return res.status(400).json({ message: 'date must be a valid date in YYYY-MM-DD format' });
+    }
+    const period = parseRollCallPeriod(req.query.period);
+    if (period === undefined) {
+      return res.status(400).json({ message: 'period must be a positive integer' });
+    }
+    const students = await usersRepo.find(u => u.userType === 'Student' && u.section === section && u.active !== false);
+    const records = await attendanceRepo.find(r => r.date === date && r.period === period);
+    res.json({ section, date, period, ...summarizeRollCall(students, records, { date, period }) });
+  } catch (error) {
+    console.error('Roll call GET error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
+});
+
+// GET /attendance/export?format=&from=&to=&section=&userType= - Download attendance records as xlsx (one sheet
+// per section), csv or pdf. Users with attendance:read:assigned only get the students of the sections they teach.
+router.get('/export', authenticate, requirePermissionScope('attendance:read'), async (req, res) => {
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // Contains id, email, userType
-    next();
+    const format = parseExportFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({ message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+    const range = parseDateRange(req.query);
+    if (range.message) {
+      return res.status(400).json({ message: range.message });
+    }
+    const { section, userType } = req.query;
+    const users = await usersRepo.all();
+    const usersById = new Map(users.map(u => [u.id, u]));
+    const sections = req.permissionScope === 'assigned'
+      ? new Set((await getTeachingAssignments(req.user.id)).map(a => a.section))
+      : null;
+    const included = (user) => Boolean(user) && (!section || user.section === section) &&
+      (!userType || user.userType === userType) &&
+      (!sections || (user.userType === 'Student' && sections.has(user.section)));
+
+    const records = await attendanceRepo.find(r => isDated(r) && inRange(r.date, range) && included(usersById.get(r.userId)));
+    // Names are read from the current profiles so renames show up
+    const rows = records.sort(byDateAndPeriod).map((record) => {
+      const user = usersById.get(record.userId);
+      return {
+        userId: record.userId,
+        name: displayName(user),
+        userType: user.userType,
+        section: user.section,
+        date: record.date,
+        period: record.period ?? 'Day',
+        status: record.status,
+        remarks: record.remarks,
+      };
+    });
+
+    await sendExport(res, format, {
+      fileName: 'attendance',
+      title: 'Attendance',
+      columns: [
+        { header: 'User ID', key: 'userId', width: 10 },
+        { header: 'Name', key: 'name', width: 30 },
+        { header: 'User Type', key: 'userType', width: 12 },
+        { header: 'Section', key: 'section', width: 10 },
+        { header: 'Date', key: 'date', width: 12 },
+        { header: 'Period', key: 'period', width: 8 },
+        { header: 'Status', key: 'status', width: 10 },
+        { header: 'Remarks', key: 'remarks', width: 40 },
+      ],
+      rows,
+    });
   } catch (error) {
-    console.error('JWT verification error:', error);
-    res.status(401).json({ message: 'Invalid token' });
+    console.error('Attendance export error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
+});
+
+// Columns read by the import, with the header names accepted for each (the export's headers come first)
+const IMPORT_COLUMNS = {
+  userId: ['user id', 'userid', 'id'],
+  date: ['date'],
+  period: ['period'],
+  status: ['status'],
+  remarks: ['remarks', 'remark', 'notes'],
 };
 
-// POST /attendance - Create or update attendance and export to Excel (Admin or Teacher only)
-router.post('/', authenticate, async (req, res) => {
+// POST /attendance/import?dryRun= - Record attendance from an .xlsx sheet in the export's column layout (User ID,
+// Date, Period, Status and Remarks are read; other columns are ignored). Each row is checked on its own, the
+// valid rows are saved in one write and the rejected ones come back with the reason. With dryRun=true nothing is
+// written. Users with attendance:write:assigned can only import students of the sections they teach.
+router.post('/import', authenticate, requirePermissionScope('attendance:write'), sheetUpload.single('file'), handleUploadError, async (req, res) => {
   try {
-    const { userId, attendance } = req.body;
-    if (req.user.userType !== 'Admin' && req.user.userType !== 'Teacher') {
-      return res.status(403).json({ message: 'Only Admins or Teachers can modify attendance' });
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
     }
-    if (!userId || !attendance || typeof attendance !== 'object') {
-      return res.status(400).json({ message: 'userId and attendance object are required' });
+    const dryRun = ['true', '1'].includes(String(req.query.dryRun ?? req.body?.dryRun).toLowerCase());
+
+    let rows;
+    try {
+      rows = await readSheetRows(req.file.buffer, IMPORT_COLUMNS, ['userId', 'date', 'status']);
+    } catch (error) {
+      return res.status(400).json({ message: `Could not read sheet: ${error.message}` });
     }
 
-    // Validate attendance object
-    const validDays = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-    for (const day of Object.keys(attendance)) {
-      if (!validDays.includes(day) || typeof attendance[day] !== 'boolean') {
-        return res.status(400).json({ message: 'Attendance must contain valid days with boolean values' });
+    const usersById = new Map((await usersRepo.all()).map(u => [u.id, u]));
+    const calendar = await loadCalendar();
+    const sections = req.permissionScope === 'assigned'
+      ? new Set((await getTeachingAssignments(req.user.id)).map(a => a.section))
+      : null;
+    const seen = new Set();
+    const rejected = [];
+    const valid = [];
+    rows.forEach(({ sheet, row, values }) => {
+      const userId = /^\d+$/.test(values.userId) ? Number(values.userId) : undefined;
+      const user = usersById.get(userId);
+      const period = /^(day)?$/i.test(values.period || '') ? null : parseRollCallPeriod(values.period);
+      const { entry, message } = validateEntry({
+        date: values.date,
+        period: period === undefined ? values.period : period,
+        status: values.status.toLowerCase(),
+        remarks: values.remarks,
+      });
+      const key = entry && `${userId}:${entry.date}:${entry.period}`;
+      const holiday = entry && user && holidayOn(calendar, entry.date, user.section);
+      let error = null;
+      if (!user || (user.userType !== 'Teacher' && user.userType !== 'Student')) {
+        error = `User ${values.userId || '(blank)'} is not a Teacher or Student`;
+      } else if (sections && (user.userType !== 'Student' || !sections.has(user.section))) {
+        error = `You do not teach section ${user.section}`;
+      } else if (!entry) {
+        error = message;
+      } else if (holiday) {
+        error = holidayMessage(holiday, entry.date);
+      } else if (seen.has(key)) {
+        error = 'The user already has a row for this date and period';
       }
+      if (error) {
+        rejected.push({ sheet, row, userId: values.userId, error });
+        return;
+      }
+      seen.add(key);
+      valid.push({ user, entry });
+    });
+
+    if (!dryRun && valid.length) {
+      await attendanceRepo.mutate(async (records) => {
+        for (const { user, entry } of valid) {
+          await recordAttendance(records, user, entry, req.user.id);
+        }
+      });
     }
+    console.log('Attendance import:', { dryRun, rows: rows.length, applied: valid.length });
 
-    const accounts = require('./accounts');
-    if (!accounts.readUsers) {
-      throw new Error('readUsers function not found in accounts module');
+    res.status(dryRun ? 200 : 201).json({
+      dryRun,
+      summary: { total: rows.length, [dryRun ? 'valid' : 'applied']: valid.length, rejected: rejected.length },
+      rejected,
+    });
+  } catch (error) {
+    console.error('Attendance import error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /attendance/import/template?section=&date=&period= - A blank import sheet listing the section's students,
+// with the date (today by default) and period filled in and the Status column left to complete
+router.get('/import/template', authenticate, requirePermissionScope('attendance:write'), async (req, res) => {
+  try {
+    const { section } = req.query;
+    if (!section) {
+      return res.status(400).json({ message: 'section is required' });
     }
-    const users = await accounts.readUsers();
-    const user = users.find(u => u.id === userId);
-    if (!user || (user.userType !== 'Teacher' && user.userType !== 'Student')) {
-      return res.status(400).json({ message: 'Invalid userId or user is not a Teacher/Student' });
+    const denied = await checkSectionAccess(req, section);
+    if (denied) {
+      return res.status(403).json({ message: denied });
+    }
+    const date = req.query.date || today();
+    if (!isValidDate(date)) {
+      return res.status(400).json({ message: 'date must be a valid date in YYYY-MM-DD format' });
+    }
+    const period = parseRollCallPeriod(req.query.period);
+    if (period === undefined) {
+      return res.status(400).json({ message: 'period must be a positive integer' });
     }
 
-    const attendanceRecords = await readAttendance();
-    const existingRecord = attendanceRecords.find(record => record.userId === userId);
-    if (existingRecord) {
-      existingRecord.attendance = attendance;
-    } else {
-      attendanceRecords.push({
-        userId,
-        name: user.email, // Use email as name
-        userType: user.userType,
-        attendance
-      });
+    const students = (await activeStudents(section))
+      .sort((a, b) => (a.rollNumber ?? Infinity) - (b.rollNumber ?? Infinity) || a.id - b.id);
+    const buffer = await buildTemplate({
+      sheetName: sheetName(section),
+      columns: [
+        { header: 'User ID', key: 'userId', width: 10 },
+        { header: 'Name', key: 'name', width: 30 },
+        { header: 'User Type', key: 'userType', width: 12 },
+        { header: 'Section', key: 'section', width: 10 },
+        { header: 'Date', key: 'date', width: 12 },
+        { header: 'Period', key: 'period', width: 8 },
+        { header: 'Status', key: 'status', width: 10 },
+        { header: 'Remarks', key: 'remarks', width: 40 },
+      ],
+      rows: students.map(student => ({
+        userId: student.id,
+        name: displayName(student),
+        userType: student.userType,
+        section: student.section,
+        date,
+        period: period ?? 'Day',
+      })),
+      lists: { status: STATUSES },
+    });
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=attendance-${section}-${date}.xlsx`);
+    res.send(Buffer.from(buffer));
+  } catch (error) {
+    console.error('Attendance template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Resolves to null when the user may read this user's attendance, or to { status, message }
+const checkUserAccess = async (user, userId) => {
+  const scope = isOwnOrChild(user, userId) ? 'all' : await permissionScope(user, 'attendance:read');
+  if (!scope) {
+    return { status: 403, message: 'Access denied' };
+  }
+  if (scope === 'assigned') {
+    const access = await checkAssignedStudent(user, userId);
+    if (!access.student) {
+      return access;
     }
+  }
+  return null;
+};
 
-    await writeAttendance(attendanceRecords);
-
-    // Generate Excel file for export
-    const workbook = new ExcelJS.Workbook();
-    const worksheet = workbook.addWorksheet('Attendance');
-
-    // Define columns
-    worksheet.columns = [
-      { header: 'User ID', key: 'userId', width: 10 },
-      { header: 'Name', key: 'name', width: 30 },
-      { header: 'User Type', key: 'userType', width: 15 },
-      { header: 'Monday', key: 'Monday', width: 10 },
-      { header: 'Tuesday', key: 'Tuesday', width: 10 },
-      { header: 'Wednesday', key: 'Wednesday', width: 10 },
-      { header: 'Thursday', key: 'Thursday', width: 10 },
-      { header: 'Friday', key: 'Friday', width: 10 },
-      { header: 'Saturday', key: 'Saturday', width: 10 },
-      { header: 'Sunday', key: 'Sunday', width: 10 },
-    ];
-
-    // Add rows
-    attendanceRecords.forEach(record => {
-      worksheet.addRow({
-        userId: record.userId,
-        name: record.name,
-        userType: record.userType,
-        ...record.attendance
-      });
+const activeStudents = (section) =>
+  usersRepo.find(u => u.userType === 'Student' && u.active !== false && (!section || u.section === section));
+
+// Threshold from a request, falling back to ATTENDANCE_ALERT_THRESHOLD; undefined when it is not a percentage
+const parseThreshold = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return alertThreshold();
+  }
+  const threshold = Number(value);
+  return Number.isFinite(threshold) && threshold >= 0 && threshold <= 100 ? threshold : undefined;
+};
+
+// GET /attendance/stats/students/:userId?from=&to= - Attendance rate, counts and absence streaks of one user
+router.get('/stats/students/:userId', authenticate, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const denied = await checkUserAccess(req.user, userId);
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message });
+    }
+    const range = parseDateRange(req.query);
+    if (range.message) {
+      return res.status(400).json({ message: range.message });
+    }
+    const user = await usersRepo.findOne(u => u.id === userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    const records = await attendanceRepo.find(r => r.userId === userId && isDated(r) && inRange(r.date, range));
+    res.json({ userId, name: displayName(user), section: user.section || null, ...range, ...summarizeRecords(records) });
+  } catch (error) {
+    console.error('Attendance stats error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /attendance/stats/sections/:section?from=&to=&threshold= - Every student's figures and the section's average rate
+router.get('/stats/sections/:section', authenticate, requirePermissionScope('attendance:read'), async (req, res) => {
+  try {
+    const { section } = req.params;
+    const denied = await checkSectionAccess(req, section);
+    if (denied) {
+      return res.status(403).json({ message: denied });
+    }
+    const range = parseDateRange(req.query);
+    const threshold = parseThreshold(req.query.threshold);
+    if (range.message || threshold === undefined) {
+      return res.status(400).json({ message: range.message || 'threshold must be a percentage between 0 and 100' });
+    }
+    const students = await activeStudents(section);
+    const ids = new Set(students.map(student => student.id));
+    const records = await attendanceRepo.find(r => ids.has(r.userId) && isDated(r) && inRange(r.date, range));
+    const stats = studentsStats(students, records).map((entry, index) => ({
+      name: displayName(students[index]),
+      ...entry,
+      atRisk: isAtRisk(entry, threshold),
+    }));
+    res.json({ section, ...range, threshold, rate: averageRate(stats), students: stats });
+  } catch (error) {
+    console.error('Attendance stats error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /attendance/stats/school?from=&to=&threshold= - School-wide average rate and each section's rate
+router.get('/stats/school', authenticate, requirePermission('attendance:read'), async (req, res) => {
+  try {
+    const range = parseDateRange(req.query);
+    const threshold = parseThreshold(req.query.threshold);
+    if (range.message || threshold === undefined) {
+      return res.status(400).json({ message: range.message || 'threshold must be a percentage between 0 and 100' });
+    }
+    const students = await activeStudents();
+    const records = await attendanceRepo.find(r => isDated(r) && inRange(r.date, range));
+    const stats = studentsStats(students, records);
+    const sections = [...new Set(stats.map(entry => entry.section))].sort().map((section) => {
+      const inSection = stats.filter(entry => entry.section === section);
+      return {
+        section,
+        students: inSection.length,
+        rate: averageRate(inSection),
+        atRisk: inSection.filter(entry => isAtRisk(entry, threshold)).length,
+      };
     });
+    res.json({ ...range, threshold, rate: averageRate(stats), atRisk: stats.filter(entry => isAtRisk(entry, threshold)).length, sections });
+  } catch (error) {
+    console.error('Attendance stats error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Emails an alert to the guardian contacts on a student's profile that have an email and no linked Parent
+// account with that address (those get the in-app notification). Each address is sent a `key` once; the sent
+// keys are kept as { key, email, sentAt }, recorded only once the mail went out, so a failed send is tried again
+// next time. Resolves to the addresses emailed.
+const emailGuardians = async (student, parents, { key, subject, text }) => {
+  const parentEmails = new Set(parents.map(p => p.email.toLowerCase()));
+  const emails = [...new Set((student.guardians || [])
+    .filter(g => g.email && !parentEmails.has(g.email.toLowerCase()))
+    .map(g => g.email.toLowerCase()))];
+  return alertEmailsRepo.mutate(async (sent) => {
+    const emailed = [];
+    for (const email of emails.filter(e => !sent.some(s => s.key === key && s.email === e))) {
+      try {
+        await sendMail({ to: email, subject, text });
+      } catch (error) {
+        console.error('Attendance alert email error:', error);
+        continue;
+      }
+      sent.push({ key, email, sentAt: new Date().toISOString() });
+      emailed.push(email);
+    }
+    return emailed;
+  });
+};
 
-    // Generate Excel file buffer
-    const buffer = await workbook.xlsx.writeBuffer();
+// POST /attendance/alerts - Flag students whose rate is below the threshold and notify their teachers (from
+// the routines) and their Parents in the app, and email the guardian contacts on the student's profile (those
+// with only a phone are not contacted). Body: { from, to, section, threshold }. Each student is reported to
+// each recipient once per date range.
+router.post('/alerts', authenticate, requirePermission('attendance:alerts'), async (req, res) => {
+  try {
+    const { from, to, section } = req.body || {};
+    const range = parseDateRange({ from, to });
+    const threshold = parseThreshold(req.body?.threshold);
+    if (range.message || threshold === undefined) {
+      return res.status(400).json({ message: range.message || 'threshold must be a percentage between 0 and 100' });
+    }
+    const students = await activeStudents(section);
+    const ids = new Set(students.map(student => student.id));
+    const records = await attendanceRepo.find(r => ids.has(r.userId) && isDated(r) && inRange(r.date, range));
+    const parents = await usersRepo.find(u => u.userType === 'Parent' && u.active !== false && u.children?.length);
 
-    // Set headers for download
-    res.status(201);
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', 'attachment; filename=attendance.xlsx');
-    res.send(buffer);
+    const atRisk = [];
+    const stats = studentsStats(students, records);
+    for (const [index, entry] of stats.entries()) {
+      if (!isAtRisk(entry, threshold)) continue;
+      const student = students[index];
+      const linkedParents = parents.filter(parent => parent.children.includes(student.id));
+      const recipients = [...(await getSectionTeachers(student.section)), ...linkedParents.map(parent => parent.id)];
+      const message = `${displayName(student)} (section ${student.section}) has ${entry.rate}% attendance, below ${threshold}%`;
+      const key = `low-attendance:${student.id}:${range.from || ''}:${range.to || today()}`;
+      const notified = await notifyUsers(recipients, {
+        type: 'low-attendance',
+        title: 'Low attendance',
+        message,
+        data: { userId: student.id, section: student.section, rate: entry.rate, threshold, ...range },
+        key,
+      });
+      const emailed = await emailGuardians(student, linkedParents, { key, subject: 'Low attendance', text: message });
+      atRisk.push({ userId: student.id, name: displayName(student), section: student.section, rate: entry.rate, notified, emailed });
+    }
+    res.json({ ...range, threshold, atRisk });
   } catch (error) {
-    console.error('Attendance POST error:', error);
+    console.error('Attendance alerts error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// GET /attendance/:userId - Retrieve attendance for a user
+// GET /attendance/:userId?from=&to= - A user's attendance records by date and period (their own, a Parent's child, anyone with attendance:read,
+// or students in the sections the user teaches with attendance:read:assigned)
 router.get('/:userId', authenticate, async (req, res) => {
   try {
     const { userId } = req.params;
-    if (req.user.userType !== 'Admin' && req.user.userType !== 'Teacher' && req.user.id !== parseInt(userId)) {
-      return res.status(403).json({ message: 'Access denied' });
+    const denied = await checkUserAccess(req.user, parseInt(userId));
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message });
     }
 
-    const attendanceRecords = await readAttendance();
-    const record = attendanceRecords.find(r => r.userId === parseInt(userId));
-    if (!record) {
-      return res.status(404).json({ message: 'Attendance not found' });
+    const range = parseDateRange(req.query);
+    if (range.message) {
+      return res.status(400).json({ message: range.message });
     }
 
-    res.json(record);
+    const records = await attendanceRepo.find(r => r.userId === parseInt(userId) && isDated(r) && inRange(r.date, range));
+    res.json(records.sort(byDateAndPeriod));
   } catch (error) {
     console.error('Attendance GET error:', error);
     res.status(500).json({ message: 'Server error' });
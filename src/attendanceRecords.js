@@ -0,0 +1,75 @@
+const { nextId } = require('./storage/sequences');
+const { today, isValidDate } = require('./dates');
+const { displayName } = require('./profiles');
+
+// Attendance is kept as one record per user, date and period:
+// { id, userId, userType, date, period, status, remarks, recordedBy, recordedAt, history }
+// `period` is null for whole-day attendance. Recording the same user, date and period again updates the
+// record and moves the previous status into `history`, so nothing that was recorded is lost.
+
+const STATUSES = ['present', 'absent', 'late', 'excused', 'half-day'];
+const MAX_REMARKS_LENGTH = 500;
+
+// Checks { date, period, status, remarks } from a request. Returns { entry } or { message }.
+const validateEntry = ({ date, period, status, remarks }) => {
+  if (!isValidDate(date)) {
+    return { message: 'date must be a valid date in YYYY-MM-DD format' };
+  }
+  if (date > today()) {
+    return { message: 'Attendance cannot be recorded for a future date' };
+  }
+  if (period !== undefined && period !== null && !(Number.isInteger(period) && period > 0)) {
+    return { message: 'period must be a positive integer' };
+  }
+  if (!STATUSES.includes(status)) {
+    return { message: `status must be one of: ${STATUSES.join(', ')}` };
+  }
+  if (remarks !== undefined && remarks !== null && (typeof remarks !== 'string' || remarks.length > MAX_REMARKS_LENGTH)) {
+    return { message: `remarks must be text of at most ${MAX_REMARKS_LENGTH} characters` };
+  }
+  return { entry: { date, period: period ?? null, status, remarks: remarks?.trim() || '' } };
+};
+
+// Weekly maps saved before attendance was dated have no `date` until `npm run migrate-attendance` converts them
+// (see storage/migrateAttendance.js). They are left out when reading, as they cannot be placed on a date.
+const isDated = record => typeof record.date === 'string';
+
+const byDateAndPeriod = (a, b) => a.date.localeCompare(b.date) || (a.period ?? 0) - (b.period ?? 0);
+
+// Inserts or updates the record for the user's date and period. Call inside attendanceRepo.mutate().
+const recordAttendance = async (records, user, entry, recordedBy) => {
+  const now = new Date().toISOString();
+  const existing = records.find(r => r.userId === user.id && r.date === entry.date && r.period === entry.period);
+  if (existing) {
+    if (existing.status !== entry.status || existing.remarks !== entry.remarks) {
+      const { status, remarks, recordedBy: previousBy, recordedAt } = existing;
+      existing.history = [...(existing.history || []), { status, remarks, recordedBy: previousBy, recordedAt }];
+      Object.assign(existing, { status: entry.status, remarks: entry.remarks, recordedBy, recordedAt: now });
+    }
+    return existing;
+  }
+  const record = {
+    id: await nextId('attendance', records),
+    userId: user.id,
+    userType: user.userType,
+    ...entry,
+    recordedBy,
+    recordedAt: now,
+    history: [],
+  };
+  records.push(record);
+  return record;
+};
+
+// Groups a section's students by their status on a date and period: { present: [{ userId, name }], ..., unmarked: [...] }
+const summarizeRollCall = (students, records, { date, period }) => {
+  const byStatus = Object.fromEntries([...STATUSES, 'unmarked'].map(status => [status, []]));
+  students.forEach((student) => {
+    const record = records.find(r => r.userId === student.id && r.date === date && r.period === period);
+    byStatus[record ? record.status : 'unmarked'].push({ userId: student.id, name: displayName(student) });
+  });
+  const counts = Object.fromEntries(Object.entries(byStatus).map(([status, list]) => [status, list.length]));
+  return { total: students.length, counts, students: byStatus };
+};
+
+module.exports = { STATUSES, validateEntry, isDated, byDateAndPeriod, recordAttendance, summarizeRollCall };
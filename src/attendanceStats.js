@@ -0,0 +1,70 @@
+const { STATUSES } = require('./attendanceRecords');
+
+// How much each status counts towards the attendance rate. Excused entries are left out of the rate.
+const STATUS_WEIGHTS = { present: 1, late: 1, 'half-day': 0.5, absent: 0 };
+
+const alertThreshold = () => {
+  const threshold = parseFloat(process.env.ATTENDANCE_ALERT_THRESHOLD);
+  return Number.isFinite(threshold) ? threshold : 75;
+};
+
+const roundRate = (value) => Math.round(value * 10) / 10;
+
+// One value per recorded date between 0 and 1, or null for an excused day. A whole-day entry decides the
+// day; otherwise the day is the average of its periods.
+const dailyValues = (records) => {
+  const byDate = new Map();
+  records.forEach((record) => {
+    if (!byDate.has(record.date)) byDate.set(record.date, []);
+    byDate.get(record.date).push(record);
+  });
+  return [...byDate.keys()].sort().map((date) => {
+    const entries = byDate.get(date);
+    const wholeDay = entries.find(r => r.period === null);
+    const counted = (wholeDay ? [wholeDay] : entries).filter(r => r.status in STATUS_WEIGHTS);
+    const value = counted.length ? counted.reduce((sum, r) => sum + STATUS_WEIGHTS[r.status], 0) / counted.length : null;
+    return { date, value };
+  });
+};
+
+// Attendance figures for one user's records: counts per status, the rate in percent (null without any
+// counted day) and the longest and current runs of consecutive absent days. Excused days do not break a run.
+const summarizeRecords = (records) => {
+  const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+  records.forEach((record) => {
+    counts[record.status] += 1;
+  });
+  const days = dailyValues(records);
+  const counted = days.filter(day => day.value !== null);
+  let longestAbsenceStreak = 0;
+  let currentAbsenceStreak = 0;
+  counted.forEach((day) => {
+    currentAbsenceStreak = day.value === 0 ? currentAbsenceStreak + 1 : 0;
+    longestAbsenceStreak = Math.max(longestAbsenceStreak, currentAbsenceStreak);
+  });
+  return {
+    days: days.length,
+    countedDays: counted.length,
+    counts,
+    rate: counted.length ? roundRate((counted.reduce((sum, day) => sum + day.value, 0) / counted.length) * 100) : null,
+    longestAbsenceStreak,
+    currentAbsenceStreak,
+  };
+};
+
+// Average of the students' rates, ignoring students without a rate
+const averageRate = (studentStats) => {
+  const rates = studentStats.map(s => s.rate).filter(rate => rate !== null);
+  return rates.length ? roundRate(rates.reduce((sum, rate) => sum + rate, 0) / rates.length) : null;
+};
+
+// Per-student figures for a list of students: [{ userId, section, ...summarizeRecords() }]
+const studentsStats = (students, records) => {
+  const byUser = new Map(students.map(student => [student.id, []]));
+  records.forEach((record) => byUser.get(record.userId)?.push(record));
+  return students.map(student => ({ userId: student.id, section: student.section, ...summarizeRecords(byUser.get(student.id)) }));
+};
+
+const isAtRisk = (stats, threshold) => stats.rate !== null && stats.rate < threshold;
+
+module.exports = { alertThreshold, summarizeRecords, averageRate, studentsStats, isAtRisk };
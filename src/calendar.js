@@ -0,0 +1,83 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('./middleware/middleware');
+const { loadCalendar, appliesTo, termOn, holidayOn, isSchoolDay } = require('./schoolCalendar');
+const { isValidDate, parseDateRange } = require('./dates');
+const { getRepository } = require('./storage/storage');
+
+const yearsRepo = getRepository('academicYears');
+const examsRepo = getRepository('exams');
+const usersRepo = getRepository('users');
+
+// The sections whose calendar a user sees by default: their own and their children's. Null (every section) for
+// users without any, such as staff.
+const userSections = async (user) => {
+  const sections = new Set(user.section ? [user.section] : []);
+  if (user.children?.length) {
+    const children = await usersRepo.find(u => user.children.includes(u.id));
+    children.forEach(child => child.section && sections.add(child.section));
+  }
+  return sections.size ? [...sections] : null;
+};
+
+const byStart = (a, b) => (a.startDate || a.date).localeCompare(b.startDate || b.date) || a.id - b.id;
+
+// GET /calendar?from=&to=&section=: Everything on the calendar between the dates: { from, to, sections, years,
+// terms, holidays, examPeriods, events, exams }. Holidays, exam periods and events are limited to `section`, or
+// by default to the user's own and their children's sections; staff see every section's.
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const range = parseDateRange(req.query);
+    if (range.message) {
+      return res.status(400).json({ message: range.message });
+    }
+    const sections = req.query.section ? [req.query.section] : await userSections(req.user);
+    const [calendar, years, exams] = await Promise.all([loadCalendar(), yearsRepo.all(), examsRepo.all()]);
+    const inRange = entry => (!range.from || entry.endDate >= range.from) && (!range.to || entry.startDate <= range.to);
+    const forSections = entry => inRange(entry) && (!sections || appliesTo(entry, sections));
+    res.json({
+      ...range,
+      sections,
+      years: years.filter(inRange).sort(byStart),
+      terms: calendar.terms.filter(inRange).sort(byStart),
+      holidays: calendar.holidays.filter(forSections).sort(byStart),
+      examPeriods: calendar.examPeriods.filter(forSections).sort(byStart),
+      events: calendar.events.filter(forSections).sort(byStart),
+      exams: exams.filter(e => e.date && inRange({ startDate: e.date, endDate: e.date })).sort(byStart),
+    });
+  } catch (error) {
+    console.error('Calendar GET error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /calendar/days/:date?section=: What the calendar says about one day for a section (the user's own by
+// default): { date, section, schoolDay, term, holiday, examPeriods, events, exams }. `schoolDay` is whether the
+// section has lessons that day.
+router.get('/days/:date', authenticate, async (req, res) => {
+  try {
+    const { date } = req.params;
+    if (!isValidDate(date)) {
+      return res.status(400).json({ message: 'date must be a valid date in YYYY-MM-DD format' });
+    }
+    const section = req.query.section || req.user.section || null;
+    const [calendar, exams] = await Promise.all([loadCalendar(), examsRepo.find(e => e.date === date)]);
+    const sections = section ? [section] : [];
+    const onDate = entry => entry.startDate <= date && date <= entry.endDate && appliesTo(entry, sections);
+    res.json({
+      date,
+      section,
+      schoolDay: isSchoolDay(calendar, date, section),
+      term: termOn(calendar, date),
+      holiday: holidayOn(calendar, date, section),
+      examPeriods: calendar.examPeriods.filter(onDate),
+      events: calendar.events.filter(onDate),
+      exams,
+    });
+  } catch (error) {
+    console.error('Calendar day error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const validator = require('validator');
+
+// Calendar dates are handled as YYYY-MM-DD strings, which compare correctly as text
+
+// Local calendar date as YYYY-MM-DD
+const today = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60 * 1000).toISOString().slice(0, 10);
+};
+
+const isValidDate = (value) =>
+  typeof value === 'string' && value.length === 10 && validator.isISO8601(value, { strict: true });
+
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+// Parses the optional ?from=&to= range of a query. Returns { from, to } or { message }.
+const parseDateRange = ({ from, to }) => {
+  if ((from !== undefined && !isValidDate(from)) || (to !== undefined && !isValidDate(to))) {
+    return { message: 'from and to must be dates in YYYY-MM-DD format' };
+  }
+  if (from && to && from > to) {
+    return { message: 'from must not be after to' };
+  }
+  return { from: from || null, to: to || null };
+};
+
+const inRange = (date, { from, to }) => (!from || date >= from) && (!to || date <= to);
+
+// Weekly slots, as used by the routines, are a weekday and HH:MM (24-hour) times, which also compare as text
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const isValidTime = (value) => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+// The weekday's canonical name for any capitalisation, or null
+const matchWeekday = (day) => WEEKDAYS.find(d => typeof day === 'string' && d.toLowerCase() === day.trim().toLowerCase()) || null;
+
+const weekdayOf = (date) => WEEKDAYS[(new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7];
+
+const slotsOverlap = (a, b) => a.day === b.day && a.startTime < b.endTime && b.startTime < a.endTime;
+
+module.exports = {
+  today, isValidDate, addDays, parseDateRange, inRange, WEEKDAYS, isValidTime, matchWeekday, weekdayOf, slotsOverlap,
+};
@@ -0,0 +1,134 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+// Shared file exports. A table is described by `columns` ([{ header, key, width }], width in Excel characters)
+// and `rows` (plain objects); rows are grouped by `row.section` into one sheet (xlsx) or block (pdf) per section.
+
+const EXPORT_FORMATS = ['xlsx', 'csv', 'pdf'];
+const CONTENT_TYPES = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv; charset=utf-8',
+  pdf: 'application/pdf',
+};
+const NO_SECTION = 'No section';
+
+const groupBySection = (rows) => {
+  const groups = new Map();
+  rows.forEach((row) => {
+    const section = row.section || NO_SECTION;
+    if (!groups.has(section)) groups.set(section, []);
+    groups.get(section).push(row);
+  });
+  return new Map([...groups.entries()].sort(([a], [b]) => a.localeCompare(b)));
+};
+
+const cellValue = (value) => (value === undefined || value === null ? '' : value);
+
+// Excel sheet names are limited to 31 characters and may not contain []:*?/\
+const sheetName = (section) => `Section ${section}`.replace(/[[\]:*?/\\]/g, '-').slice(0, 31);
+
+const buildWorkbook = async ({ title, columns, rows }) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.title = title;
+  const groups = groupBySection(rows);
+  if (!groups.size) {
+    groups.set(NO_SECTION, []);
+  }
+  groups.forEach((sectionRows, section) => {
+    const worksheet = workbook.addWorksheet(section === NO_SECTION ? NO_SECTION : sheetName(section), {
+      views: [{ state: 'frozen', ySplit: 1 }],
+    });
+    worksheet.columns = columns.map(({ header, key, width }) => ({ header, key, width }));
+    const header = worksheet.getRow(1);
+    header.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF2F5597' } };
+    header.alignment = { vertical: 'middle' };
+    sectionRows.forEach(row => worksheet.addRow(Object.fromEntries(columns.map(({ key }) => [key, cellValue(row[key])]))));
+    worksheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+  });
+  return workbook.xlsx.writeBuffer();
+};
+
+const csvField = (value) => {
+  const text = String(cellValue(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const buildCsv = ({ columns, rows }) => {
+  const lines = [columns.map(c => csvField(c.header)).join(',')];
+  rows.forEach(row => lines.push(columns.map(c => csvField(row[c.key])).join(',')));
+  return Buffer.from(`${lines.join('\r\n')}\r\n`, 'utf-8');
+};
+
+// A printable landscape table per section, repeating the header row on every page
+const buildPdf = ({ title, columns, rows }) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const usable = doc.page.width - left - doc.page.margins.right;
+  const totalWidth = columns.reduce((sum, c) => sum + c.width, 0);
+  const widths = columns.map(c => (c.width / totalWidth) * usable);
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+  const drawRow = (values, { bold = false } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    const height = Math.max(...values.map((value, i) => doc.heightOfString(String(value), { width: widths[i] - 6 }))) + 6;
+    if (doc.y + height > bottom()) {
+      doc.addPage();
+      if (!bold) drawRow(columns.map(c => c.header), { bold: true });
+    }
+    const top = doc.y;
+    let x = left;
+    values.forEach((value, i) => {
+      doc.text(String(value), x + 3, top + 3, { width: widths[i] - 6 });
+      x += widths[i];
+    });
+    doc.moveTo(left, top + height).lineTo(left + usable, top + height).strokeColor('#cccccc').stroke();
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  doc.font('Helvetica-Bold').fontSize(16).text(title);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555').text(`Generated ${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC`);
+  doc.fillColor('black').moveDown();
+  const groups = groupBySection(rows);
+  if (!groups.size) {
+    doc.fontSize(11).text('No records match the selected filters.');
+  }
+  groups.forEach((sectionRows, section) => {
+    if (doc.y + 60 > bottom()) doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(12).text(section === NO_SECTION ? NO_SECTION : `Section ${section}`, left);
+    doc.moveDown(0.3);
+    drawRow(columns.map(c => c.header), { bold: true });
+    sectionRows.forEach(row => drawRow(columns.map(c => cellValue(row[c.key]))));
+    doc.moveDown();
+  });
+  doc.end();
+});
+
+const BUILDERS = { xlsx: buildWorkbook, csv: buildCsv, pdf: buildPdf };
+
+// Builds the export in `format` and sends it as a download named `<fileName>.<format>`
+const sendExport = async (res, format, { fileName, ...table }) => {
+  const buffer = await BUILDERS[format](table);
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename=${fileName}.${format}`);
+  res.send(buffer);
+};
+
+// Format from ?format=, xlsx by default; undefined when unsupported, including a repeated ?format=
+const parseExportFormat = (format) => {
+  if (format === undefined || format === '') {
+    return 'xlsx';
+  }
+  if (typeof format !== 'string') {
+    return undefined;
+  }
+  return EXPORT_FORMATS.includes(format.toLowerCase()) ? format.toLowerCase() : undefined;
+};
+
+module.exports = { EXPORT_FORMATS, parseExportFormat, sendExport, sheetName };
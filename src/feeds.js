@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('./middleware/middleware');
+const { hashToken } = require('./passwords');
+const { buildCalendar, formatDate } = require('./icalendar');
+const { displayName } = require('./profiles');
+const { loadCalendar, appliesTo } = require('./schoolCalendar');
+const { listSubjects, matchSubject, isTaughtIn } = require('./subjects');
+const { today, addDays, weekdayOf } = require('./dates');
+const { getRepository } = require('./storage/storage');
+
+const feedsRepo = getRepository('calendarFeeds');
+const usersRepo = getRepository('users');
+const routinesRepo = getRepository('routines');
+const examsRepo = getRepository('exams');
+const substitutionsRepo = getRepository('substitutions');
+
+// Calendar feeds that calendar apps subscribe to. Each user has at most one feed token, and only its hash is
+// stored: { userId, tokenHash, createdAt }. The feed holds the routine entries the user sees in GET /routines
+// as weekly events, one series per term that skips the section's holidays, plus the holidays, exam periods and
+// events of the user's sections and the dated exams of subjects taught there. A teacher's series also skip the
+// days a substitute takes the lesson, and the lessons they cover for someone else are single events.
+
+// The routine entries in a user's feed: their own lessons, their section's and their children's sections'.
+// Resolves to { routines, sections }, where `sections` are the sections those lessons are for.
+const feedRoutines = async (user) => {
+  const sections = new Set(user.section ? [user.section] : []);
+  if (user.children?.length) {
+    const children = await usersRepo.find(u => user.children.includes(u.id));
+    children.forEach(child => child.section && sections.add(child.section));
+  }
+  const routines = await routinesRepo.find(r => r.startTime && (r.teacherId === user.id || sections.has(r.section)));
+  routines.forEach(r => sections.add(r.section));
+  return { routines, sections: [...sections] };
+};
+
+const firstWeekday = (date, day) => {
+  let current = date;
+  while (weekdayOf(current) !== day) {
+    current = addDays(current, 1);
+  }
+  return current;
+};
+
+// The dates on `day` between `from` and `to` (open-ended when null) that fall in one of the section's holidays
+const holidayDates = (holidays, section, day, from, to) => holidays.filter(h => appliesTo(h, [section])).flatMap((holiday) => {
+  const dates = [];
+  for (let date = holiday.startDate < from ? from : holiday.startDate; date <= holiday.endDate && (!to || date <= to); date = addDays(date, 1)) {
+    if (weekdayOf(date) === day) {
+      dates.push(date);
+    }
+  }
+  return dates;
+});
+
+// One weekly series per term, or a single open-ended one from today when no terms exist. `skipped` are further
+// dates to leave out.
+const routineEvents = (routine, terms, holidays, usersById, skipped) => {
+  const ranges = terms.length
+    ? terms.map(t => ({ termId: t.id, from: t.startDate, to: t.endDate }))
+    : [{ termId: null, from: today(), to: null }];
+  return ranges.map(({ termId, from, to }) => {
+    const date = firstWeekday(from, routine.day);
+    if (to && date > to) {
+      return null;
+    }
+    return {
+      uid: `routine-${routine.id}${termId ? `-term-${termId}` : ''}@school-app`,
+      summary: `${routine.subject} (${routine.section})`,
+      description: `Teacher: ${displayName(usersById.get(routine.teacherId))}`,
+      location: routine.room,
+      date,
+      startTime: routine.startTime,
+      endTime: routine.endTime,
+      rrule: `FREQ=WEEKLY${to ? `;UNTIL=${formatDate(to)}T235959` : ''}`,
+      exdates: [...holidayDates(holidays, routine.section, routine.day, date, to), ...skipped.filter(d => d >= date && (!to || d <= to))],
+    };
+  }).filter(Boolean);
+};
+
+// Describes the sections a holiday, exam period or event is for, when it is not the whole school
+const sectionsNote = entry => (entry.sections?.length ? `Sections: ${entry.sections.join(', ')}` : null);
+
+// An event with times happens at those times on each of its days
+const eventEntry = event => ({
+  uid: `event-${event.id}@school-app`,
+  summary: event.name,
+  description: [event.description, sectionsNote(event)].filter(Boolean).join('\n'),
+  date: event.startDate,
+  ...(event.startTime
+    ? { startTime: event.startTime, endTime: event.endTime, rrule: event.endDate > event.startDate ? `FREQ=DAILY;UNTIL=${formatDate(event.endDate)}T235959` : null }
+    : { endDate: event.endDate }),
+});
+
+// A lesson the user covers for its teacher on one date
+const substitutionEntry = (substitution, routine, usersById) => ({
+  uid: `substitution-${substitution.id}@school-app`,
+  summary: `${routine.subject} (${routine.section})`,
+  description: `Covering for ${displayName(usersById.get(routine.teacherId))}`,
+  location: routine.room,
+  date: substitution.date,
+  startTime: routine.startTime,
+  endTime: routine.endTime,
+});
+
+const buildFeed = async (user) => {
+  const [{ routines, sections }, calendar, exams, users, catalogue, covering, givenAway] = await Promise.all([
+    feedRoutines(user), loadCalendar(), examsRepo.all(), usersRepo.all(), listSubjects(),
+    substitutionsRepo.find(s => s.substituteId === user.id),
+    substitutionsRepo.find(s => s.teacherId === user.id && s.substituteId !== user.id),
+  ]);
+  const { terms, holidays } = calendar;
+  const usersById = new Map(users.map(u => [u.id, u]));
+  const termsById = new Map(terms.map(t => [t.id, t]));
+  const relevant = entry => appliesTo(entry, sections);
+  const examRelevant = exam => !exam.subjects.length || exam.subjects.some((name) => {
+    const subject = matchSubject(catalogue, name);
+    return subject && sections.some(section => isTaughtIn(subject, section));
+  });
+  const coveredRoutines = await routinesRepo.find(r => covering.some(s => s.routineId === r.id));
+  // Only the teacher's own series lose the dates: the section still has the lesson, with the substitute
+  const skippedDates = routine => (routine.teacherId === user.id
+    ? givenAway.filter(s => s.routineId === routine.id).map(s => s.date)
+    : []);
+  return buildCalendar({
+    name: `School calendar for ${displayName(user)}`,
+    events: [
+      ...routines.flatMap(routine => routineEvents(routine, terms, holidays, usersById, skippedDates(routine))),
+      ...covering.map(s => [s, coveredRoutines.find(r => r.id === s.routineId)])
+        .filter(([, routine]) => routine)
+        .map(([s, routine]) => substitutionEntry(s, routine, usersById)),
+      ...holidays.filter(relevant).map(h => ({
+        uid: `holiday-${h.id}@school-app`,
+        summary: h.name,
+        description: ['Holiday', sectionsNote(h)].filter(Boolean).join('\n'),
+        date: h.startDate,
+        endDate: h.endDate,
+      })),
+      ...calendar.examPeriods.filter(relevant).map(p => ({
+        uid: `exam-period-${p.id}@school-app`,
+        summary: p.name,
+        description: ['Exam period', sectionsNote(p)].filter(Boolean).join('\n'),
+        date: p.startDate,
+        endDate: p.endDate,
+      })),
+      ...calendar.events.filter(relevant).map(eventEntry),
+      ...exams.filter(e => e.date && examRelevant(e)).map(e => ({
+        uid: `exam-${e.id}@school-app`,
+        summary: `${e.name} (${termsById.get(e.termId)?.name})`,
+        description: e.subjects.length ? `Subjects: ${e.subjects.join(', ')}` : 'All subjects',
+        date: e.date,
+      })),
+    ],
+  });
+};
+
+// POST /feeds/token: Issue a feed URL for the signed-in user. An earlier URL stops working.
+router.post('/token', authenticate, async (req, res) => {
+  try {
+    const token = crypto.randomBytes(24).toString('hex');
+    await feedsRepo.mutate((feeds) => {
+      const kept = feeds.filter(f => f.userId !== req.user.id);
+      kept.push({ userId: req.user.id, tokenHash: hashToken(token), createdAt: new Date().toISOString() });
+      feeds.splice(0, feeds.length, ...kept);
+    });
+    res.status(201).json({ token, url: `${req.protocol}://${req.get('host')}/feeds/${token}.ics` });
+  } catch (error) {
+    console.error('Feed token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// DELETE /feeds/token: Revoke the signed-in user's feed URL
+router.delete('/token', authenticate, async (req, res) => {
+  try {
+    const removed = await feedsRepo.remove(f => f.userId === req.user.id);
+    if (!removed) {
+      return res.status(404).json({ message: 'You have no calendar feed' });
+    }
+    res.json({ message: 'Calendar feed revoked' });
+  } catch (error) {
+    console.error('Feed revoke error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /feeds/:token.ics: The calendar itself. The token in the URL is the only credential, since calendar
+// apps cannot send an Authorization header.
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const feed = await feedsRepo.findOne(f => f.tokenHash === hashToken(req.params.token));
+    const user = feed && await usersRepo.findOne(u => u.id === feed.userId && u.active !== false);
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename=school.ics');
+    res.send(await buildFeed(user));
+  } catch (error) {
+    console.error('Feed error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
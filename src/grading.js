@@ -0,0 +1,290 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requirePermission } = require('./middleware/middleware');
+const { listSubjects, matchSubject } = require('./subjects');
+const { getRepository } = require('./storage/storage');
+const { nextId } = require('./storage/sequences');
+
+const schemesRepo = getRepository('gradingSchemes');
+const marksRepo = getRepository('marks');
+const examsRepo = getRepository('exams');
+const usersRepo = getRepository('users');
+
+// Grading schemes: { id, name, version, bands, sections, subjects, isDefault, history, createdAt, updatedAt }.
+// `bands` are [{ min, grade, points, remark }] sorted from the highest `min` (a percentage) down to 0. A mark
+// is graded by the scheme assigned to its subject, else the one assigned to the student's section, else the
+// default scheme. Changing the bands bumps `version` (the old bands move into `history`), and every change
+// regrades all marks in one write, so each mark's grade matches the scheme version recorded on it.
+const STANDARD_BANDS = [
+  { min: 90, grade: 'A', points: 4, remark: 'Excellent' },
+  { min: 80, grade: 'B', points: 3, remark: 'Very good' },
+  { min: 70, grade: 'C', points: 2, remark: 'Good' },
+  { min: 60, grade: 'D', points: 1, remark: 'Satisfactory' },
+  { min: 0, grade: 'F', points: 0, remark: 'Needs improvement' },
+];
+const MAX_BANDS = 20;
+
+// An empty collection starts with the standard A-F scheme as the default
+const listSchemes = async () => {
+  const schemes = await schemesRepo.all();
+  if (schemes.length) {
+    return schemes;
+  }
+  return schemesRepo.mutate(async (stored) => {
+    if (!stored.length) {
+      const now = new Date().toISOString();
+      stored.push({
+        id: await nextId('gradingSchemes', stored),
+        name: 'Standard',
+        version: 1,
+        bands: STANDARD_BANDS,
+        sections: [],
+        subjects: [],
+        isDefault: true,
+        history: [],
+        createdAt: now,
+        updatedAt: now,
+      });
+    }
+    return [...stored];
+  });
+};
+
+const bandFor = (bands, percentage) => bands.find(b => percentage >= b.min) || bands[bands.length - 1];
+
+// Returns grade(percentage, { subject, section }) => { grade, gradePoints, remark, gradingSchemeId, gradingSchemeVersion }
+const createGrader = (schemes) => (percentage, { subject, section }) => {
+  const scheme = schemes.find(s => s.subjects.includes(subject)) ||
+    schemes.find(s => section && s.sections.includes(section)) ||
+    schemes.find(s => s.isDefault);
+  const band = bandFor(scheme.bands, percentage);
+  return {
+    grade: band.grade,
+    gradePoints: band.points,
+    remark: band.remark,
+    gradingSchemeId: scheme.id,
+    gradingSchemeVersion: scheme.version,
+  };
+};
+
+const loadGrader = async () => createGrader(await listSchemes());
+
+// Recomputes the grade of every mark with the current schemes. Resolves to the number of marks that changed.
+const regradeMarks = async () => {
+  const subjects = await listSubjects();
+  const examsById = new Map((await examsRepo.all()).map(e => [e.id, e]));
+  const sections = new Map((await usersRepo.all()).map(u => [u.id, u.section]));
+  return marksRepo.mutate(async (marks) => {
+    // Loaded inside the write, like when a mark is saved, so the latest schemes win
+    const grade = await loadGrader();
+    let changed = 0;
+    marks.forEach((mark, index) => {
+      const maxMarks = examsById.get(mark.examId)?.maxMarks ?? matchSubject(subjects, mark.subject)?.maxMarks ?? 100;
+      const { remark, ...result } = grade((mark.marks / maxMarks) * 100, { subject: mark.subject, section: sections.get(mark.userId) });
+      if (Object.keys(result).some(key => mark[key] !== result[key])) {
+        marks[index] = { ...mark, ...result };
+        changed += 1;
+      }
+    });
+    return changed;
+  });
+};
+
+const checkBands = (bands) => {
+  if (!Array.isArray(bands) || !bands.length || bands.length > MAX_BANDS) {
+    return `bands must be a list of 1 to ${MAX_BANDS} { min, grade, points, remark } entries`;
+  }
+  for (const band of bands) {
+    if (typeof band?.min !== 'number' || band.min < 0 || band.min > 100) {
+      return 'Each band needs a min percentage between 0 and 100';
+    }
+    if (typeof band.grade !== 'string' || !band.grade.trim() || band.grade.trim().length > 10) {
+      return 'Each band needs a grade of 1 to 10 characters';
+    }
+    if (typeof band.points !== 'number' || band.points < 0 || band.points > 10) {
+      return 'Each band needs grade points between 0 and 10';
+    }
+    if (band.remark !== undefined && band.remark !== null && (typeof band.remark !== 'string' || band.remark.length > 100)) {
+      return 'A band remark must be text of at most 100 characters';
+    }
+  }
+  if (new Set(bands.map(b => b.min)).size !== bands.length || new Set(bands.map(b => b.grade.trim())).size !== bands.length) {
+    return 'Bands must have different min percentages and grades';
+  }
+  if (!bands.some(b => b.min === 0)) {
+    return 'One band must start at 0 so that every mark gets a grade';
+  }
+  return null;
+};
+
+// Checks a scheme merged over `existing` against the other schemes. Returns { scheme } or { message }.
+const validateScheme = async (body, others, existing = {}) => {
+  const { name, bands, sections = [], subjects = [], isDefault = false } = { ...existing, ...body };
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+    return { message: 'name must be 1 to 100 characters' };
+  }
+  const bandsError = checkBands(bands);
+  if (bandsError) {
+    return { message: bandsError };
+  }
+  if (!Array.isArray(sections) || !sections.every(s => typeof s === 'string' && s.trim())) {
+    return { message: 'sections must be a list of section names' };
+  }
+  if (!Array.isArray(subjects)) {
+    return { message: 'subjects must be a list of subject names' };
+  }
+  if (typeof isDefault !== 'boolean') {
+    return { message: 'isDefault must be true or false' };
+  }
+  if (existing.isDefault && !isDefault) {
+    return { message: 'Make another scheme the default instead' };
+  }
+  const catalogue = await listSubjects();
+  const subjectNames = [];
+  for (const subject of subjects) {
+    const entry = matchSubject(catalogue, subject);
+    if (!entry) {
+      return { message: `Unknown subject: ${subject}` };
+    }
+    subjectNames.push(entry.name);
+  }
+  const sectionNames = [...new Set(sections.map(s => s.trim()))];
+  const takenSection = others.find(s => s.sections.some(section => sectionNames.includes(section)));
+  if (takenSection) {
+    return { message: `A section in this list already uses the ${takenSection.name} scheme` };
+  }
+  const takenSubject = others.find(s => s.subjects.some(subject => subjectNames.includes(subject)));
+  if (takenSubject) {
+    return { message: `A subject in this list already uses the ${takenSubject.name} scheme` };
+  }
+  return {
+    scheme: {
+      name: name.trim(),
+      bands: bands
+        .map(({ min, grade, points, remark }) => ({ min, grade: grade.trim(), points, remark: remark?.trim() || '' }))
+        .sort((a, b) => b.min - a.min),
+      sections: sectionNames,
+      subjects: [...new Set(subjectNames)],
+      isDefault,
+    },
+  };
+};
+
+// GET /grading-schemes: Every grading scheme
+router.get('/', authenticate, async (req, res) => {
+  try {
+    res.json(await listSchemes());
+  } catch (error) {
+    console.error('Grading schemes GET error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /grading-schemes/:id: One scheme, with its earlier versions in `history`
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const scheme = (await listSchemes()).find(s => s.id === parseInt(req.params.id));
+    if (!scheme) {
+      return res.status(404).json({ message: 'Grading scheme not found' });
+    }
+    res.json(scheme);
+  } catch (error) {
+    console.error('Grading scheme GET error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /grading-schemes: Add a scheme { name, bands, sections, subjects, isDefault } and regrade the marks
+router.post('/', authenticate, requirePermission('grading:manage'), async (req, res) => {
+  try {
+    await listSchemes();
+    const result = await schemesRepo.mutate(async (schemes) => {
+      const { scheme, message } = await validateScheme(req.body || {}, schemes);
+      if (!scheme) {
+        return { message };
+      }
+      if (scheme.isDefault) {
+        schemes.forEach((s) => { s.isDefault = false; });
+      }
+      const now = new Date().toISOString();
+      const created = { id: await nextId('gradingSchemes', schemes), ...scheme, version: 1, history: [], createdAt: now, updatedAt: now };
+      schemes.push(created);
+      return { scheme: created };
+    });
+    if (!result.scheme) {
+      return res.status(400).json({ message: result.message });
+    }
+    const regraded = await regradeMarks();
+    console.log('Grading scheme created:', { id: result.scheme.id, regraded });
+    res.status(201).json(result.scheme);
+  } catch (error) {
+    console.error('Grading scheme POST error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// PATCH /grading-schemes/:id: Change a scheme and regrade the marks. New bands make a new version.
+router.patch('/:id', authenticate, requirePermission('grading:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    await listSchemes();
+    const result = await schemesRepo.mutate(async (schemes) => {
+      const index = schemes.findIndex(s => s.id === id);
+      if (index === -1) {
+        return { status: 404, message: 'Grading scheme not found' };
+      }
+      const existing = schemes[index];
+      const { scheme, message } = await validateScheme(req.body || {}, schemes.filter(s => s.id !== id), existing);
+      if (!scheme) {
+        return { status: 400, message };
+      }
+      if (scheme.isDefault) {
+        schemes.forEach((s) => { s.isDefault = false; });
+      }
+      const now = new Date().toISOString();
+      const bandsChanged = JSON.stringify(scheme.bands) !== JSON.stringify(existing.bands);
+      schemes[index] = {
+        ...existing,
+        ...scheme,
+        ...(bandsChanged && {
+          version: existing.version + 1,
+          history: [...existing.history, { version: existing.version, bands: existing.bands, updatedAt: existing.updatedAt }],
+        }),
+        updatedAt: now,
+      };
+      return { scheme: schemes[index] };
+    });
+    if (!result.scheme) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    const regraded = await regradeMarks();
+    console.log('Grading scheme updated:', { id, version: result.scheme.version, regraded });
+    res.json(result.scheme);
+  } catch (error) {
+    console.error('Grading scheme PATCH error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// DELETE /grading-schemes/:id: Remove a scheme other than the default; its marks are regraded by the remaining ones
+router.delete('/:id', authenticate, requirePermission('grading:manage'), async (req, res) => {
+  try {
+    const scheme = (await listSchemes()).find(s => s.id === parseInt(req.params.id));
+    if (!scheme) {
+      return res.status(404).json({ message: 'Grading scheme not found' });
+    }
+    if (scheme.isDefault) {
+      return res.status(400).json({ message: 'The default grading scheme cannot be deleted' });
+    }
+    await schemesRepo.remove(s => s.id === scheme.id);
+    await regradeMarks();
+    res.json({ message: 'Grading scheme deleted' });
+  } catch (error) {
+    console.error('Grading scheme DELETE error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
+module.exports.loadGrader = loadGrader;
+module.exports.regradeMarks = regradeMarks;
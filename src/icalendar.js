@@ -0,0 +1,73 @@
+// Writes iCalendar (RFC 5545) text. Events are
+// { uid, summary, description, location, date, endDate } for all-day events (endDate inclusive), or
+// { uid, summary, description, location, date, startTime, endTime, rrule, exdates } for timed ones, where `date`
+// is the first occurrence, the times are HH:MM in the school's local time (written as floating times, which
+// calendar apps show in the device's time zone), `rrule` is an RRULE value and `exdates` lists skipped dates.
+const { addDays } = require('./dates');
+
+const PRODUCT_ID = '-//School App//Calendar feed//EN';
+
+const escapeText = value => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const formatDate = date => date.replace(/-/g, '');
+const formatDateTime = (date, time) => `${formatDate(date)}T${time.replace(':', '')}00`;
+const utcStamp = () => new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const eventLines = (event, stamp) => {
+  const lines = ['BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`];
+  if (event.startTime) {
+    lines.push(`DTSTART:${formatDateTime(event.date, event.startTime)}`, `DTEND:${formatDateTime(event.date, event.endTime)}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.date)}`, `DTEND;VALUE=DATE:${formatDate(addDays(event.endDate || event.date, 1))}`);
+  }
+  if (event.rrule) {
+    lines.push(`RRULE:${event.rrule}`);
+  }
+  (event.exdates || []).forEach(date => lines.push(`EXDATE:${formatDateTime(date, event.startTime)}`));
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+const buildCalendar = ({ name, events }) => {
+  const stamp = utcStamp();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(event => eventLines(event, stamp)),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = { buildCalendar, formatDate };
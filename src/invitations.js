@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const { getRepository } = require('./storage/storage');
+const { nextId } = require('./storage/sequences');
+
+const invitationsRepo = getRepository('invitations');
+
+// Admin-issued invitation codes let someone sign up as a given userType (and section) without an
+// Admin token: { id, code, userType, section, email, maxUses, uses, expiresAt, createdBy, createdAt, revokedAt }
+
+const DEFAULT_EXPIRES_IN_DAYS = 7;
+
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+const createInvitation = ({ userType, section, email, maxUses, expiresInDays, createdBy }) =>
+  invitationsRepo.mutate(async (invitations) => {
+    const days = expiresInDays || DEFAULT_EXPIRES_IN_DAYS;
+    const invitation = {
+      id: await nextId('invitations', invitations),
+      code: crypto.randomBytes(6).toString('hex').toUpperCase(),
+      userType,
+      ...(section && { section }),
+      ...(email && { email }),
+      maxUses: maxUses || 1,
+      uses: 0,
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString(),
+      createdBy,
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+    };
+    invitations.push(invitation);
+    return invitation;
+  });
+
+// Returns an error message when the invitation cannot be used for this signup, or null
+const checkInvitation = (invitation, { email, userType }) => {
+  if (!invitation || invitation.revokedAt || Date.parse(invitation.expiresAt) <= Date.now() || invitation.uses >= invitation.maxUses) {
+    return 'Invalid or expired invitation code';
+  }
+  if (userType && invitation.userType !== userType) {
+    return `This invitation code is for ${invitation.userType} accounts`;
+  }
+  if (invitation.email && email && invitation.email.toLowerCase() !== email.toLowerCase()) {
+    return 'This invitation code was issued for a different email';
+  }
+  return null;
+};
+
+const findInvitation = (code) => invitationsRepo.findOne(i => i.code === normalizeCode(code));
+
+// Atomically checks the invitation and counts one use. Returns an error message, or null once redeemed.
+const redeemInvitation = (code, signup) =>
+  invitationsRepo.mutate((invitations) => {
+    const invitation = invitations.find(i => i.code === normalizeCode(code));
+    const error = checkInvitation(invitation, signup);
+    if (!error) {
+      invitation.uses += 1;
+    }
+    return error;
+  });
+
+const listInvitations = () => invitationsRepo.all();
+
+const revokeInvitation = async (id) => {
+  const [invitation] = await invitationsRepo.update(i => i.id === id, { revokedAt: new Date().toISOString() });
+  return invitation || null;
+};
+
+module.exports = { createInvitation, checkInvitation, findInvitation, redeemInvitation, listInvitations, revokeInvitation };
@@ -0,0 +1,355 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requirePermission } = require('./middleware/middleware');
+const { hasPermission } = require('./permissions');
+const { notifyUsers } = require('./notifications');
+const { listSubjects, matchSubject } = require('./subjects');
+const { displayName } = require('./profiles');
+const { loadCalendar, isSchoolDay } = require('./schoolCalendar');
+const { isValidDate, addDays, weekdayOf, slotsOverlap } = require('./dates');
+const { getRepository } = require('./storage/storage');
+const { nextId } = require('./storage/sequences');
+
+const leaveRepo = getRepository('leaveRequests');
+const substitutionsRepo = getRepository('substitutions');
+const routinesRepo = getRepository('routines');
+const usersRepo = getRepository('users');
+
+// Teacher leave: { id, teacherId, startDate, endDate, reason, status, createdAt, reviewedBy, reviewedAt, note }.
+// A request is 'pending' until someone with leave:manage approves or rejects it, and its teacher can cancel it
+// until then. The lessons an approved leave leaves uncovered can be given to substitutes, stored as dated
+// overrides of a routine entry: { id, leaveId, routineId, date, teacherId, substituteId, createdBy, createdAt }.
+const MAX_REASON_LENGTH = 500;
+const MAX_LEAVE_DAYS = 90;
+
+const leaveDays = ({ startDate, endDate }) => {
+  const dates = [];
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+};
+
+// The lessons a leave takes its teacher away from, as { date, routine } pairs
+const affectedLessons = async (leave) => {
+  const [routines, calendar] = await Promise.all([
+    routinesRepo.find(r => r.teacherId === leave.teacherId && r.startTime), loadCalendar(),
+  ]);
+  return leaveDays(leave)
+    .flatMap(date => routines
+      .filter(r => r.day === weekdayOf(date) && isSchoolDay(calendar, date, r.section))
+      .sort((a, b) => a.startTime.localeCompare(b.startTime))
+      .map(routine => ({ date, routine })));
+};
+
+// Loads what finding a free teacher on `date` needs to know. Inside substitutionsRepo.mutate, pass its
+// `allSubstitutions` so the day is worked out from what is about to be saved.
+const loadDay = async (date, allSubstitutions) => {
+  const day = weekdayOf(date);
+  const [routines, leaves] = await Promise.all([
+    routinesRepo.find(r => r.day === day && r.startTime),
+    leaveRepo.find(l => l.status === 'approved' && l.startDate <= date && date <= l.endDate),
+  ]);
+  const substitutions = (allSubstitutions || await substitutionsRepo.all()).filter(s => s.date === date);
+  // Each teacher's lessons that day, with the ones given to substitutes moved to the substitute
+  const lessons = new Map();
+  const addLesson = (teacherId, routine) => lessons.set(teacherId, [...(lessons.get(teacherId) || []), routine]);
+  routines.forEach((routine) => {
+    const substitution = substitutions.find(s => s.routineId === routine.id);
+    addLesson(substitution ? substitution.substituteId : routine.teacherId, routine);
+  });
+  return { substitutions, lessons, onLeave: new Set(leaves.map(l => l.teacherId)) };
+};
+
+// Why `teacher` cannot take `routine` on the loaded day, or null when they are free
+const unavailableReason = (teacher, routine, { lessons, onLeave }) => {
+  if (onLeave.has(teacher.id)) {
+    return `${displayName(teacher)} is on leave that day`;
+  }
+  if ((lessons.get(teacher.id) || []).some(r => r.id !== routine.id && slotsOverlap(r, routine))) {
+    return `${displayName(teacher)} is teaching another lesson at that time`;
+  }
+  return null;
+};
+
+// Whether the lesson's subject is in the teacher's profile `subjects`
+const isQualified = (teacher, routine, catalogue) =>
+  (teacher.subjects || []).some(s => matchSubject(catalogue, s)?.name === routine.subject);
+
+// Active teachers who are free for the lesson and qualified for it, the least busy that day first
+const suggestSubstitutes = (routine, day, teachers, catalogue) => teachers
+  .filter(t => t.id !== routine.teacherId && isQualified(t, routine, catalogue) && !unavailableReason(t, routine, day))
+  .map(t => ({ teacherId: t.id, name: displayName(t), lessonsThatDay: (day.lessons.get(t.id) || []).length }))
+  .sort((a, b) => a.lessonsThatDay - b.lessonsThatDay || a.teacherId - b.teacherId);
+
+// The affected lessons of an approved leave, each with its substitution and, while it has none, suggestions
+const leaveSlots = async (leave) => {
+  const lessons = await affectedLessons(leave);
+  const [teachers, catalogue] = await Promise.all([
+    usersRepo.find(u => u.userType === 'Teacher' && u.active !== false), listSubjects(),
+  ]);
+  const days = new Map();
+  const slots = [];
+  for (const { date, routine } of lessons) {
+    if (!days.has(date)) {
+      days.set(date, await loadDay(date));
+    }
+    const day = days.get(date);
+    const substitution = day.substitutions.find(s => s.routineId === routine.id) || null;
+    slots.push({
+      date,
+      routine,
+      substitution,
+      suggestions: substitution ? [] : suggestSubstitutes(routine, day, teachers, catalogue),
+    });
+  }
+  return slots;
+};
+
+// Checks a leave request body. Returns { leave } with the fields to store, or { message }.
+const validateLeave = ({ startDate, endDate, reason }) => {
+  if (!isValidDate(startDate) || !isValidDate(endDate)) {
+    return { message: 'startDate and endDate must be dates in YYYY-MM-DD format' };
+  }
+  if (startDate > endDate) {
+    return { message: 'startDate must not be after endDate' };
+  }
+  if (addDays(startDate, MAX_LEAVE_DAYS - 1) < endDate) {
+    return { message: `A leave request can cover at most ${MAX_LEAVE_DAYS} days` };
+  }
+  if (typeof reason !== 'string' || !reason.trim() || reason.trim().length > MAX_REASON_LENGTH) {
+    return { message: `reason must be 1 to ${MAX_REASON_LENGTH} characters` };
+  }
+  return { leave: { startDate, endDate, reason: reason.trim() } };
+};
+
+// Loads the leave request in the URL for a user who may see it. Resolves to { leave } or { status, message }.
+const loadLeave = async (req) => {
+  const leave = await leaveRepo.findOne(l => l.id === parseInt(req.params.id));
+  if (!leave) {
+    return { status: 404, message: 'Leave request not found' };
+  }
+  if (leave.teacherId !== req.user.id && !(await hasPermission(req.user, 'leave:manage'))) {
+    return { status: 403, message: 'Unauthorized to view this leave request' };
+  }
+  return { leave };
+};
+
+// POST /leave: Request leave { startDate, endDate, reason } for the signed-in teacher
+router.post('/', authenticate, requirePermission('leave:request'), async (req, res) => {
+  try {
+    const { leave, message } = validateLeave(req.body || {});
+    if (!leave) {
+      return res.status(400).json({ message });
+    }
+    const result = await leaveRepo.mutate(async (leaves) => {
+      const overlapping = leaves.find(l => l.teacherId === req.user.id && ['pending', 'approved'].includes(l.status)
+        && l.startDate <= leave.endDate && leave.startDate <= l.endDate);
+      if (overlapping) {
+        return { message: `These dates overlap leave request ${overlapping.id}` };
+      }
+      const created = {
+        id: await nextId('leaveRequests', leaves),
+        teacherId: req.user.id,
+        ...leave,
+        status: 'pending',
+        createdAt: new Date().toISOString(),
+        reviewedBy: null,
+        reviewedAt: null,
+        note: null,
+      };
+      leaves.push(created);
+      return { leave: created };
+    });
+    if (!result.leave) {
+      return res.status(409).json({ message: result.message });
+    }
+    res.status(201).json(result.leave);
+  } catch (error) {
+    console.error('Leave request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /leave?status=&teacherId=: Every leave request with leave:manage, otherwise the user's own
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const manager = await hasPermission(req.user, 'leave:manage');
+    const teacherId = req.query.teacherId ? parseInt(req.query.teacherId) : null;
+    const leaves = await leaveRepo.find(l => (manager || l.teacherId === req.user.id)
+      && (!req.query.status || l.status === req.query.status)
+      && (!teacherId || l.teacherId === teacherId));
+    res.json(leaves.sort((a, b) => b.startDate.localeCompare(a.startDate) || b.id - a.id));
+  } catch (error) {
+    console.error('Leave list error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /leave/:id: A leave request with its affected lessons, their substitutes and, for lessons still
+// uncovered, suggested substitutes (only with leave:manage)
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const { leave, status, message } = await loadLeave(req);
+    if (!leave) {
+      return res.status(status).json({ message });
+    }
+    const slots = await leaveSlots(leave);
+    if (!(await hasPermission(req.user, 'leave:manage'))) {
+      slots.forEach((slot) => { delete slot.suggestions; });
+    }
+    res.json({ ...leave, slots });
+  } catch (error) {
+    console.error('Leave GET error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /leave/:id/approve and /leave/:id/reject { note }: Decide a pending request. Approving answers with the
+// affected lessons and suggested substitutes, like GET /leave/:id.
+const review = status => async (req, res) => {
+  try {
+    const note = req.body?.note;
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_REASON_LENGTH)) {
+      return res.status(400).json({ message: `note must be at most ${MAX_REASON_LENGTH} characters` });
+    }
+    const result = await leaveRepo.mutate((leaves) => {
+      const leave = leaves.find(l => l.id === parseInt(req.params.id));
+      if (!leave) {
+        return { status: 404, message: 'Leave request not found' };
+      }
+      if (leave.status !== 'pending') {
+        return { status: 409, message: `This leave request is already ${leave.status}` };
+      }
+      Object.assign(leave, { status, reviewedBy: req.user.id, reviewedAt: new Date().toISOString(), note: note?.trim() || null });
+      return { leave: { ...leave } };
+    });
+    if (!result.leave) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    const { leave } = result;
+    await notifyUsers([leave.teacherId], {
+      type: 'leave',
+      title: `Leave ${status}`,
+      message: `Your leave from ${leave.startDate} to ${leave.endDate} was ${status}${leave.note ? `: ${leave.note}` : ''}`,
+      data: { leaveId: leave.id },
+    });
+    res.json(status === 'approved' ? { ...leave, slots: await leaveSlots(leave) } : leave);
+  } catch (error) {
+    console.error('Leave review error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+router.post('/:id/approve', authenticate, requirePermission('leave:manage'), review('approved'));
+router.post('/:id/reject', authenticate, requirePermission('leave:manage'), review('rejected'));
+
+// POST /leave/:id/cancel: Withdraw a leave request. Teachers can cancel their own pending requests; with
+// leave:manage an approved leave can be cancelled too, which removes its substitutions.
+router.post('/:id/cancel', authenticate, async (req, res) => {
+  try {
+    const manager = await hasPermission(req.user, 'leave:manage');
+    const result = await leaveRepo.mutate((leaves) => {
+      const leave = leaves.find(l => l.id === parseInt(req.params.id));
+      if (!leave || (leave.teacherId !== req.user.id && !manager)) {
+        return { status: 404, message: 'Leave request not found' };
+      }
+      if (leave.status !== 'pending' && !(leave.status === 'approved' && manager)) {
+        return { status: 409, message: `This leave request is ${leave.status} and cannot be cancelled` };
+      }
+      leave.status = 'cancelled';
+      return { leave: { ...leave } };
+    });
+    if (!result.leave) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    await substitutionsRepo.remove(s => s.leaveId === result.leave.id);
+    res.json(result.leave);
+  } catch (error) {
+    console.error('Leave cancel error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /leave/:id/substitutions: Give one affected lesson { routineId, date } of an approved leave to a free
+// teacher { substituteId } qualified for its subject, replacing any earlier substitute for it
+router.post('/:id/substitutions', authenticate, requirePermission('leave:manage'), async (req, res) => {
+  try {
+    const { leave, status, message } = await loadLeave(req);
+    if (!leave) {
+      return res.status(status).json({ message });
+    }
+    if (leave.status !== 'approved') {
+      return res.status(409).json({ message: 'Substitutes can only be arranged for approved leave' });
+    }
+    const routineId = parseInt(req.body?.routineId);
+    const substituteId = parseInt(req.body?.substituteId);
+    const date = req.body?.date;
+    if (!routineId || !substituteId || !isValidDate(date)) {
+      return res.status(400).json({ message: 'routineId, date (YYYY-MM-DD) and substituteId are required' });
+    }
+    const lesson = (await affectedLessons(leave)).find(l => l.routine.id === routineId && l.date === date);
+    if (!lesson) {
+      return res.status(400).json({ message: 'That lesson is not affected by this leave' });
+    }
+    const substitute = await usersRepo.findOne(u => u.id === substituteId && u.userType === 'Teacher' && u.active !== false);
+    if (!substitute || substitute.id === leave.teacherId) {
+      return res.status(400).json({ message: 'Invalid substituteId' });
+    }
+    if (!isQualified(substitute, lesson.routine, await listSubjects())) {
+      return res.status(400).json({ message: `${displayName(substitute)} does not teach ${lesson.routine.subject}` });
+    }
+    // Checked against the substitutions being saved, so two requests at once cannot double-book the substitute
+    const result = await substitutionsRepo.mutate(async (substitutions) => {
+      const reason = unavailableReason(substitute, lesson.routine, await loadDay(date, substitutions));
+      if (reason) {
+        return { status: 409, message: reason };
+      }
+      const kept = substitutions.filter(s => !(s.routineId === routineId && s.date === date));
+      const created = {
+        id: await nextId('substitutions', substitutions),
+        leaveId: leave.id,
+        routineId,
+        date,
+        teacherId: leave.teacherId,
+        substituteId,
+        createdBy: req.user.id,
+        createdAt: new Date().toISOString(),
+      };
+      substitutions.splice(0, substitutions.length, ...kept, created);
+      return { substitution: created };
+    });
+    if (!result.substitution) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    const { substitution } = result;
+    const { routine } = lesson;
+    await notifyUsers([substituteId], {
+      type: 'substitution',
+      title: 'Substitution assigned',
+      message: `You are covering ${routine.subject} for section ${routine.section} on ${date}, ${routine.startTime}-${routine.endTime}`,
+      data: { substitutionId: substitution.id, routineId, date },
+    });
+    res.status(201).json(substitution);
+  } catch (error) {
+    console.error('Substitution error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// DELETE /leave/:id/substitutions/:substitutionId: Leave a lesson uncovered again
+router.delete('/:id/substitutions/:substitutionId', authenticate, requirePermission('leave:manage'), async (req, res) => {
+  try {
+    const removed = await substitutionsRepo.remove(s => s.id === parseInt(req.params.substitutionId)
+      && s.leaveId === parseInt(req.params.id));
+    if (!removed) {
+      return res.status(404).json({ message: 'Substitution not found' });
+    }
+    res.json({ message: 'Substitution removed' });
+  } catch (error) {
+    console.error('Substitution DELETE error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
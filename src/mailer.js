@@ -0,0 +1,66 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Outgoing mail goes through one pluggable mailer: { send({ to, subject, text }) }.
+// MAIL_TRANSPORT picks a built-in transport:
+//   outbox  (default) writes each message as a JSON file into MAIL_OUTBOX_DIR (default ./outbox)
+//   console logs each message
+// Deployments with a real mail service install their own mailer with setMailer().
+
+const getOutboxDir = () => process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox');
+
+const transports = {
+  outbox: () => ({
+    send: async (message) => {
+      const outboxDir = getOutboxDir();
+      await fs.mkdir(outboxDir, { recursive: true });
+      const sentAt = new Date().toISOString();
+      const file = path.join(outboxDir, `${Date.now()}-${uuidv4()}.json`);
+      await fs.writeFile(file, JSON.stringify({ ...message, sentAt }, null, 2));
+    },
+  }),
+  console: () => ({
+    send: async (message) => {
+      console.log('Mail:', message);
+    },
+  }),
+};
+
+let mailer = null;
+
+const getMailer = () => {
+  if (!mailer) {
+    const transport = process.env.MAIL_TRANSPORT || 'outbox';
+    if (!transports[transport]) {
+      throw new Error(`Invalid MAIL_TRANSPORT "${transport}". Must be one of: ${Object.keys(transports).join(', ')}`);
+    }
+    mailer = transports[transport]();
+  }
+  return mailer;
+};
+
+// Replaces the configured mailer; pass null to go back to MAIL_TRANSPORT
+const setMailer = (custom) => {
+  mailer = custom;
+};
+
+const sendMail = (message) => getMailer().send(message);
+
+// Reads the messages in the file outbox, oldest first
+const readOutbox = async () => {
+  const outboxDir = getOutboxDir();
+  let files;
+  try {
+    files = await fs.readdir(outboxDir);
+  } catch {
+    return [];
+  }
+  const messages = await Promise.all(
+    files.filter(file => file.endsWith('.json')).sort().map(async file =>
+      JSON.parse(await fs.readFile(path.join(outboxDir, file), 'utf-8')))
+  );
+  return messages;
+};
+
+module.exports = { sendMail, setMailer, readOutbox };
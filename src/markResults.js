@@ -0,0 +1,81 @@
+// A student's results: marks recorded against exams are grouped by term and exam, and each subject gets a term
+// score, the average of its exam percentages weighted by the exams' `weight`, graded with the grading scheme
+// that applies to it. A term's GPA is the average grade points of its subjects, and its CGPA the average over
+// every subject result of that term and the ones before it. Marks without an exam (recorded before exams
+// existed, or posted without an examId) are listed as they are: in their term's `withoutExam` when they were
+// recorded during a term, and otherwise in the top-level `withoutExam`.
+
+const roundScore = (value) => Math.round(value * 10) / 10;
+const roundGpa = (value) => Math.round(value * 100) / 100;
+
+// { score, weightCounted } for one subject's marks in a term, each paired with its exam
+const weightedScore = (entries) => {
+  const weightCounted = entries.reduce((sum, { exam }) => sum + exam.weight, 0);
+  const score = entries.reduce((sum, { mark, exam }) => sum + (mark.marks / exam.maxMarks) * exam.weight, 0) / weightCounted * 100;
+  return { score: roundScore(score), weightCounted };
+};
+
+const average = values => (values.length ? roundGpa(values.reduce((sum, v) => sum + v, 0) / values.length) : null);
+
+// `grade` comes from grading.js: grade(percentage, { subject, section }); `section` is the student's
+const groupResults = (marks, { years, terms, exams, grade, section }) => {
+  const examsById = new Map(exams.map(e => [e.id, e]));
+  const termsById = new Map(terms.map(t => [t.id, t]));
+  const yearsById = new Map(years.map(y => [y.id, y]));
+  const byTerm = new Map();
+  const termMarks = termId => {
+    if (!byTerm.has(termId)) byTerm.set(termId, { entries: [], withoutExam: [] });
+    return byTerm.get(termId);
+  };
+  marks.forEach((mark) => {
+    const exam = examsById.get(mark.examId);
+    if (exam) {
+      termMarks(exam.termId).entries.push({ mark, exam });
+    } else if (termsById.has(mark.termId)) {
+      termMarks(mark.termId).withoutExam.push(mark);
+    }
+  });
+
+  const results = [...byTerm.entries()].map(([termId, { entries, withoutExam }]) => {
+    const term = termsById.get(termId);
+    const termExams = [...new Set(entries.map(e => e.exam))]
+      .sort((a, b) => (a.date || '').localeCompare(b.date || '') || a.id - b.id);
+    const subjects = [...new Set(entries.map(e => e.mark.subject))].sort().map((subject) => {
+      const { score, weightCounted } = weightedScore(entries.filter(e => e.mark.subject === subject));
+      const { grade: letter, gradePoints, remark } = grade(score, { subject, section });
+      return { subject, score, grade: letter, gradePoints, remark, weightCounted };
+    });
+    return {
+      id: term.id,
+      name: term.name,
+      year: yearsById.get(term.yearId)?.name ?? null,
+      startDate: term.startDate,
+      endDate: term.endDate,
+      exams: termExams.map(({ id, name, type, maxMarks, weight, date }) => ({
+        id,
+        name,
+        type,
+        maxMarks,
+        weight,
+        date,
+        marks: entries.filter(e => e.exam.id === id).map(e => e.mark).sort((a, b) => a.subject.localeCompare(b.subject)),
+      })),
+      subjects,
+      gpa: average(subjects.map(s => s.gradePoints)),
+      withoutExam: withoutExam.sort((a, b) => a.subject.localeCompare(b.subject)),
+    };
+  }).sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+  const points = [];
+  results.forEach((term) => {
+    points.push(...term.subjects.map(s => s.gradePoints));
+    term.cgpa = average(points);
+  });
+
+  return {
+    terms: results,
+    withoutExam: marks.filter(m => !examsById.has(m.examId) && !termsById.has(m.termId)),
+  };
+};
+
+module.exports = { weightedScore, groupResults };
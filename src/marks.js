@@ -1,121 +1,501 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../src/middleware/middleware');
-const fs = require('fs').promises;
-const path = require('path');
+const { authenticate, requirePermissionScope } = require('../src/middleware/middleware');
+const { permissionScope, isOwnOrChild } = require('./permissions');
+const { checkAssignedStudent, getTeachingAssignments, teachesSubject } = require('./teaching');
+const { displayName } = require('./profiles');
+const { today, parseDateRange, inRange } = require('./dates');
+const { loadCalendar, termOn } = require('./schoolCalendar');
+const { EXPORT_FORMATS, parseExportFormat, sendExport, sheetName } = require('./exporters');
+const { sheetUpload, handleUploadError, readSheetRows, buildTemplate } = require('./sheetImport');
+const { groupResults } = require('./markResults');
+const { loadGrader } = require('./grading');
+const { listSubjects, matchSubject, unknownSubjectMessage, isTaughtIn } = require('./subjects');
+const { getRepository } = require('./storage/storage');
 
-const DATA_DIR = path.join(process.cwd(), 'data');
-const MARKS_FILE = path.join(DATA_DIR, 'marks.json');
+const marksRepo = getRepository('marks');
+const usersRepo = getRepository('users');
+const examsRepo = getRepository('exams');
+const termsRepo = getRepository('terms');
+const yearsRepo = getRepository('academicYears');
 
-// Ensure marks.json exists
-const ensureMarksFile = async () => {
-  try {
-    await fs.access(MARKS_FILE);
-  } catch {
-    await fs.writeFile(MARKS_FILE, JSON.stringify([]));
+// Checks an entry against the subjects catalogue, the exam it is recorded for (if any) and, when known, the
+// student's section. The marks range up to the exam's maxMarks, or the subject's without an exam.
+// Returns { subject } with the catalogue entry, or { message }.
+const validateMark = (subjects, { subject, marks, exam }, section) => {
+  const entry = matchSubject(subjects, subject);
+  if (!entry) {
+    return { message: unknownSubjectMessage(subjects) };
+  }
+  if (section && !isTaughtIn(entry, section)) {
+    return { message: `${entry.name} is not taught in section ${section}` };
+  }
+  if (exam && exam.subjects.length && !exam.subjects.includes(entry.name)) {
+    return { message: `${exam.name} is not held in ${entry.name}` };
   }
+  const maxMarks = exam ? exam.maxMarks : entry.maxMarks;
+  if (!Number.isFinite(marks) || marks < 0 || marks > maxMarks) {
+    return { message: `Marks must be a number between 0 and ${maxMarks}` };
+  }
+  return { subject: entry };
 };
 
-// Read marks from JSON file
-const readMarks = async () => {
-  try {
-    await ensureMarksFile();
-    const data = await fs.readFile(MARKS_FILE, 'utf-8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('readMarks error:', error);
-    throw new Error(`Failed to read marks: ${error.message}`);
+// Marks move through a publication workflow: teachers enter and edit `draft` marks and submit them, and users with
+// marks:approve approve or return them, then publish them. Students and parents only see published marks.
+// Every step, and every change to a published mark (which needs a reason), is added to the mark's `history`
+// as { action, by, at, reason, previousMarks }. Marks saved before the workflow existed count as published.
+const MARK_STATUSES = ['draft', 'submitted', 'approved', 'published'];
+const MAX_REASON_LENGTH = 500;
+
+const markStatus = mark => mark.status || 'published';
+
+// Why an existing mark may not be replaced, as { status, message }, or null
+const checkMarkChange = (existing, reason) => {
+  const status = existing && markStatus(existing);
+  if (status === 'submitted' || status === 'approved') {
+    return { status: 409, message: `These marks are ${status} and must be returned to draft before they can change` };
+  }
+  if (status === 'published' && !(typeof reason === 'string' && reason.trim())) {
+    return { status: 400, message: 'A reason is required to change published marks' };
   }
+  if (status === 'published' && reason.length > MAX_REASON_LENGTH) {
+    return { status: 400, message: `reason must be at most ${MAX_REASON_LENGTH} characters` };
+  }
+  return null;
 };
 
-// Write marks to JSON file
-const writeMarks = async (marks) => {
+// The term marks recorded today without an exam belong to, from the school calendar
+const currentTermId = async () => termOn(await loadCalendar(), today())?.id ?? null;
+
+// Replaces the student's marks for the subject and exam, or adds them as a draft, graded with `grade` from
+// grading.loadGrader(). Marks without an exam keep the `termId` they were first recorded in, or get `termId`.
+// Resolves to { mark }, or { status, message } when checkMarkChange() refuses the change. Call inside
+// marksRepo.mutate(), with the grader loaded there too: a scheme change regrades the marks in a later marks
+// write, so a grade worked out before this write could miss it.
+const saveMark = (allMarks, { userId, section, subject, marks, exam, reason, termId }, updatedBy, grade) => {
+  const existingMarkIndex = allMarks.findIndex((m) =>
+    m.userId === userId && m.subject === subject.name && (m.examId ?? null) === (exam ? exam.id : null));
+  const existing = allMarks[existingMarkIndex];
+  const refusal = checkMarkChange(existing, reason);
+  if (refusal) {
+    return refusal;
+  }
+  const { remark, ...grading } = grade((marks / (exam ? exam.maxMarks : subject.maxMarks)) * 100, { subject: subject.name, section });
+  const now = new Date().toISOString();
+  const status = existing ? markStatus(existing) : 'draft';
+  const markTermId = exam ? null : existing?.termId ?? termId;
+  const markEntry = {
+    userId,
+    subject: subject.name,
+    ...(exam && { examId: exam.id }),
+    ...(markTermId && { termId: markTermId }),
+    marks,
+    ...grading,
+    status,
+    history: [
+      ...(existing?.history || []),
+      ...(status === 'published' ? [{ action: 'amend', by: updatedBy, at: now, reason: reason.trim(), previousMarks: existing.marks }] : []),
+    ],
+    updatedBy,
+    updatedAt: now,
+  };
+  if (existingMarkIndex >= 0) {
+    allMarks[existingMarkIndex] = markEntry;
+  } else {
+    allMarks.push(markEntry);
+  }
+  return { mark: markEntry };
+};
+
+// POST /marks: Create or update marks for a student, optionally for one exam (examId), with marks:write or
+// marks:write:assigned for the sections and subjects the user teaches. New marks are drafts; changing published
+// marks needs a `reason`.
+router.post('/', authenticate, requirePermissionScope('marks:write'), async (req, res) => {
+  const { userId, subject, marks, examId, reason } = req.body;
+
+  if (!userId || !subject || marks === undefined) {
+    return res.status(400).json({ message: 'userId, subject, and marks are required' });
+  }
+
   try {
-    await ensureMarksFile();
-    await fs.writeFile(MARKS_FILE, JSON.stringify(marks, null, 2));
+    const exam = examId === undefined || examId === null ? null : await examsRepo.findOne(e => e.id === examId);
+    if (exam === null && examId !== undefined && examId !== null) {
+      return res.status(400).json({ message: 'examId must be an existing exam' });
+    }
+    const student = await usersRepo.findOne(u => u.id === parseInt(userId));
+    const { subject: entry, message } = validateMark(await listSubjects(), { subject, marks, exam }, student?.section);
+    if (!entry) {
+      return res.status(400).json({ message });
+    }
+    if (req.permissionScope === 'assigned') {
+      const access = await checkAssignedStudent(req.user, parseInt(userId), entry.name);
+      if (!access.student) {
+        return res.status(access.status).json({ message: access.message });
+      }
+    }
+
+    const termId = await currentTermId();
+    const result = await marksRepo.mutate(async (allMarks) =>
+      saveMark(allMarks, { userId: parseInt(userId), section: student?.section, subject: entry, marks, exam, reason, termId }, req.user.id, await loadGrader()));
+    if (!result.mark) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    res.status(201).json(result.mark);
   } catch (error) {
-    console.error('writeMarks error:', error);
-    throw new Error(`Failed to write marks: ${error.message}`);
+    res.status(500).json({ message: error.message });
   }
+});
+
+// Each step of the workflow: the states it applies to, the state it leads to and the permission it needs
+const TRANSITIONS = {
+  submit: { from: ['draft'], to: 'submitted', permission: 'marks:write' },
+  approve: { from: ['submitted'], to: 'approved', permission: 'marks:approve' },
+  publish: { from: ['approved'], to: 'published', permission: 'marks:approve' },
+  return: { from: ['submitted', 'approved'], to: 'draft', permission: 'marks:approve' },
 };
 
-// Calculate grade based on marks
-const calculateGrade = (marks) => {
-  if (marks >= 90) return 'A';
-  if (marks >= 80) return 'B';
-  if (marks >= 70) return 'C';
-  if (marks >= 60) return 'D';
-  return 'F';
+Object.entries(TRANSITIONS).forEach(([action, { from, to, permission }]) => {
+  // POST /marks/<action>: Move the matching marks { userId, section, subject, examId } that are in one of the
+  // `from` states to the next state; examId null selects marks without an exam. An optional `reason` is kept in
+  // their history. With marks:write:assigned only the subjects the user teaches in their sections are submitted.
+  router.post(`/${action}`, authenticate, requirePermissionScope(permission), async (req, res) => {
+    try {
+      const { userId, section, subject, examId, reason } = req.body || {};
+      if (reason !== undefined && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+        return res.status(400).json({ message: `reason must be text of at most ${MAX_REASON_LENGTH} characters` });
+      }
+      let subjectName = null;
+      if (subject !== undefined) {
+        const catalogue = await listSubjects();
+        subjectName = matchSubject(catalogue, subject)?.name;
+        if (!subjectName) {
+          return res.status(400).json({ message: unknownSubjectMessage(catalogue) });
+        }
+      }
+      const usersById = new Map((await usersRepo.all()).map(u => [u.id, u]));
+      const assignments = req.permissionScope === 'assigned' ? await getTeachingAssignments(req.user.id) : null;
+      const matches = (mark) => {
+        const student = usersById.get(mark.userId);
+        return from.includes(markStatus(mark)) && (!userId || mark.userId === parseInt(userId)) &&
+          (!section || student?.section === section) && (!subjectName || mark.subject === subjectName) &&
+          (examId === undefined || (mark.examId ?? null) === examId) &&
+          (!assignments || teachesSubject(assignments, student?.section, mark.subject));
+      };
+
+      const at = new Date().toISOString();
+      const entry = { action, by: req.user.id, at, ...(reason?.trim() && { reason: reason.trim() }) };
+      const updated = await marksRepo.mutate((marks) => {
+        let count = 0;
+        marks.forEach((mark, index) => {
+          if (matches(mark)) {
+            marks[index] = { ...mark, status: to, history: [...(mark.history || []), entry] };
+            count += 1;
+          }
+        });
+        return count;
+      });
+      console.log('Marks status changed:', { action, updated, by: req.user.id });
+      res.json({ status: to, updated });
+    } catch (error) {
+      console.error(`Marks ${action} error:`, error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+});
+
+// Columns read by the import, with the header names accepted for each (the export's headers come first)
+const IMPORT_COLUMNS = {
+  userId: ['user id', 'userid', 'id'],
+  subject: ['subject'],
+  examId: ['exam id', 'examid'],
+  marks: ['marks', 'mark', 'score'],
+  reason: ['reason'],
 };
 
-// POST /marks: Create or update marks for a student (Admin/Teacher only)
-router.post('/', authenticate, async (req, res) => {
-  const { userId, subject, marks } = req.body;
+// POST /marks/import?dryRun=: Save marks from an .xlsx sheet in the export's column layout (User ID, Subject,
+// Exam ID and Marks are read; other columns such as Grade are ignored; a blank Exam ID records marks without an exam). Each row is checked on its own, the valid rows
+// are saved in one write and the rejected ones come back with the reason. With dryRun=true nothing is written.
+// Rows that change published marks need a Reason column.
+// Users with marks:write:assigned can only import the subjects they teach in their sections.
+router.post('/import', authenticate, requirePermissionScope('marks:write'), sheetUpload.single('file'), handleUploadError, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+    const dryRun = ['true', '1'].includes(String(req.query.dryRun ?? req.body?.dryRun).toLowerCase());
 
-  if (req.user.userType !== 'Admin' && req.user.userType !== 'Teacher') {
-    return res.status(403).json({ message: 'Only Admins or Teachers can update marks' });
-  }
+    let rows;
+    try {
+      rows = await readSheetRows(req.file.buffer, IMPORT_COLUMNS, ['userId', 'subject', 'marks']);
+    } catch (error) {
+      return res.status(400).json({ message: `Could not read sheet: ${error.message}` });
+    }
 
-  if (!userId || !subject || marks === undefined) {
-    return res.status(400).json({ message: 'userId, subject, and marks are required' });
-  }
+    const usersById = new Map((await usersRepo.all()).map(u => [u.id, u]));
+    const subjects = await listSubjects();
+    const examsById = new Map((await examsRepo.all()).map(e => [e.id, e]));
+    const existingMarks = await marksRepo.all();
+    const assignments = req.permissionScope === 'assigned' ? await getTeachingAssignments(req.user.id) : null;
+    const seen = new Set();
+    const rejected = [];
+    const valid = [];
+    rows.forEach(({ sheet, row, values }) => {
+      const userId = /^\d+$/.test(values.userId) ? Number(values.userId) : undefined;
+      const user = usersById.get(userId);
+      const marks = values.marks === '' ? undefined : Number(values.marks);
+      const exam = values.examId ? examsById.get(Number(values.examId)) : null;
+      let error = null;
+      let subject = null;
+      if (!user || user.userType !== 'Student') {
+        error = `User ${values.userId || '(blank)'} is not a Student`;
+      } else if (exam === undefined) {
+        error = `Exam ${values.examId} does not exist`;
+      } else {
+        ({ subject, message: error = null } = validateMark(subjects, { subject: values.subject, marks, exam }, user.section));
+      }
+      if (!error && assignments && !teachesSubject(assignments, user.section, subject.name)) {
+        error = `You do not teach ${subject.name} in section ${user.section}`;
+      }
+      const key = subject && `${userId}:${subject.name}:${exam?.id}`;
+      if (!error && seen.has(key)) {
+        error = exam ? 'The student already has a row for this subject and exam' : 'The student already has a row for this subject';
+      }
+      if (!error) {
+        const existing = existingMarks.find(m => m.userId === userId && m.subject === subject.name && (m.examId ?? null) === (exam ? exam.id : null));
+        error = checkMarkChange(existing, values.reason)?.message ?? null;
+      }
+      if (error) {
+        rejected.push({ sheet, row, userId: values.userId, error });
+        return;
+      }
+      seen.add(key);
+      valid.push({ sheet, row, userId, section: user.section, subject, marks, exam, reason: values.reason });
+    });
+
+    let applied = valid.length;
+    if (!dryRun && valid.length) {
+      const termId = await currentTermId();
+      // Marks submitted by someone else since the sheet was checked are rejected here
+      const refused = await marksRepo.mutate(async (allMarks) => {
+        const grade = await loadGrader();
+        return valid
+          .map(entry => ({ entry, result: saveMark(allMarks, { ...entry, termId }, req.user.id, grade) }))
+          .filter(({ result }) => !result.mark);
+      });
+      refused.forEach(({ entry, result }) => rejected.push({ sheet: entry.sheet, row: entry.row, userId: String(entry.userId), error: result.message }));
+      applied -= refused.length;
+    }
+    console.log('Marks import:', { dryRun, rows: rows.length, applied });
 
-  if (typeof marks !== 'number' || marks < 0 || marks > 100) {
-    return res.status(400).json({ message: 'Marks must be a number between 0 and 100' });
+    res.status(dryRun ? 200 : 201).json({
+      dryRun,
+      summary: { total: rows.length, [dryRun ? 'valid' : 'applied']: applied, rejected: rejected.length },
+      rejected,
+    });
+  } catch (error) {
+    console.error('Marks import error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
+});
+
+// GET /marks/import/template?section=&subject=&examId=: A blank import sheet with a row per student of the section
+// and subject, with the exam filled in when given. Without a subject there is a row for every subject the exam is
+// held in (for marks:write:assigned, the ones the user teaches in the section).
+router.get('/import/template', authenticate, requirePermissionScope('marks:write'), async (req, res) => {
+  try {
+    const { section, subject, examId } = req.query;
+    if (!section) {
+      return res.status(400).json({ message: 'section is required' });
+    }
+    const exam = examId ? await examsRepo.findOne(e => e.id === parseInt(examId)) : null;
+    if (examId && !exam) {
+      return res.status(400).json({ message: 'examId must be an existing exam' });
+    }
+    const catalogue = await listSubjects();
+    const entry = subject && matchSubject(catalogue, subject);
+    if (subject && !entry) {
+      return res.status(400).json({ message: unknownSubjectMessage(catalogue) });
+    }
+    if (entry && !isTaughtIn(entry, section)) {
+      return res.status(400).json({ message: `${entry.name} is not taught in section ${section}` });
+    }
+    let subjects = (entry ? [entry] : catalogue.filter(s => isTaughtIn(s, section))).map(s => s.name)
+      .filter(s => !exam || !exam.subjects.length || exam.subjects.includes(s));
+    if (!subjects.length) {
+      return res.status(400).json({ message: `${exam.name} is not held in ${entry ? entry.name : `any subject of section ${section}`}` });
+    }
+    if (req.permissionScope === 'assigned') {
+      const assignments = await getTeachingAssignments(req.user.id);
+      subjects = subjects.filter(s => teachesSubject(assignments, section, s));
+      if (!subjects.length) {
+        return res.status(403).json({ message: entry ? `You do not teach ${entry.name} in section ${section}` : `You do not teach section ${section}` });
+      }
+    }
 
-  const validSubjects = ['Math', 'Science', 'English'];
-  if (!validSubjects.includes(subject)) {
-    return res.status(400).json({ message: `Subject must be one of: ${validSubjects.join(', ')}` });
+    const students = (await usersRepo.find(u => u.userType === 'Student' && u.section === section && u.active !== false))
+      .sort((a, b) => (a.rollNumber ?? Infinity) - (b.rollNumber ?? Infinity) || a.id - b.id);
+    const buffer = await buildTemplate({
+      sheetName: sheetName(section),
+      columns: [
+        { header: 'User ID', key: 'userId', width: 10 },
+        { header: 'Name', key: 'name', width: 30 },
+        { header: 'Section', key: 'section', width: 10 },
+        { header: 'Roll No.', key: 'rollNumber', width: 10 },
+        { header: 'Subject', key: 'subject', width: 14 },
+        { header: 'Exam ID', key: 'examId', width: 8 },
+        { header: 'Exam', key: 'exam', width: 24 },
+        { header: 'Marks', key: 'marks', width: 8 },
+      ],
+      rows: students.flatMap(student => subjects.map(s => ({
+        userId: student.id,
+        name: displayName(student),
+        section: student.section,
+        rollNumber: student.rollNumber,
+        subject: s,
+        examId: exam?.id,
+        exam: exam?.name,
+      }))),
+    });
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=marks-${section}.xlsx`);
+    res.send(Buffer.from(buffer));
+  } catch (error) {
+    console.error('Marks template error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
+});
 
+// GET /marks/export?format=&section=&subject=&termId=&examId=&status=&userType=&from=&to=: Download marks as xlsx (one
+// sheet per section), csv or pdf. from/to filter on the date the marks were last updated. Users with
+// marks:read:assigned only get the subjects they teach in their sections.
+router.get('/export', authenticate, requirePermissionScope('marks:read'), async (req, res) => {
   try {
-    const allMarks = await readMarks();
-    const existingMarkIndex = allMarks.findIndex(
-      (m) => m.userId === parseInt(userId) && m.subject === subject
-    );
-
-    const markEntry = {
-      userId: parseInt(userId),
-      subject,
-      marks,
-      grade: calculateGrade(marks),
-      updatedBy: req.user.id,
-      updatedAt: new Date().toISOString(),
-    };
-
-    if (existingMarkIndex >= 0) {
-      allMarks[existingMarkIndex] = markEntry;
-    } else {
-      allMarks.push(markEntry);
-    }
-
-    await writeMarks(allMarks);
-    res.status(201).json(markEntry);
+    const format = parseExportFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({ message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+    const range = parseDateRange(req.query);
+    if (range.message) {
+      return res.status(400).json({ message: range.message });
+    }
+    const { section, subject, userType, termId, examId, status } = req.query;
+    if (status && !MARK_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${MARK_STATUSES.join(', ')}` });
+    }
+    const users = await usersRepo.all();
+    const usersById = new Map(users.map(u => [u.id, u]));
+    const examsById = new Map((await examsRepo.all()).map(e => [e.id, e]));
+    const termsById = new Map((await termsRepo.all()).map(t => [t.id, t]));
+    const assignments = req.permissionScope === 'assigned' ? await getTeachingAssignments(req.user.id) : null;
+    const included = (mark, user) => Boolean(user) && (!section || user.section === section) &&
+      (!subject || mark.subject === subject) && (!userType || user.userType === userType) &&
+      (!examId || mark.examId === parseInt(examId)) && (!status || markStatus(mark) === status) &&
+      (!termId || (examsById.get(mark.examId)?.termId ?? mark.termId) === parseInt(termId)) &&
+      inRange(mark.updatedAt.slice(0, 10), range) &&
+      (!assignments || teachesSubject(assignments, user.section, mark.subject));
+
+    const marks = await marksRepo.find(m => included(m, usersById.get(m.userId)));
+    const rows = marks
+      .map((mark) => {
+        const user = usersById.get(mark.userId);
+        const exam = examsById.get(mark.examId);
+        return {
+          userId: mark.userId,
+          name: displayName(user),
+          section: user.section,
+          rollNumber: user.rollNumber,
+          subject: mark.subject,
+          examId: exam?.id,
+          exam: exam && `${termsById.get(exam.termId)?.name} ${exam.name}`,
+          marks: mark.marks,
+          grade: mark.grade,
+          status: markStatus(mark),
+          updatedBy: displayName(usersById.get(mark.updatedBy)),
+          updatedAt: mark.updatedAt.slice(0, 10),
+        };
+      })
+      .sort((a, b) => a.name.localeCompare(b.name) || a.subject.localeCompare(b.subject) || (a.examId ?? 0) - (b.examId ?? 0));
+
+    await sendExport(res, format, {
+      fileName: 'marks',
+      title: 'Marks',
+      columns: [
+        { header: 'User ID', key: 'userId', width: 10 },
+        { header: 'Name', key: 'name', width: 30 },
+        { header: 'Section', key: 'section', width: 10 },
+        { header: 'Roll No.', key: 'rollNumber', width: 10 },
+        { header: 'Subject', key: 'subject', width: 14 },
+        { header: 'Exam ID', key: 'examId', width: 8 },
+        { header: 'Exam', key: 'exam', width: 24 },
+        { header: 'Marks', key: 'marks', width: 8 },
+        { header: 'Grade', key: 'grade', width: 8 },
+        { header: 'Status', key: 'status', width: 10 },
+        { header: 'Updated By', key: 'updatedBy', width: 26 },
+        { header: 'Updated', key: 'updatedAt', width: 12 },
+      ],
+      rows,
+    });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    console.error('Marks export error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
-// GET /marks/:userId: Retrieve marks for a student
-router.get('/:userId', authenticate, async (req, res) => {
-  const { userId } = req.params;
+// Resolves to { results } with the student's grouped results (see markResults.js) that the user may see, or to
+// { status, message }. Students and parents only see published marks, and teachers limited to their classes only
+// the subjects they teach the student.
+const loadResults = async (user, userId) => {
+  const scope = await permissionScope(user, 'marks:read');
+  const publishedOnly = scope !== 'all' && isOwnOrChild(user, userId);
+  if (!scope && !publishedOnly) {
+    return { status: 403, message: 'Unauthorized to view these marks' };
+  }
+  let access = null;
+  if (scope === 'assigned' && !publishedOnly) {
+    access = await checkAssignedStudent(user, userId);
+    if (!access.student) {
+      return access;
+    }
+  }
 
-  if (
-    req.user.userType !== 'Admin' &&
-    req.user.userType !== 'Teacher' &&
-    req.user.id !== parseInt(userId)
-  ) {
-    return res.status(403).json({ message: 'Unauthorized to view these marks' });
+  const userMarks = await marksRepo.find((m) => m.userId === userId && (!publishedOnly || markStatus(m) === 'published') &&
+    (!access || teachesSubject(access.assignments, access.student.section, m.subject)));
+  const student = access ? access.student : await usersRepo.findOne(u => u.id === userId);
+  const [years, terms, exams, grade] = await Promise.all([yearsRepo.all(), termsRepo.all(), examsRepo.all(), loadGrader()]);
+  return { results: groupResults(userMarks, { years, terms, exams, grade, section: student?.section }) };
+};
+
+// GET /marks/:userId: Retrieve a student's results: { userId, terms: [{ ..., exams: [{ ..., marks }], subjects:
+// [{ subject, score, grade, gradePoints }], gpa, cgpa }], withoutExam: [marks] }
+router.get('/:userId', authenticate, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const { results, status, message } = await loadResults(req.user, userId);
+    if (!results) {
+      return res.status(status).json({ message });
+    }
+    res.json({ userId, ...results });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
   }
+});
 
+// GET /marks/:userId/gpa: A student's GPA and CGPA per term
+router.get('/:userId/gpa', authenticate, async (req, res) => {
   try {
-    const allMarks = await readMarks();
-    const userMarks = allMarks.filter((m) => m.userId === parseInt(userId));
-    res.json(userMarks);
+    const userId = parseInt(req.params.userId);
+    const { results, status, message } = await loadResults(req.user, userId);
+    if (!results) {
+      return res.status(status).json({ message });
+    }
+    res.json({
+      userId,
+      terms: results.terms.map(({ id, name, year, gpa, cgpa }) => ({ id, name, year, gpa, cgpa })),
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.markStatus = markStatus;
\ No newline at end of file
@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
-const { readUsers } = require('../accounts');
+const { getRepository } = require('../storage/storage');
+const { isSessionActive } = require('../sessions');
+const { PERMISSIONS, hasPermission, permissionScope } = require('../permissions');
+
+const usersRepo = getRepository('users');
 
 const authenticate = async (req, res, next) => {
   const token = req.headers.authorization?.split(' ')[1];
@@ -8,12 +12,22 @@ const authenticate = async (req, res, next) => {
   }
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const users = await readUsers();
-    const user = users.find(u => u.id === decoded.id);
+    // Refresh tokens and tokens issued before sessions existed are not accepted here
+    if (decoded.type === 'refresh' || !decoded.sid) {
+      return res.status(401).json({ message: 'Invalid token' });
+    }
+    const user = await usersRepo.findOne(u => u.id === decoded.id);
     if (!user) {
       return res.status(401).json({ message: 'Invalid token' });
     }
+    if (user.active === false) {
+      return res.status(401).json({ message: 'Account is deactivated' });
+    }
+    if (!(await isSessionActive(decoded.sid, user.id))) {
+      return res.status(401).json({ message: 'Token has been revoked' });
+    }
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     console.error('JWT verification error:', error);
@@ -21,4 +35,42 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticate };
\ No newline at end of file
+// Authenticates only when an Authorization header is sent, for routes that also serve anonymous callers
+const authenticateIfPresent = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  return authenticate(req, res, next);
+};
+
+// Lets the request through when the user's role has every listed permission. Use after authenticate.
+const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    for (const permission of permissions) {
+      if (!(await hasPermission(req.user, permission))) {
+        return res.status(403).json({ message: `You do not have permission to ${PERMISSIONS[permission]}` });
+      }
+    }
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Like requirePermission, but also accepts the permission's `:assigned` variant. Sets req.permissionScope to
+// 'all' or 'assigned' so the handler can limit an assigned user to their own sections and subjects.
+const requirePermissionScope = (permission) => async (req, res, next) => {
+  try {
+    req.permissionScope = await permissionScope(req.user, permission);
+    if (!req.permissionScope) {
+      return res.status(403).json({ message: `You do not have permission to ${PERMISSIONS[permission]}` });
+    }
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = { authenticate, authenticateIfPresent, requirePermission, requirePermissionScope };
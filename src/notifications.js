@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('./middleware/middleware');
+const { getRepository } = require('./storage/storage');
+const { nextId } = require('./storage/sequences');
+
+const notificationsRepo = getRepository('notifications');
+
+// In-app notifications: { id, userId, type, title, message, data, key, createdAt, readAt }. A notification
+// with a `key` is sent to each recipient only once, so re-running a check does not repeat it.
+
+// Stores one notification per recipient. Resolves to the user ids that were notified.
+const notifyUsers = (userIds, { type, title, message, data = {}, key = null }) =>
+  notificationsRepo.mutate(async (notifications) => {
+    const notified = [];
+    for (const userId of new Set(userIds)) {
+      if (key && notifications.some(n => n.userId === userId && n.key === key)) {
+        continue;
+      }
+      notifications.push({
+        id: await nextId('notifications', notifications),
+        userId,
+        type,
+        title,
+        message,
+        data,
+        key,
+        createdAt: new Date().toISOString(),
+        readAt: null,
+      });
+      notified.push(userId);
+    }
+    return notified;
+  });
+
+// GET /notifications?unread=true: The signed-in user's notifications, newest first
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const unreadOnly = req.query.unread === 'true';
+    const notifications = await notificationsRepo.find(n => n.userId === req.user.id && (!unreadOnly || !n.readAt));
+    res.json(notifications.sort((a, b) => b.id - a.id));
+  } catch (error) {
+    console.error('Notifications GET error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /notifications/read-all: Mark every notification of the signed-in user as read
+router.post('/read-all', authenticate, async (req, res) => {
+  try {
+    const updated = await notificationsRepo.update(n => n.userId === req.user.id && !n.readAt, { readAt: new Date().toISOString() });
+    res.json({ updated: updated.length });
+  } catch (error) {
+    console.error('Notifications read-all error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /notifications/:id/read: Mark one notification as read
+router.post('/:id/read', authenticate, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const [notification] = await notificationsRepo.update(
+      n => n.id === id && n.userId === req.user.id,
+      n => ({ ...n, readAt: n.readAt || new Date().toISOString() })
+    );
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    res.json(notification);
+  } catch (error) {
+    console.error('Notification read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
+module.exports.notifyUsers = notifyUsers;
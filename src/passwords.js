@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const validator = require('validator');
+const { getRepository } = require('./storage/storage');
+
+const passwordResetsRepo = getRepository('passwordResets');
+
+// Minimum strength for every password set through the API
+const PASSWORD_RULES = {
+  minLength: 8,
+  minLowercase: 0,
+  minUppercase: 0,
+  minNumbers: 1,
+  minSymbols: 0,
+};
+const PASSWORD_RULES_MESSAGE = 'Password must be at least 8 characters long and contain a letter and a number';
+
+// Returns an error message, or null when the password is acceptable
+const checkPasswordStrength = (password) => {
+  if (typeof password !== 'string' || !/[A-Za-z]/.test(password) || !validator.isStrongPassword(password, PASSWORD_RULES)) {
+    return PASSWORD_RULES_MESSAGE;
+  }
+  return null;
+};
+
+const hashPassword = (password) => bcrypt.hash(password, 10);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const resetTokenTtlMinutes = () => parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES, 10) || 30;
+
+// Issues a single-use reset token for the user. Only its hash is stored; earlier tokens are discarded.
+const createResetToken = async (userId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+  const expiresAt = new Date(now + resetTokenTtlMinutes() * 60 * 1000).toISOString();
+  await passwordResetsRepo.mutate((resets) => {
+    for (let i = resets.length - 1; i >= 0; i--) {
+      if (resets[i].userId === userId || resets[i].usedAt || Date.parse(resets[i].expiresAt) <= now) {
+        resets.splice(i, 1);
+      }
+    }
+    resets.push({ userId, tokenHash: hashToken(token), expiresAt, usedAt: null });
+  });
+  return { token, expiresAt };
+};
+
+// Marks a reset token as used and returns its userId, or null when it is unknown, used or expired
+const consumeResetToken = (token) =>
+  passwordResetsRepo.mutate((resets) => {
+    const reset = resets.find(r => r.tokenHash === hashToken(token));
+    if (!reset || reset.usedAt || Date.parse(reset.expiresAt) <= Date.now()) {
+      return null;
+    }
+    reset.usedAt = new Date().toISOString();
+    return reset.userId;
+  });
+
+module.exports = { checkPasswordStrength, hashPassword, hashToken, createResetToken, consumeResetToken };
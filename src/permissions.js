@@ -0,0 +1,133 @@
+const { getRepository } = require('./storage/storage');
+
+const rolesRepo = getRepository('roles');
+
+// Every permission the API checks, with the action it allows (used in error messages). The `:assigned`
+// variants limit a permission to the sections and subjects the user teaches according to the routines.
+const PERMISSIONS = {
+  'users:read': 'view user accounts',
+  'users:manage': 'manage user accounts',
+  'roles:manage': 'manage roles and permissions',
+  'attendance:read': 'view attendance of any user',
+  'attendance:read:assigned': 'view attendance of students in the sections you teach',
+  'attendance:write': 'modify attendance',
+  'attendance:write:assigned': 'modify attendance of students in the sections you teach',
+  'attendance:alerts': 'send low-attendance alerts',
+  'marks:read': 'view marks of any student',
+  'marks:read:assigned': 'view marks of students in the sections and subjects you teach',
+  'marks:write': 'update marks',
+  'marks:write:assigned': 'update marks of students in the sections and subjects you teach',
+  'marks:approve': 'approve, return and publish submitted marks',
+  'subjects:manage': 'manage the subjects catalogue',
+  'exams:manage': 'manage the school calendar and exams',
+  'grading:manage': 'manage grading schemes',
+  'routines:read': 'view all routines',
+  'routines:write': 'manage routines',
+  'leave:request': 'request leave',
+  'leave:manage': 'approve leave and arrange substitute teachers',
+  'documents:write': 'upload documents',
+  'policies:write': 'upload policies',
+};
+
+// Roles are the account types. Their permission sets start from these defaults and can be changed by
+// anyone with roles:manage; the changes are stored in the roles collection as { name, permissions, updatedAt }.
+const ROLES = ['Admin', 'Principal', 'Teacher', 'Accountant', 'Student', 'Parent'];
+const DEFAULT_ROLE_PERMISSIONS = {
+  Admin: [
+    'users:read', 'users:manage', 'roles:manage', 'attendance:read', 'attendance:write', 'attendance:alerts',
+    'marks:read', 'marks:write', 'marks:approve', 'subjects:manage', 'exams:manage', 'grading:manage',
+    'routines:read', 'routines:write', 'leave:manage', 'policies:write',
+  ],
+  Principal: [
+    'users:read', 'attendance:read', 'attendance:alerts', 'marks:read', 'marks:approve', 'routines:read', 'leave:manage', 'policies:write',
+  ],
+  Teacher: [
+    'attendance:read:assigned', 'attendance:write:assigned', 'marks:read:assigned', 'marks:write:assigned', 'leave:request',
+    'documents:write',
+  ],
+  Accountant: ['users:read'],
+  Student: [],
+  Parent: [],
+};
+
+// Admins always keep the permissions needed to undo a bad edit
+const LOCKED_PERMISSIONS = { Admin: ['users:manage', 'roles:manage'] };
+
+const INVALID_ROLE_MESSAGE = `Invalid userType. Must be ${ROLES.slice(0, -1).join(', ')}, or ${ROLES[ROLES.length - 1]}`;
+
+const listRoles = async () => {
+  const stored = await rolesRepo.all();
+  return ROLES.map((name) => {
+    const role = stored.find(r => r.name === name);
+    return role
+      ? { name, permissions: role.permissions, customized: true, updatedAt: role.updatedAt }
+      : { name, permissions: DEFAULT_ROLE_PERMISSIONS[name], customized: false };
+  });
+};
+
+const getRolePermissions = async (name) => {
+  const role = await rolesRepo.findOne(r => r.name === name);
+  return role ? role.permissions : DEFAULT_ROLE_PERMISSIONS[name] || [];
+};
+
+const hasPermission = async (user, permission) => (await getRolePermissions(user.userType)).includes(permission);
+
+// How far the user holds a permission: 'all', 'assigned' (only its `:assigned` variant) or null
+const permissionScope = async (user, permission) => {
+  const permissions = await getRolePermissions(user.userType);
+  if (permissions.includes(permission)) {
+    return 'all';
+  }
+  return permissions.includes(`${permission}:assigned`) ? 'assigned' : null;
+};
+
+// Returns an error message for a proposed permission set, or null when it can be saved
+const checkRolePermissions = (name, permissions) => {
+  if (!Array.isArray(permissions)) {
+    return 'permissions must be a list';
+  }
+  const unknown = permissions.find(p => !PERMISSIONS[p]);
+  if (unknown) {
+    return `Unknown permission: ${unknown}`;
+  }
+  const missing = (LOCKED_PERMISSIONS[name] || []).find(p => !permissions.includes(p));
+  if (missing) {
+    return `The ${name} role must keep ${missing}`;
+  }
+  return null;
+};
+
+const setRolePermissions = (name, permissions) =>
+  rolesRepo.mutate((roles) => {
+    const role = { name, permissions: [...new Set(permissions)], updatedAt: new Date().toISOString() };
+    const index = roles.findIndex(r => r.name === name);
+    if (index === -1) {
+      roles.push(role);
+    } else {
+      roles[index] = role;
+    }
+    return { ...role, customized: true };
+  });
+
+const resetRolePermissions = async (name) => {
+  await rolesRepo.remove(r => r.name === name);
+  return { name, permissions: DEFAULT_ROLE_PERMISSIONS[name], customized: false };
+};
+
+// Parents see the records of the students listed in their `children` profile field
+const isOwnOrChild = (user, userId) => user.id === userId || (user.children || []).includes(userId);
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  INVALID_ROLE_MESSAGE,
+  listRoles,
+  getRolePermissions,
+  hasPermission,
+  permissionScope,
+  checkRolePermissions,
+  setRolePermissions,
+  resetRolePermissions,
+  isOwnOrChild,
+};
@@ -1,14 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../src/middleware/middleware');
+const { authenticate, requirePermission } = require('../src/middleware/middleware');
 const fs = require('fs').promises;
 const path = require('path');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
+const { getRepository } = require('./storage/storage');
+const { nextId } = require('./storage/sequences');
 
-const DATA_DIR = path.join(process.cwd(), 'data');
 const UPLOADS_DIR = path.join(process.cwd(), 'uploads');
-const POLICIES_FILE = path.join(DATA_DIR, 'policies.json');
+
+const policiesRepo = getRepository('policies');
 
 // Ensure uploads directory exists
 fs.mkdir(UPLOADS_DIR, { recursive: true });
@@ -46,72 +48,37 @@ const handleMulterError = (err, req, res, next) => {
   next();
 };
 
-// Ensure policies.json exists
-const ensurePoliciesFile = async () => {
-  try {
-    await fs.access(POLICIES_FILE);
-  } catch {
-    await fs.writeFile(POLICIES_FILE, JSON.stringify([]));
-  }
-};
-
-// Read policies from JSON file
-const readPolicies = async () => {
-  try {
-    await ensurePoliciesFile();
-    const data = await fs.readFile(POLICIES_FILE, 'utf-8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('readPolicies error:', error);
-    throw new Error(`Failed to read policies: ${error.message}`);
-  }
-};
-
-// Write policies to JSON file
-const writePolicies = async (policies) => {
-  try {
-    await ensurePoliciesFile();
-    await fs.writeFile(POLICIES_FILE, JSON.stringify(policies, null, 2));
-  } catch (error) {
-    console.error('writePolicies error:', error);
-    throw new Error(`Failed to write policies: ${error.message}`);
-  }
-};
-
-// POST /policies: Upload a new policy/notice (Admin-only)
-router.post('/', authenticate, upload.single('file'), handleMulterError, async (req, res) => {
-  if (req.user.userType !== 'Admin') {
-    return res.status(403).json({ message: 'Only Admins can upload policies' });
-  }
+// POST /policies: Upload a new policy/notice (policies:write)
+router.post('/', authenticate, requirePermission('policies:write'), upload.single('file'), handleMulterError, async (req, res) => {
   const { description } = req.body;
   const file = req.file;
   if (!file) {
     return res.status(400).json({ message: 'No file uploaded' });
   }
-  const policies = await readPolicies();
-  const newPolicy = {
-    id: policies.length + 1,
-    fileName: file.filename,
-    uploadedBy: req.user.id,
-    uploadDate: new Date().toISOString(),
-    description: description || '',
-  };
-  policies.push(newPolicy);
-  await writePolicies(policies);
+  const newPolicy = await policiesRepo.mutate(async (policies) => {
+    const policy = {
+      id: await nextId('policies', policies),
+      fileName: file.filename,
+      uploadedBy: req.user.id,
+      uploadDate: new Date().toISOString(),
+      description: description || '',
+    };
+    policies.push(policy);
+    return policy;
+  });
   res.status(201).json(newPolicy);
 });
 
 // GET /policies: List all policies
 router.get('/', async (req, res) => {
-  const policies = await readPolicies();
+  const policies = await policiesRepo.all();
   res.json(policies);
 });
 
 // GET /policies/:id: Download a specific policy
 router.get('/:id', async (req, res) => {
   const { id } = req.params;
-  const policies = await readPolicies();
-  const policy = policies.find(p => p.id === parseInt(id));
+  const policy = await policiesRepo.findOne(p => p.id === parseInt(id));
   if (!policy) {
     return res.status(404).json({ message: 'Policy not found' });
   }
@@ -0,0 +1,126 @@
+const validator = require('validator');
+const { ROLES } = require('./permissions');
+
+const STAFF_AND_PARENTS = ROLES.filter(role => role !== 'Student');
+
+// Profile fields stored on the user record, with which account types may set them on their own account
+// (`selfEdit`) and which account types they apply to. Users with users:manage may set every field on any account.
+const PROFILE_FIELDS = {
+  name: { selfEdit: STAFF_AND_PARENTS },
+  rollNumber: { selfEdit: [], appliesTo: ['Student'] },
+  dateOfBirth: { selfEdit: STAFF_AND_PARENTS },
+  phone: { selfEdit: [...STAFF_AND_PARENTS, 'Student'] },
+  avatar: { selfEdit: [...STAFF_AND_PARENTS, 'Student'] },
+  subjects: { selfEdit: [], appliesTo: ['Teacher'] },
+  guardians: { selfEdit: ['Student'], appliesTo: ['Student'] },
+  children: { selfEdit: [], appliesTo: ['Parent'] },
+};
+const MAX_GUARDIANS = 4;
+
+const isPhone = (value) => typeof value === 'string' && validator.isMobilePhone(value.replace(/[\s-]/g, ''), 'any');
+
+const validateGuardian = (guardian, index) => {
+  const label = `guardians[${index}]`;
+  if (!guardian || typeof guardian !== 'object') {
+    return `${label} must be an object`;
+  }
+  if (typeof guardian.name !== 'string' || !guardian.name.trim()) {
+    return `${label}.name is required`;
+  }
+  if (!guardian.phone && !guardian.email) {
+    return `${label} needs a phone or an email`;
+  }
+  if (guardian.phone && !isPhone(guardian.phone)) {
+    return `${label}.phone is not a valid phone number`;
+  }
+  if (guardian.email && !validator.isEmail(String(guardian.email))) {
+    return `${label}.email is not a valid email`;
+  }
+  return null;
+};
+
+// Each validator returns an error message or null; null clears a field
+const FIELD_VALIDATORS = {
+  name: (value) => (typeof value === 'string' && value.trim() && value.length <= 100 ? null : 'name must be 1 to 100 characters'),
+  rollNumber: (value) => (['string', 'number'].includes(typeof value) && String(value).trim() && String(value).length <= 20
+    ? null : 'rollNumber must be 1 to 20 characters'),
+  dateOfBirth: (value) => (typeof value === 'string' && validator.isISO8601(value, { strict: true }) && value.length === 10 &&
+    Date.parse(value) <= Date.now() ? null : 'dateOfBirth must be a past date in YYYY-MM-DD format'),
+  phone: (value) => (isPhone(value) ? null : 'phone is not a valid phone number'),
+  avatar: (value) => (typeof value === 'string' && validator.isURL(value, { protocols: ['http', 'https'], require_protocol: true })
+    ? null : 'avatar must be an http(s) URL'),
+  subjects: (value) => (Array.isArray(value) && value.every(s => typeof s === 'string' && s.trim())
+    ? null : 'subjects must be a list of subject names'),
+  children: (value) => (Array.isArray(value) && value.every(id => Number.isInteger(id) && id > 0)
+    ? null : 'children must be a list of Student user ids'),
+  guardians: (value) => {
+    if (!Array.isArray(value) || value.length > MAX_GUARDIANS) {
+      return `guardians must be a list of at most ${MAX_GUARDIANS} contacts`;
+    }
+    return value.map(validateGuardian).find(Boolean) || null;
+  },
+};
+
+const normalize = {
+  name: (value) => value.trim(),
+  rollNumber: (value) => String(value).trim(),
+  subjects: (value) => [...new Set(value.map(s => s.trim()))],
+  children: (value) => [...new Set(value)],
+  guardians: (value) => value.map(({ name, relation, phone, email }) => ({
+    name: name.trim(),
+    ...(relation && { relation: String(relation).trim() }),
+    ...(phone && { phone }),
+    ...(email && { email }),
+  })),
+};
+
+// Picks the profile fields out of `body` and checks them for `target` (the user being edited); `self`
+// applies the self-edit rules. Returns { changes } or { status, message }.
+const validateProfileChanges = (body, { target, self = false }) => {
+  const changes = {};
+  for (const field of Object.keys(body || {}).filter(key => PROFILE_FIELDS[key])) {
+    const rules = PROFILE_FIELDS[field];
+    const value = body[field];
+    if (self && !rules.selfEdit.includes(target.userType)) {
+      return { status: 403, message: `${field} can only be changed by an Admin` };
+    }
+    if (value !== null && rules.appliesTo && !rules.appliesTo.includes(target.userType)) {
+      return { status: 400, message: `${field} only applies to ${rules.appliesTo.join(', ')} accounts` };
+    }
+    if (value !== null) {
+      const error = FIELD_VALIDATORS[field](value);
+      if (error) {
+        return { status: 400, message: error };
+      }
+    }
+    changes[field] = value === null ? null : (normalize[field] ? normalize[field](value) : value);
+  }
+  return { changes };
+};
+
+// Applies validated changes to a user record; null removes the field
+const applyProfileChanges = (user, changes) => {
+  Object.entries(changes).forEach(([field, value]) => {
+    if (value === null) {
+      delete user[field];
+    } else {
+      user[field] = value;
+    }
+  });
+  return user;
+};
+
+// Removes fields that do not apply to the user's current type, e.g. after a Student becomes a Teacher
+const pruneProfile = (user) => {
+  Object.entries(PROFILE_FIELDS).forEach(([field, rules]) => {
+    if (rules.appliesTo && !rules.appliesTo.includes(user.userType)) {
+      delete user[field];
+    }
+  });
+  return user;
+};
+
+// Name to show for a user in lists and exports
+const displayName = (user) => (user ? user.name || user.email : null);
+
+module.exports = { PROFILE_FIELDS, validateProfileChanges, applyProfileChanges, pruneProfile, displayName };
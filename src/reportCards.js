@@ -0,0 +1,84 @@
+const PDFDocument = require('pdfkit');
+
+// Renders one term report card as a PDF. `card` is built by reports.js:
+// { student: { name, section, rollNumber }, term: { name, year, startDate, endDate }, subjects: [{ subject, score,
+//   grade, gradePoints, sectionAverage, remarks }], gpa, cgpa, average, rank, rankedStudents, attendance, remarks }
+
+const COLUMNS = [
+  { header: 'Subject', key: 'subject', width: 120 },
+  { header: 'Score %', key: 'score', width: 55 },
+  { header: 'Grade', key: 'grade', width: 45 },
+  { header: 'Points', key: 'gradePoints', width: 45 },
+  { header: 'Section avg %', key: 'sectionAverage', width: 70 },
+  { header: 'Teacher remarks', key: 'remarks', width: 188 },
+];
+
+const text = value => (value === undefined || value === null || value === '' ? '-' : String(value));
+
+const buildReportCard = card => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const { student, term } = card;
+
+  doc.font('Helvetica-Bold').fontSize(18).text('Report card', { align: 'center' });
+  doc.font('Helvetica').fontSize(11)
+    .text(`${term.name}${term.year ? `, ${term.year}` : ''} (${term.startDate} to ${term.endDate})`, { align: 'center' });
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(12).text(student.name);
+  doc.font('Helvetica').fontSize(10)
+    .text(`Section: ${text(student.section)}    Roll No.: ${text(student.rollNumber)}`);
+  doc.moveDown();
+
+  const drawRow = (values, { bold = false } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    const height = Math.max(...values.map((value, i) => doc.heightOfString(value, { width: COLUMNS[i].width - 6 }))) + 6;
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+    const top = doc.y;
+    let x = left;
+    values.forEach((value, i) => {
+      doc.text(value, x + 3, top + 3, { width: COLUMNS[i].width - 6 });
+      x += COLUMNS[i].width;
+    });
+    const width = COLUMNS.reduce((sum, c) => sum + c.width, 0);
+    doc.moveTo(left, top + height).lineTo(left + width, top + height).strokeColor('#cccccc').stroke();
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  drawRow(COLUMNS.map(c => c.header), { bold: true });
+  if (!card.subjects.length) {
+    doc.font('Helvetica').fontSize(10).text('No marks were recorded for this term.', left, doc.y + 4);
+  }
+  card.subjects.forEach(row => drawRow(COLUMNS.map(c => text(row[c.key]))));
+  doc.moveDown();
+
+  doc.font('Helvetica').fontSize(10).text(
+    `Average score: ${text(card.average)}%    GPA: ${text(card.gpa)}    CGPA: ${text(card.cgpa)}    ` +
+    `Class rank: ${card.rank ? `${card.rank} of ${card.rankedStudents}` : '-'}`,
+    left
+  );
+  const { attendance } = card;
+  doc.text(attendance.rate === null
+    ? 'Attendance: no attendance was recorded this term'
+    : `Attendance: ${attendance.rate}% over ${attendance.countedDays} days ` +
+      `(${Object.entries(attendance.counts).filter(([, count]) => count).map(([status, count]) => `${status} ${count}`).join(', ')})`);
+
+  if (card.remarks.length) {
+    doc.moveDown();
+    doc.font('Helvetica-Bold').text('Remarks');
+    card.remarks.forEach(({ author, remarks }) => doc.font('Helvetica').text(`${remarks}${author ? ` (${author})` : ''}`));
+  }
+
+  doc.moveDown(2);
+  doc.fontSize(8).fillColor('#555555').text(`Generated ${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC`);
+  doc.end();
+});
+
+module.exports = { buildReportCard };
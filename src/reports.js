@@ -0,0 +1,214 @@
+const express = require('express');
+const router = express.Router();
+const JSZip = require('jszip');
+const { authenticate, requirePermissionScope } = require('./middleware/middleware');
+const { permissionScope, isOwnOrChild } = require('./permissions');
+const { checkAssignedStudent, getTeachingAssignments, teachesSection } = require('./teaching');
+const { groupResults } = require('./markResults');
+const { loadGrader } = require('./grading');
+const { summarizeRecords } = require('./attendanceStats');
+const { listSubjects, matchSubject, unknownSubjectMessage } = require('./subjects');
+const { displayName } = require('./profiles');
+const { inRange } = require('./dates');
+const { buildReportCard } = require('./reportCards');
+const { markStatus } = require('./marks');
+const { getRepository } = require('./storage/storage');
+const { nextId } = require('./storage/sequences');
+
+const usersRepo = getRepository('users');
+const marksRepo = getRepository('marks');
+const yearsRepo = getRepository('academicYears');
+const termsRepo = getRepository('terms');
+const examsRepo = getRepository('exams');
+const attendanceRepo = getRepository('attendance');
+const remarksRepo = getRepository('reportRemarks');
+
+// Term report cards. Teachers leave remarks per student and term, either for one subject or overall:
+// { id, userId, termId, subject (null for overall), remarks, authorId, updatedAt }. A card combines the
+// student's term results (markResults.js), their rank by average score among the active students of their
+// section, the section's average per subject, their attendance between the term's dates and the remarks.
+// Only published marks count.
+const MAX_REMARKS_LENGTH = 500;
+
+const mean = values => (values.length ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10 : null);
+
+const classmatesOf = section =>
+  usersRepo.find(u => u.userType === 'Student' && u.active !== false && section && u.section === section);
+
+// Report card contents for `students`, ranked against `classmates`
+const buildCards = async (students, classmates, term) => {
+  const everyone = [...new Map([...classmates, ...students].map(s => [s.id, s])).values()];
+  const ids = new Set(everyone.map(s => s.id));
+  const [years, terms, exams, grade, marks, users] = await Promise.all([
+    yearsRepo.all(), termsRepo.all(), examsRepo.all(), loadGrader(), marksRepo.find(m => ids.has(m.userId) && markStatus(m) === 'published'), usersRepo.all(),
+  ]);
+  const results = new Map(everyone.map((student) => {
+    const { terms: termResults } = groupResults(marks.filter(m => m.userId === student.id), { years, terms, exams, grade, section: student.section });
+    const result = termResults.find(t => t.id === term.id);
+    return [student.id, result && { ...result, average: mean(result.subjects.map(s => s.score)) }];
+  }));
+
+  const ranked = classmates.map(s => results.get(s.id)).filter(Boolean);
+  const sectionAverage = subject => mean(ranked.flatMap(r => r.subjects.filter(s => s.subject === subject).map(s => s.score)));
+  const remarks = await remarksRepo.find(r => r.termId === term.id && students.some(s => s.id === r.userId));
+  const attendance = await attendanceRepo.find(r => students.some(s => s.id === r.userId) &&
+    inRange(r.date, { from: term.startDate, to: term.endDate }));
+  const authorName = id => displayName(users.find(u => u.id === id));
+
+  return students.map((student) => {
+    const result = results.get(student.id);
+    const own = remarks.filter(r => r.userId === student.id);
+    return {
+      student: { id: student.id, name: displayName(student), section: student.section || null, rollNumber: student.rollNumber },
+      term: { id: term.id, name: term.name, year: years.find(y => y.id === term.yearId)?.name ?? null, startDate: term.startDate, endDate: term.endDate },
+      subjects: (result?.subjects || []).map(({ subject, score, grade: letter, gradePoints }) => ({
+        subject,
+        score,
+        grade: letter,
+        gradePoints,
+        sectionAverage: sectionAverage(subject),
+        remarks: own.find(r => r.subject === subject)?.remarks || null,
+      })),
+      average: result?.average ?? null,
+      gpa: result?.gpa ?? null,
+      cgpa: result?.cgpa ?? null,
+      rank: result && ranked.includes(result) ? ranked.filter(r => r.average > result.average).length + 1 : null,
+      rankedStudents: ranked.length,
+      attendance: summarizeRecords(attendance.filter(r => r.userId === student.id)),
+      remarks: own.filter(r => r.subject === null).map(r => ({ author: authorName(r.authorId), remarks: r.remarks })),
+    };
+  });
+};
+
+// The term from ?term=, or a 400 message
+const findTerm = async (termId) => {
+  const term = termId ? await termsRepo.findOne(t => t.id === parseInt(termId)) : null;
+  return term ? { term } : { message: 'term must be the id of an existing term' };
+};
+
+const fileName = card => `report-card-${card.student.rollNumber ?? card.student.id}-${card.student.name}`
+  .replace(/[^A-Za-z0-9.@_-]+/g, '-');
+
+// GET /reports/sections/:section?term=: A zip with the report card of every active student of the section. Needs
+// marks:read, or marks:read:assigned for a section the user teaches.
+router.get('/sections/:section', authenticate, requirePermissionScope('marks:read'), async (req, res) => {
+  try {
+    if (req.permissionScope === 'assigned' && !teachesSection(await getTeachingAssignments(req.user.id), req.params.section)) {
+      return res.status(403).json({ message: `You do not teach section ${req.params.section}` });
+    }
+    const { term, message } = await findTerm(req.query.term);
+    if (!term) {
+      return res.status(400).json({ message });
+    }
+    const students = (await classmatesOf(req.params.section))
+      .sort((a, b) => (a.rollNumber ?? Infinity) - (b.rollNumber ?? Infinity) || a.id - b.id);
+    if (!students.length) {
+      return res.status(404).json({ message: `No active students in section ${req.params.section}` });
+    }
+    const zip = new JSZip();
+    for (const card of await buildCards(students, students, term)) {
+      zip.file(`${fileName(card)}.pdf`, await buildReportCard(card));
+    }
+    const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    console.log('Report cards generated:', { section: req.params.section, term: term.id, students: students.length });
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename=report-cards-${req.params.section}-term-${term.id}.zip`.replace(/[^A-Za-z0-9.=;:\s_-]+/g, '-'));
+    res.send(buffer);
+  } catch (error) {
+    console.error('Report cards zip error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// PUT /reports/:userId/remarks: Set a teacher's remarks { termId, subject, remarks } on a student's report card;
+// without a subject the remarks are overall. Empty remarks remove them. Needs marks:write, or
+// marks:write:assigned for the students, and subjects, the user teaches.
+router.put('/:userId/remarks', authenticate, requirePermissionScope('marks:write'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const { termId, subject, remarks } = req.body || {};
+    const term = await termsRepo.findOne(t => t.id === termId);
+    if (!term) {
+      return res.status(400).json({ message: 'termId must be the id of an existing term' });
+    }
+    if (typeof remarks !== 'string' || remarks.length > MAX_REMARKS_LENGTH) {
+      return res.status(400).json({ message: `remarks must be text of at most ${MAX_REMARKS_LENGTH} characters` });
+    }
+    let subjectName = null;
+    if (subject !== undefined && subject !== null) {
+      const subjects = await listSubjects();
+      subjectName = matchSubject(subjects, subject)?.name;
+      if (!subjectName) {
+        return res.status(400).json({ message: unknownSubjectMessage(subjects) });
+      }
+    }
+    const student = await usersRepo.findOne(u => u.id === userId && u.userType === 'Student');
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+    if (req.permissionScope === 'assigned') {
+      const access = await checkAssignedStudent(req.user, userId, subjectName ?? undefined);
+      if (!access.student) {
+        return res.status(access.status).json({ message: access.message });
+      }
+    }
+
+    const matches = r => r.userId === userId && r.termId === term.id && r.subject === subjectName;
+    if (!remarks.trim()) {
+      await remarksRepo.remove(matches);
+      return res.json({ message: 'Remarks removed' });
+    }
+    const record = await remarksRepo.mutate(async (records) => {
+      const existing = records.find(matches);
+      const changes = { remarks: remarks.trim(), authorId: req.user.id, updatedAt: new Date().toISOString() };
+      if (existing) {
+        return Object.assign(existing, changes);
+      }
+      const created = { id: await nextId('reportRemarks', records), userId, termId: term.id, subject: subjectName, ...changes };
+      records.push(created);
+      return created;
+    });
+    res.json(record);
+  } catch (error) {
+    console.error('Report remarks error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /reports/:userId?term=&format=: A student's term report card as a PDF, or as JSON with format=json. Open to
+// the student, their parents, users with marks:read and, for the sections they teach, marks:read:assigned.
+router.get('/:userId', authenticate, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const scope = isOwnOrChild(req.user, userId) ? 'all' : await permissionScope(req.user, 'marks:read');
+    if (!scope) {
+      return res.status(403).json({ message: 'Unauthorized to view this report card' });
+    }
+    if (scope === 'assigned') {
+      const access = await checkAssignedStudent(req.user, userId);
+      if (!access.student) {
+        return res.status(access.status).json({ message: access.message });
+      }
+    }
+    const { term, message } = await findTerm(req.query.term);
+    if (!term) {
+      return res.status(400).json({ message });
+    }
+    const student = await usersRepo.findOne(u => u.id === userId && u.userType === 'Student');
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+    const [card] = await buildCards([student], await classmatesOf(student.section), term);
+    if (req.query.format === 'json') {
+      return res.json(card);
+    }
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${fileName(card)}-term-${term.id}.pdf`);
+    res.send(await buildReportCard(card));
+  } catch (error) {
+    console.error('Report card error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
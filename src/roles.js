@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requirePermission } = require('./middleware/middleware');
+const {
+  PERMISSIONS,
+  ROLES,
+  listRoles,
+  checkRolePermissions,
+  setRolePermissions,
+  resetRolePermissions,
+} = require('./permissions');
+
+router.use(authenticate, requirePermission('roles:manage'));
+
+// GET /roles/permissions: Every permission the API checks
+router.get('/permissions', (req, res) => {
+  res.json(Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })));
+});
+
+// GET /roles: Every role with its current permission set
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listRoles());
+  } catch (error) {
+    console.error('Roles GET error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// PUT /roles/:name: Replace a role's permission set
+router.put('/:name', async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!ROLES.includes(name)) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    const permissions = req.body?.permissions;
+    const error = checkRolePermissions(name, permissions);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    res.json(await setRolePermissions(name, permissions));
+  } catch (error) {
+    console.error('Roles PUT error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// DELETE /roles/:name/permissions: Restore a role's default permission set
+router.delete('/:name/permissions', async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!ROLES.includes(name)) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    res.json(await resetRolePermissions(name));
+  } catch (error) {
+    console.error('Roles DELETE error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { v4: uuidv4 } = require('uuid');
+
+// Reads .xlsx/.csv rosters for bulk account creation. The first row holds the headers; columns are
+// matched by name (case-insensitive), so their order does not matter.
+const COLUMNS = {
+  email: ['email', 'e-mail', 'email address'],
+  name: ['name', 'full name', 'display name'],
+  userType: ['type', 'user type', 'usertype', 'role'],
+  section: ['section', 'class'],
+};
+const MAX_ROWS = 2000;
+const CREDENTIALS_TTL_MS = 15 * 60 * 1000;
+
+const cellText = (cell) => String(cell.text ?? '').trim();
+
+// Returns [{ row, email, name, userType, section }] or throws an Error describing why the file is unusable
+const readRoster = async (buffer, fileName) => {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+  if (path.extname(fileName).toLowerCase() === '.csv') {
+    worksheet = await workbook.csv.read(Readable.from(buffer));
+  } else {
+    await workbook.xlsx.load(buffer);
+    worksheet = workbook.worksheets[0];
+  }
+  if (!worksheet || worksheet.rowCount < 2) {
+    throw new Error('The roster has no data rows');
+  }
+
+  const columnIndex = {};
+  worksheet.getRow(1).eachCell((cell, col) => {
+    const header = cellText(cell).toLowerCase();
+    const key = Object.keys(COLUMNS).find(k => COLUMNS[k].includes(header));
+    if (key && !columnIndex[key]) {
+      columnIndex[key] = col;
+    }
+  });
+  const missing = ['email', 'userType'].filter(key => !columnIndex[key]);
+  if (missing.length) {
+    throw new Error(`The roster is missing the ${missing.map(key => COLUMNS[key][0]).join(' and ')} column`);
+  }
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const value = (key) => (columnIndex[key] ? cellText(row.getCell(columnIndex[key])) : '');
+    const entry = { row: rowNumber, email: value('email'), name: value('name'), userType: value('userType'), section: value('section') };
+    if (entry.email || entry.name || entry.userType || entry.section) {
+      rows.push(entry);
+    }
+  });
+  if (rows.length > MAX_ROWS) {
+    throw new Error(`The roster has ${rows.length} rows; at most ${MAX_ROWS} can be imported at once`);
+  }
+  return rows;
+};
+
+// Random password that always satisfies the password rules (letters and digits, no look-alike characters)
+const generateTemporaryPassword = () => {
+  const letters = 'abcdefghjkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ';
+  const digits = '23456789';
+  const alphabet = letters + digits;
+  const chars = [letters[crypto.randomInt(letters.length)], digits[crypto.randomInt(digits.length)]];
+  while (chars.length < 12) {
+    chars.push(alphabet[crypto.randomInt(alphabet.length)]);
+  }
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join('');
+};
+
+const buildCredentialsSheet = async (accounts) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Credentials');
+  worksheet.columns = [
+    { header: 'Row', key: 'row', width: 8 },
+    { header: 'User ID', key: 'userId', width: 10 },
+    { header: 'Email', key: 'email', width: 32 },
+    { header: 'Name', key: 'name', width: 30 },
+    { header: 'User Type', key: 'userType', width: 12 },
+    { header: 'Section', key: 'section', width: 10 },
+    { header: 'Temporary Password', key: 'password', width: 20 },
+  ];
+  worksheet.getRow(1).font = { bold: true };
+  accounts.forEach(account => worksheet.addRow(account));
+  return workbook.xlsx.writeBuffer();
+};
+
+// Credentials sheets hold plain-text passwords, so they are kept in memory only, expire after
+// 15 minutes and can be downloaded once
+const credentialSheets = new Map();
+
+const storeCredentialsSheet = (buffer, createdBy) => {
+  const now = Date.now();
+  credentialSheets.forEach((sheet, id) => {
+    if (sheet.expiresAt <= now) credentialSheets.delete(id);
+  });
+  const id = uuidv4();
+  credentialSheets.set(id, { buffer, createdBy, expiresAt: now + CREDENTIALS_TTL_MS });
+  return id;
+};
+
+const takeCredentialsSheet = (id, requestedBy) => {
+  const sheet = credentialSheets.get(id);
+  if (!sheet || sheet.createdBy !== requestedBy || sheet.expiresAt <= Date.now()) {
+    return null;
+  }
+  credentialSheets.delete(id);
+  return sheet.buffer;
+};
+
+module.exports = { readRoster, generateTemporaryPassword, buildCredentialsSheet, storeCredentialsSheet, takeCredentialsSheet };
@@ -1,124 +1,234 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../src/middleware/middleware');
-const fs = require('fs').promises;
-const path = require('path');
-const { readUsers } = require('./accounts');
+const { authenticate, requirePermission } = require('../src/middleware/middleware');
+const { PERMISSIONS, hasPermission } = require('./permissions');
+const { getTeachingAssignments } = require('./teaching');
+const { listSubjects, matchSubject, unknownSubjectMessage, isTaughtIn } = require('./subjects');
+const { displayName } = require('./profiles');
+const { loadCalendar, isSchoolDay } = require('./schoolCalendar');
+const { WEEKDAYS, isValidDate, isValidTime, matchWeekday, weekdayOf, slotsOverlap } = require('./dates');
+const { getRepository } = require('./storage/storage');
+const { nextId } = require('./storage/sequences');
 
-const DATA_DIR = path.join(process.cwd(), 'data');
-const ROUTINES_FILE = path.join(DATA_DIR, 'routines.json');
+const routinesRepo = getRepository('routines');
+const usersRepo = getRepository('users');
+const substitutionsRepo = getRepository('substitutions');
 
-const ensureRoutinesFile = async () => {
-  try {
-    await fs.access(ROUTINES_FILE);
-  } catch {
-    await fs.writeFile(ROUTINES_FILE, JSON.stringify([]));
+// The catalogue entry for a routine's subject, which must be taught in its section. Resolves to { subject } or { message }.
+const checkRoutineSubject = async (name, section) => {
+  const subjects = await listSubjects();
+  const subject = matchSubject(subjects, name);
+  if (!subject) {
+    return { message: unknownSubjectMessage(subjects) };
+  }
+  if (!isTaughtIn(subject, section)) {
+    return { message: `${subject.name} is not taught in section ${section}` };
   }
+  return { subject };
 };
 
-const readRoutines = async () => {
-  try {
-    await ensureRoutinesFile();
-    const data = await fs.readFile(ROUTINES_FILE, 'utf-8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('readRoutines error:', error);
-    throw new Error(`Failed to read routines: ${error.message}`);
+// Routine entries are weekly slots: { id, section, day, startTime, endTime, subject, teacherId, room }. `day` is
+// a weekday, the times are HH:MM and `room` is optional. Within a weekday, a teacher, a section and a room can
+// each only be in one entry at a time.
+const MAX_ROOM_LENGTH = 50;
+
+// Checks a proposed entry. Resolves to { routine } with the canonical fields, or { message }.
+const validateRoutine = async ({ section, day, startTime, endTime, subject, teacherId, room }) => {
+  if (!section || !day || !startTime || !endTime || !subject || !teacherId) {
+    return { message: 'section, day, startTime, endTime, subject and teacherId are required' };
+  }
+  const weekday = matchWeekday(day);
+  if (!weekday) {
+    return { message: `day must be one of: ${WEEKDAYS.join(', ')}` };
+  }
+  if (!isValidTime(startTime) || !isValidTime(endTime)) {
+    return { message: 'startTime and endTime must be times in HH:MM format' };
+  }
+  if (startTime >= endTime) {
+    return { message: 'startTime must be before endTime' };
+  }
+  if (room !== undefined && room !== null && (typeof room !== 'string' || !room.trim() || room.trim().length > MAX_ROOM_LENGTH)) {
+    return { message: `room must be 1 to ${MAX_ROOM_LENGTH} characters` };
+  }
+  const teacher = await usersRepo.findOne(u => u.id === teacherId && u.userType === 'Teacher');
+  if (!teacher) {
+    return { message: 'Invalid teacherId' };
+  }
+  const { subject: entry, message } = await checkRoutineSubject(subject, section);
+  if (!entry) {
+    return { message };
   }
+  return {
+    routine: { section, day: weekday, startTime, endTime, subject: entry.name, teacherId, room: room ? room.trim() : null },
+  };
 };
 
-const writeRoutines = async (routines) => {
+// The entries that overlap `routine` in time and share its teacher, section or room, each with `clashes`
+// naming what they share
+const findConflicts = (routine, routines) => routines
+  .filter(r => r.id !== routine.id && slotsOverlap(r, routine))
+  .map(r => ({
+    ...r,
+    clashes: [
+      r.teacherId === routine.teacherId && 'teacher',
+      r.section === routine.section && 'section',
+      routine.room && r.room && r.room.toLowerCase() === routine.room.toLowerCase() && 'room',
+    ].filter(Boolean),
+  }))
+  .filter(r => r.clashes.length);
+
+const conflictMessage = conflicts =>
+  `The entry clashes with ${conflicts.length} routine ${conflicts.length === 1 ? 'entry' : 'entries'}`;
+
+// POST /routines: Add an entry { section, day, startTime, endTime, subject, teacherId, room }. Overlaps with the
+// same teacher, section or room get a 409 listing the clashing entries.
+router.post('/', authenticate, requirePermission('routines:write'), async (req, res) => {
   try {
-    await ensureRoutinesFile();
-    await fs.writeFile(ROUTINES_FILE, JSON.stringify(routines, null, 2));
+    const { routine, message } = await validateRoutine(req.body || {});
+    if (!routine) {
+      return res.status(400).json({ message });
+    }
+    const result = await routinesRepo.mutate(async (routines) => {
+      const conflicts = findConflicts(routine, routines);
+      if (conflicts.length) {
+        return { conflicts };
+      }
+      const created = { id: await nextId('routines', routines), ...routine };
+      routines.push(created);
+      return { routine: created };
+    });
+    if (!result.routine) {
+      return res.status(409).json({ message: conflictMessage(result.conflicts), conflicts: result.conflicts });
+    }
+    res.status(201).json(result.routine);
   } catch (error) {
-    console.error('writeRoutines error:', error);
-    throw new Error(`Failed to write routines: ${error.message}`);
+    console.error('Routine POST error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
-};
+});
 
-router.post('/', authenticate, async (req, res) => {
-  if (req.user.userType !== 'Admin') {
-    return res.status(403).json({ message: 'Only Admins can create routines' });
-  }
-  const { section, day, time, subject, teacherId } = req.body;
-  if (!section || !day || !time || !subject || !teacherId) {
-    return res.status(400).json({ message: 'All fields are required' });
+// POST /routines/check: Validate a proposed entry, with the `id` of the entry it would replace if any, without
+// saving it. Answers like POST /routines would, but with 200 { message, routine } when the entry is fine.
+router.post('/check', authenticate, requirePermission('routines:write'), async (req, res) => {
+  try {
+    const { routine, message } = await validateRoutine(req.body || {});
+    if (!routine) {
+      return res.status(400).json({ message });
+    }
+    const id = req.body.id === undefined ? undefined : parseInt(req.body.id);
+    const conflicts = findConflicts({ ...routine, id }, await routinesRepo.all());
+    if (conflicts.length) {
+      return res.status(409).json({ message: conflictMessage(conflicts), conflicts });
+    }
+    res.json({ message: 'The entry has no conflicts', routine });
+  } catch (error) {
+    console.error('Routine check error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
-  const users = await readUsers();
-  const teacher = users.find(u => u.id === teacherId && u.userType === 'Teacher');
-  if (!teacher) {
-    return res.status(400).json({ message: 'Invalid teacherId' });
-  }
-  const routines = await readRoutines();
-  const newRoutine = {
-    id: routines.length + 1,
-    section,
-    day,
-    time,
-    subject,
-    teacherId,
-  };
-  routines.push(newRoutine);
-  await writeRoutines(routines);
-  res.status(201).json(newRoutine);
 });
 
-router.put('/:id', authenticate, async (req, res) => {
-  if (req.user.userType !== 'Admin') {
-    return res.status(403).json({ message: 'Only Admins can update routines' });
-  }
-  const { id } = req.params;
-  const { section, day, time, subject, teacherId } = req.body;
-  if (!section || !day || !time || !subject || !teacherId) {
-    return res.status(400).json({ message: 'All fields are required' });
-  }
-  const users = await readUsers();
-  const teacher = users.find(u => u.id === teacherId && u.userType === 'Teacher');
-  if (!teacher) {
-    return res.status(400).json({ message: 'Invalid teacherId' });
-  }
-  const routines = await readRoutines();
-  const index = routines.findIndex(r => r.id === parseInt(id));
-  if (index === -1) {
-    return res.status(404).json({ message: 'Routine not found' });
+// PUT /routines/:id: Replace an entry, with the same checks as POST /routines
+router.put('/:id', authenticate, requirePermission('routines:write'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { routine, message } = await validateRoutine(req.body || {});
+    if (!routine) {
+      return res.status(400).json({ message });
+    }
+    const result = await routinesRepo.mutate((routines) => {
+      const index = routines.findIndex(r => r.id === id);
+      if (index === -1) {
+        return { status: 404, message: 'Routine not found' };
+      }
+      const conflicts = findConflicts({ ...routine, id }, routines);
+      if (conflicts.length) {
+        return { status: 409, message: conflictMessage(conflicts), conflicts };
+      }
+      const previous = routines[index];
+      routines[index] = { id, ...routine };
+      return { routine: routines[index], moved: ['day', 'startTime', 'endTime', 'teacherId'].some(f => previous[f] !== routine[f]) };
+    });
+    if (!result.routine) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
+    // Substitutes were arranged for the old slot and teacher
+    if (result.moved) {
+      await substitutionsRepo.remove(s => s.routineId === id);
+    }
+    res.json(result.routine);
+  } catch (error) {
+    console.error('Routine PUT error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
-  routines[index] = { id: parseInt(id), section, day, time, subject, teacherId };
-  await writeRoutines(routines);
-  res.json(routines[index]);
 });
 
-router.delete('/:id', authenticate, async (req, res) => {
-  if (req.user.userType !== 'Admin') {
-    return res.status(403).json({ message: 'Only Admins can delete routines' });
-  }
+router.delete('/:id', authenticate, requirePermission('routines:write'), async (req, res) => {
   const { id } = req.params;
-  const routines = await readRoutines();
-  const index = routines.findIndex(r => r.id === parseInt(id));
-  if (index === -1) {
+  const removed = await routinesRepo.remove(r => r.id === parseInt(id));
+  if (!removed) {
     return res.status(404).json({ message: 'Routine not found' });
   }
-  routines.splice(index, 1);
-  await writeRoutines(routines);
+  await substitutionsRepo.remove(s => s.routineId === parseInt(id));
   res.json({ message: 'Routine deleted' });
 });
 
+// GET /routines/assignments: The sections and subjects a teacher teaches, derived from the routines. Defaults
+// to the signed-in user; looking up another teacher (?teacherId=) needs routines:read.
+router.get('/assignments', authenticate, async (req, res) => {
+  const teacherId = req.query.teacherId ? parseInt(req.query.teacherId) : req.user.id;
+  if (teacherId !== req.user.id && !(await hasPermission(req.user, 'routines:read'))) {
+    return res.status(403).json({ message: `You do not have permission to ${PERMISSIONS['routines:read']}` });
+  }
+  res.json(await getTeachingAssignments(teacherId));
+});
+
+// The lessons held on `date`: the entries of its weekday, for the sections that have school that day (see
+// schoolCalendar.js), in time order. Each has the date and its `substitute` ({ substitutionId, teacherId, name })
+// when the lesson was given to another teacher for that date.
+const datedRoutines = async (routines, date) => {
+  const day = weekdayOf(date);
+  const calendar = await loadCalendar();
+  const substitutions = await substitutionsRepo.find(s => s.date === date);
+  const substitutes = await usersRepo.find(u => substitutions.some(s => s.substituteId === u.id));
+  return routines
+    .filter(r => r.day === day && isSchoolDay(calendar, date, r.section))
+    .sort((a, b) => (a.startTime || '').localeCompare(b.startTime || '') || a.id - b.id)
+    .map((routine) => {
+      const substitution = substitutions.find(s => s.routineId === routine.id);
+      return {
+        ...routine,
+        date,
+        substitute: substitution
+          ? { substitutionId: substitution.id, teacherId: substitution.substituteId, name: displayName(substitutes.find(u => u.id === substitution.substituteId)) }
+          : null,
+      };
+    });
+};
+
+// GET /routines?date=: Every routine with routines:read; otherwise the user's own classes, their section's
+// routine, or for Parents their children's sections. With a date, only the lessons held that day, showing the
+// substitutes arranged for it, and a teacher also sees the lessons they cover that day.
 router.get('/', authenticate, async (req, res) => {
-  const routines = await readRoutines();
-  let filteredRoutines;
-  if (req.user.userType === 'Admin') {
-    filteredRoutines = routines;
-  } else if (req.user.userType === 'Teacher') {
-    filteredRoutines = routines.filter(r => r.teacherId === req.user.id);
-  } else if (req.user.userType === 'Student') {
-    if (!req.user.section) {
-      return res.status(400).json({ message: 'Student section not found' });
-    }
-    filteredRoutines = routines.filter(r => r.section === req.user.section);
-  } else {
-    return res.status(403).json({ message: 'Invalid user type' });
+  const { date } = req.query;
+  if (date !== undefined && !isValidDate(date)) {
+    return res.status(400).json({ message: 'date must be a date in YYYY-MM-DD format' });
+  }
+  const routines = await routinesRepo.all();
+  const dated = date ? await datedRoutines(routines, date) : routines;
+  if (await hasPermission(req.user, 'routines:read')) {
+    return res.json(dated);
+  }
+  if (req.user.userType === 'Student' && !req.user.section) {
+    return res.status(400).json({ message: 'Student section not found' });
+  }
+  const sections = new Set(req.user.section ? [req.user.section] : []);
+  if (req.user.children?.length) {
+    const children = await usersRepo.find(u => req.user.children.includes(u.id));
+    children.forEach(child => child.section && sections.add(child.section));
   }
-  res.json(filteredRoutines);
+  res.json(dated.filter(r => r.teacherId === req.user.id || r.substitute?.teacherId === req.user.id || sections.has(r.section)));
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.findConflicts = findConflicts;
\ No newline at end of file
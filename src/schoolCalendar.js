@@ -0,0 +1,35 @@
+const { getRepository } = require('./storage/storage');
+
+const termsRepo = getRepository('terms');
+const holidaysRepo = getRepository('holidays');
+const examPeriodsRepo = getRepository('examPeriods');
+const eventsRepo = getRepository('calendarEvents');
+
+// Reads the school calendar kept under /calendar (see academics.js). Holidays, exam periods and events list the
+// `sections` they concern; an empty or missing list means the whole school. Lessons happen on the days inside a
+// term (any day when no terms exist) that are not a holiday for the section.
+
+const loadCalendar = async () => {
+  const [terms, holidays, examPeriods, events] = await Promise.all([
+    termsRepo.all(), holidaysRepo.all(), examPeriodsRepo.all(), eventsRepo.all(),
+  ]);
+  return { terms, holidays, examPeriods, events };
+};
+
+// Whether a holiday, exam period or event concerns any of `sections`. Without sections, only whole-school
+// entries do.
+const appliesTo = (entry, sections) => !entry.sections?.length || sections.some(s => entry.sections.includes(s));
+
+const covers = (entry, date) => entry.startDate <= date && date <= entry.endDate;
+
+const termOn = (calendar, date) => calendar.terms.find(t => covers(t, date)) || null;
+
+const holidayOn = (calendar, date, section) =>
+  calendar.holidays.find(h => covers(h, date) && appliesTo(h, section ? [section] : [])) || null;
+
+const isSchoolDay = (calendar, date, section) =>
+  (!calendar.terms.length || Boolean(termOn(calendar, date))) && !holidayOn(calendar, date, section);
+
+const holidayMessage = (holiday, date) => `${date} is a holiday (${holiday.name})`;
+
+module.exports = { loadCalendar, appliesTo, covers, termOn, holidayOn, isSchoolDay, holidayMessage };
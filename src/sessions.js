@@ -0,0 +1,95 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { getRepository } = require('./storage/storage');
+
+const sessionsRepo = getRepository('sessions');
+const usersRepo = getRepository('users');
+
+// Every sign-in opens a session: { id, userId, refreshTokenId, createdAt, expiresAt, revokedAt }.
+// Access tokens carry the session id (sid) and stop working as soon as the session is revoked.
+// Refresh tokens rotate: each one can be used once, and presenting an already used refresh token
+// revokes the whole session, since it means the token was copied.
+
+const accessTokenExpiresIn = () => process.env.JWT_EXPIRES_IN || '1h';
+const refreshTokenExpiresIn = () => process.env.REFRESH_TOKEN_EXPIRES_IN || '30d';
+
+const signTokens = (user, session) => {
+  const payload = { id: user.id, email: user.email, userType: user.userType, sid: session.id };
+  if (user.userType === 'Student') {
+    payload.section = user.section;
+  }
+  const token = jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: accessTokenExpiresIn(),
+    jwtid: uuidv4(),
+  });
+  const refreshToken = jwt.sign({ id: user.id, sid: session.id, type: 'refresh' }, process.env.JWT_SECRET, {
+    expiresIn: refreshTokenExpiresIn(),
+    jwtid: session.refreshTokenId,
+  });
+  return { token, refreshToken, expiresAt: new Date(jwt.decode(refreshToken).exp * 1000).toISOString() };
+};
+
+// Opens a session for the user and returns { token, refreshToken }
+const createSession = async (user) => {
+  const now = new Date().toISOString();
+  const session = { id: uuidv4(), userId: user.id, refreshTokenId: uuidv4(), createdAt: now, revokedAt: null };
+  const { token, refreshToken, expiresAt } = signTokens(user, session);
+  await sessionsRepo.mutate((sessions) => {
+    // Drop sessions that can no longer be refreshed
+    for (let i = sessions.length - 1; i >= 0; i--) {
+      if (sessions[i].expiresAt <= now) {
+        sessions.splice(i, 1);
+      }
+    }
+    sessions.push({ ...session, expiresAt });
+  });
+  return { token, refreshToken };
+};
+
+// Exchanges a refresh token for a new token pair. Returns null when the token is not valid.
+const refreshSession = async (refreshToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
+  } catch {
+    return null;
+  }
+  if (decoded.type !== 'refresh' || !decoded.sid) {
+    return null;
+  }
+  const user = await usersRepo.findOne(u => u.id === decoded.id);
+
+  return sessionsRepo.mutate((sessions) => {
+    const session = sessions.find(s => s.id === decoded.sid && s.userId === decoded.id);
+    if (!session || session.revokedAt) {
+      return null;
+    }
+    if (session.refreshTokenId !== decoded.jti) {
+      console.log('Refresh token reuse detected, revoking session:', session.id);
+      session.revokedAt = new Date().toISOString();
+      return null;
+    }
+    if (!user || user.active === false) {
+      session.revokedAt = new Date().toISOString();
+      return null;
+    }
+    session.refreshTokenId = uuidv4();
+    const tokens = signTokens(user, session);
+    session.expiresAt = tokens.expiresAt;
+    return { token: tokens.token, refreshToken: tokens.refreshToken };
+  });
+};
+
+const isSessionActive = async (sessionId, userId) => {
+  const session = await sessionsRepo.findOne(s => s.id === sessionId && s.userId === userId);
+  return Boolean(session && !session.revokedAt);
+};
+
+const revokeSession = (sessionId) =>
+  sessionsRepo.update(s => s.id === sessionId && !s.revokedAt, { revokedAt: new Date().toISOString() });
+
+// Ends every session of a user, e.g. after a password change or when the account is disabled
+const revokeAllSessions = (userId) =>
+  sessionsRepo.update(s => s.userId === userId && !s.revokedAt, { revokedAt: new Date().toISOString() });
+
+module.exports = { createSession, refreshSession, isSessionActive, revokeSession, revokeAllSessions };
@@ -0,0 +1,93 @@
+const path = require('path');
+const multer = require('multer');
+const ExcelJS = require('exceljs');
+
+// Reads offline attendance and marks sheets. Every worksheet of the workbook is read (exports have one sheet
+// per section); the first row of each holds the headers, matched by name, so extra columns such as Name or
+// Grade are ignored.
+const MAX_ROWS = 5000;
+
+// Sheets are parsed in memory and never written to disk
+const sheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.xlsx') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only XLSX files are allowed'), false);
+    }
+  },
+});
+
+const handleUploadError = (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    return res.status(400).json({ message: 'File upload error: ' + err.message });
+  } else if (err) {
+    return res.status(400).json({ message: err.message });
+  }
+  next();
+};
+
+// Dates typed into Excel come back as Date objects; everything else is read as trimmed text
+const cellValue = (cell) => {
+  if (cell.value instanceof Date) {
+    return cell.value.toISOString().slice(0, 10);
+  }
+  return String(cell.text ?? '').trim();
+};
+
+// `columns` maps keys to accepted header names, e.g. { userId: ['user id', 'id'] }. Returns
+// [{ sheet, row, values: { key: text } }] for non-empty rows, or throws an Error when the file is unusable.
+const readSheetRows = async (buffer, columns, required) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const rows = [];
+  workbook.worksheets.forEach((worksheet) => {
+    const columnIndex = {};
+    worksheet.getRow(1).eachCell((cell, col) => {
+      const header = cellValue(cell).toLowerCase();
+      const key = Object.keys(columns).find(k => columns[k].includes(header));
+      if (key && !columnIndex[key]) {
+        columnIndex[key] = col;
+      }
+    });
+    const missing = required.filter(key => !columnIndex[key]);
+    if (missing.length) {
+      throw new Error(`Sheet "${worksheet.name}" is missing the ${missing.map(key => columns[key][0]).join(', ')} column`);
+    }
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+      const values = Object.fromEntries(Object.keys(columnIndex).map(key => [key, cellValue(row.getCell(columnIndex[key]))]));
+      if (Object.values(values).some(Boolean)) {
+        rows.push({ sheet: worksheet.name, row: rowNumber, values });
+      }
+    });
+  });
+  if (!rows.length) {
+    throw new Error('The file has no data rows');
+  }
+  if (rows.length > MAX_ROWS) {
+    throw new Error(`The file has ${rows.length} rows; at most ${MAX_ROWS} can be imported at once`);
+  }
+  return rows;
+};
+
+// A blank sheet to fill in offline: bold header, frozen, with one prefilled row per entry of `rows`
+const buildTemplate = async ({ sheetName, columns, rows, lists = {} }) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+  worksheet.columns = columns;
+  worksheet.getRow(1).font = { bold: true };
+  rows.forEach(row => worksheet.addRow(row));
+  // Drop-down lists for columns with a fixed set of values
+  Object.entries(lists).forEach(([key, values]) => {
+    const col = worksheet.getColumn(key).letter;
+    for (let i = 2; i <= Math.max(rows.length + 1, 2); i++) {
+      worksheet.getCell(`${col}${i}`).dataValidation = { type: 'list', allowBlank: true, formulae: [`"${values.join(',')}"`] };
+    }
+  });
+  return workbook.xlsx.writeBuffer();
+};
+
+module.exports = { sheetUpload, handleUploadError, readSheetRows, buildTemplate };
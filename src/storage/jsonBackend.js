@@ -0,0 +1,178 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createMutex } = require('./mutex');
+
+// Applies an update to a record: either a partial object to merge or a function returning the new record
+const applyChanges = (record, changes) =>
+  typeof changes === 'function' ? changes(record) : { ...record, ...changes };
+
+// Replaces the contents of an array in place
+const replaceContents = (records, next) => {
+  records.length = 0;
+  next.forEach(record => records.push(record));
+};
+
+const parseRecords = (data) => {
+  const records = data.trim() ? JSON.parse(data) : [];
+  if (!Array.isArray(records)) {
+    throw new Error('Expected a JSON array');
+  }
+  return records;
+};
+
+const exists = async (file) => {
+  try {
+    await fs.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+let tmpCounter = 0;
+
+// Writes to a temp file, flushes it and renames it over the target, so readers never see a partial file
+const writeFileAtomic = async (file, data) => {
+  const tmpFile = `${file}.${process.pid}.${tmpCounter++}.tmp`;
+  const handle = await fs.open(tmpFile, 'w');
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  try {
+    await fs.rename(tmpFile, file);
+  } catch (error) {
+    await fs.rm(tmpFile, { force: true });
+    throw error;
+  }
+};
+
+// Repository backed by one data/<name>.json file holding a JSON array (the original on-disk format).
+// Every commit replaces the file atomically and keeps the previous version in data/<name>.json.bak;
+// a file that fails to parse is restored from that backup. Writes to a collection are serialized.
+const createJsonRepository = (name, dataDir) => {
+  const file = path.join(dataDir, `${name}.json`);
+  const backupFile = `${file}.bak`;
+  const mutex = createMutex();
+
+  const readBackup = async () => {
+    try {
+      return parseRecords(await fs.readFile(backupFile, 'utf-8'));
+    } catch {
+      return null;
+    }
+  };
+
+  const restoreFromBackup = async (reason) => {
+    const records = await readBackup();
+    if (!records) return null;
+    console.error(`${name}.json ${reason}; restoring the last good copy from ${backupFile}`);
+    await writeFileAtomic(file, JSON.stringify(records, null, 2));
+    return records;
+  };
+
+  const ensureFile = async () => {
+    try {
+      await fs.mkdir(dataDir, { recursive: true });
+      if (!(await exists(file)) && !(await restoreFromBackup('is missing'))) {
+        await writeFileAtomic(file, JSON.stringify([]));
+      }
+    } catch (error) {
+      throw new Error(`Failed to ensure data directory/file: ${error.message}`);
+    }
+  };
+
+  const load = async () => {
+    try {
+      await ensureFile();
+      const data = await fs.readFile(file, 'utf-8');
+      try {
+        return parseRecords(data);
+      } catch (parseError) {
+        const records = await restoreFromBackup(`is corrupt (${parseError.message})`);
+        if (!records) throw parseError;
+        return records;
+      }
+    } catch (error) {
+      console.error(`read ${name} error:`, error);
+      throw new Error(`Failed to read ${name}: ${error.message}`);
+    }
+  };
+
+  // `data` is the records already serialized as JSON
+  const save = async (data) => {
+    try {
+      await ensureFile();
+      // Only a file that still parses is worth keeping as the last good copy
+      const current = await fs.readFile(file, 'utf-8');
+      try {
+        parseRecords(current);
+        await writeFileAtomic(backupFile, current);
+      } catch {
+        // Keep the existing backup
+      }
+      await writeFileAtomic(file, data);
+    } catch (error) {
+      console.error(`write ${name} error:`, error);
+      throw new Error(`Failed to write ${name}: ${error.message}`);
+    }
+  };
+
+  // Serialized read-modify-write: fn receives the current records, changes them in place and its
+  // return value is passed back once the records have been committed. When fn changed nothing (it only read
+  // the records, or turned the request down) the file and its backup are left as they are.
+  const mutate = (fn) => mutex.run(async () => {
+    const records = await load();
+    const before = JSON.stringify(records, null, 2);
+    const result = await fn(records);
+    const after = JSON.stringify(records, null, 2);
+    if (after !== before) {
+      await save(after);
+    }
+    return result;
+  });
+
+  return {
+    name,
+
+    all: load,
+
+    find: async (predicate) => (await load()).filter(predicate),
+
+    findOne: async (predicate) => (await load()).find(predicate) || null,
+
+    mutate,
+
+    insert: (record) => mutate((records) => {
+      records.push(record);
+      return record;
+    }),
+
+    // Returns the updated records
+    update: (predicate, changes) => mutate((records) => {
+      const updated = [];
+      records.forEach((record, index) => {
+        if (!predicate(record)) return;
+        records[index] = applyChanges(record, changes);
+        updated.push(records[index]);
+      });
+      return updated;
+    }),
+
+    // Returns the number of removed records
+    remove: (predicate) => mutate((records) => {
+      const kept = records.filter(record => !predicate(record));
+      const removed = records.length - kept.length;
+      replaceContents(records, kept);
+      return removed;
+    }),
+
+    replaceAll: (next) => mutate((records) => {
+      replaceContents(records, next);
+    }),
+  };
+};
+
+module.exports = { createJsonRepository, applyChanges, replaceContents };
@@ -0,0 +1,71 @@
+require('dotenv').config();
+const { getRepository, closeStorage } = require('./storage');
+const { nextId } = require('./sequences');
+const { isValidDate, today, addDays } = require('../dates');
+
+// One-time conversion of the old weekly attendance maps ({ userId, name, userType, attendance: { Monday: true } })
+// into dated records. The old format never said which week a map belonged to, so every map is placed in one
+// week: the week starting on `weekOf`, by default the last complete week. Records already in the dated format
+// are left alone, so running it twice does nothing the second time.
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const mondayOf = (date) => addDays(date, -((new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7));
+
+const isWeeklyRecord = (record) => !record.date && record.attendance && typeof record.attendance === 'object';
+
+const migrateWeeklyAttendance = async ({ weekOf } = {}) => {
+  if (weekOf !== undefined && !isValidDate(weekOf)) {
+    throw new Error('weekOf must be a date in YYYY-MM-DD format');
+  }
+  const monday = mondayOf(weekOf || addDays(today(), -7));
+  const migratedAt = new Date().toISOString();
+  let converted = 0;
+  let created = 0;
+
+  await getRepository('attendance').mutate(async (records) => {
+    const weekly = records.filter(isWeeklyRecord);
+    const kept = records.filter(record => !isWeeklyRecord(record));
+    for (const { userId, userType, attendance } of weekly) {
+      for (const [day, present] of Object.entries(attendance)) {
+        const index = DAYS.indexOf(day);
+        if (index === -1 || typeof present !== 'boolean') continue;
+        kept.push({
+          id: await nextId('attendance', kept),
+          userId,
+          userType,
+          date: addDays(monday, index),
+          period: null,
+          status: present ? 'present' : 'absent',
+          remarks: 'Migrated from weekly attendance',
+          recordedBy: null,
+          recordedAt: migratedAt,
+          history: [],
+        });
+        created += 1;
+      }
+      converted += 1;
+    }
+    records.splice(0, records.length, ...kept);
+  });
+
+  return { weekOf: monday, converted, created };
+};
+
+if (require.main === module) {
+  const weekArg = process.argv.find(arg => arg.startsWith('--week-of='));
+  migrateWeeklyAttendance({ weekOf: weekArg && weekArg.slice('--week-of='.length) })
+    .then(({ weekOf, converted, created }) => {
+      if (!converted) {
+        console.log('No weekly attendance records found');
+        return;
+      }
+      console.log(`Converted ${converted} weekly records into ${created} dated records for the week of ${weekOf}`);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(closeStorage);
+}
+
+module.exports = { migrateWeeklyAttendance };
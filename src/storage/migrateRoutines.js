@@ -0,0 +1,69 @@
+require('dotenv').config();
+const { getRepository, closeStorage } = require('./storage');
+const { isValidTime, matchWeekday } = require('../dates');
+
+// One-time conversion of routine entries saved with a free-text `time` ("9:00", "09:00-09:45") into
+// startTime/endTime. A time without an end gets a period of `periodMinutes`. Entries whose day or time cannot
+// be read are left alone and listed, so they can be fixed through PUT /routines/:id. Running it twice does
+// nothing the second time.
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})(?:\s*-\s*(\d{1,2}):(\d{2}))?$/;
+
+const pad = value => String(value).padStart(2, '0');
+
+const addMinutes = (time, minutes) => {
+  const total = Number(time.slice(0, 2)) * 60 + Number(time.slice(3)) + minutes;
+  return total >= 24 * 60 ? null : `${pad(Math.floor(total / 60))}:${pad(total % 60)}`;
+};
+
+// { day, startTime, endTime } for a legacy entry, or null
+const parseLegacySlot = ({ day, time }, periodMinutes) => {
+  const match = typeof time === 'string' && time.trim().match(TIME_PATTERN);
+  const weekday = matchWeekday(day);
+  if (!match || !weekday) {
+    return null;
+  }
+  const startTime = `${pad(match[1])}:${match[2]}`;
+  const endTime = match[3] ? `${pad(match[3])}:${match[4]}` : addMinutes(startTime, periodMinutes);
+  if (!isValidTime(startTime) || !isValidTime(endTime) || startTime >= endTime) {
+    return null;
+  }
+  return { day: weekday, startTime, endTime };
+};
+
+const migrateRoutineTimes = async ({ periodMinutes = 45 } = {}) => {
+  if (!Number.isInteger(periodMinutes) || periodMinutes < 1) {
+    throw new Error('periodMinutes must be a positive whole number');
+  }
+  let converted = 0;
+  const skipped = [];
+  await getRepository('routines').mutate((routines) => {
+    routines.forEach((routine, index) => {
+      if (routine.startTime || routine.time === undefined) return;
+      const slot = parseLegacySlot(routine, periodMinutes);
+      if (!slot) {
+        skipped.push({ id: routine.id, day: routine.day, time: routine.time });
+        return;
+      }
+      const { time, ...rest } = routine;
+      routines[index] = { ...rest, ...slot, room: routine.room ?? null };
+      converted += 1;
+    });
+  });
+  return { converted, skipped };
+};
+
+if (require.main === module) {
+  const periodArg = process.argv.find(arg => arg.startsWith('--period-minutes='));
+  migrateRoutineTimes({ periodMinutes: periodArg ? Number(periodArg.slice('--period-minutes='.length)) : undefined })
+    .then(({ converted, skipped }) => {
+      console.log(`Converted ${converted} routine entries`);
+      skipped.forEach(({ id, day, time }) => console.log(`Could not read routine ${id}: day "${day}", time "${time}"`));
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(closeStorage);
+}
+
+module.exports = { migrateRoutineTimes };
@@ -0,0 +1,15 @@
+// Minimal promise-based mutex: tasks passed to run() execute one at a time, in call order
+const createMutex = () => {
+  let tail = Promise.resolve();
+
+  const run = (task) => {
+    const result = tail.then(() => task());
+    // Keep the chain alive when a task fails; the caller still receives the rejection
+    tail = result.catch(() => {});
+    return result;
+  };
+
+  return { run };
+};
+
+module.exports = { createMutex };
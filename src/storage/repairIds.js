@@ -0,0 +1,66 @@
+require('dotenv').config();
+const { getRepository, closeStorage } = require('./storage');
+const { highestId } = require('./sequences');
+
+// One-time repair for data written while ids were assigned as `array.length + 1`: the first record
+// keeps a duplicated id, every later record carrying it gets a fresh id, and the sequence is moved
+// past the highest id so new records cannot collide again.
+const ID_COLLECTIONS = ['users', 'routines', 'documents', 'policies'];
+
+const repairCollection = async (collection) => {
+  const changes = [];
+  await getRepository(collection).mutate(async (records) => {
+    const seen = new Set();
+    let next = highestId(records);
+    records.forEach((record) => {
+      if (!seen.has(record.id)) {
+        seen.add(record.id);
+        return;
+      }
+      next += 1;
+      changes.push({ collection, oldId: record.id, newId: next });
+      record.id = next;
+      seen.add(next);
+    });
+
+    await getRepository('sequences').mutate((sequences) => {
+      const sequence = sequences.find(s => s.collection === collection);
+      if (sequence) {
+        sequence.value = Math.max(sequence.value, next);
+      } else {
+        sequences.push({ collection, value: next });
+      }
+    });
+  });
+  return changes;
+};
+
+const repairDuplicateIds = async (collections = ID_COLLECTIONS) => {
+  const changes = [];
+  for (const collection of collections) {
+    changes.push(...(await repairCollection(collection)));
+  }
+  return changes;
+};
+
+if (require.main === module) {
+  repairDuplicateIds()
+    .then((changes) => {
+      if (!changes.length) {
+        console.log('No duplicate ids found');
+      }
+      changes.forEach(({ collection, oldId, newId }) => {
+        console.log(`${collection}: duplicate id ${oldId} renumbered to ${newId}`);
+      });
+      if (changes.some(change => change.collection === 'users')) {
+        console.log('Renumbered users may own marks or attendance recorded under their old id; review those records by hand.');
+      }
+    })
+    .catch((error) => {
+      console.error('Repair failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(closeStorage);
+}
+
+module.exports = { repairDuplicateIds };
@@ -0,0 +1,22 @@
+const { getRepository } = require('./storage');
+
+// Per-collection id sequences, stored alongside the data in the "sequences" collection as
+// { collection, value } records. Ids are never reused, even after the record holding one is deleted.
+
+const highestId = (records) =>
+  records.reduce((max, record) => (Number.isInteger(record.id) && record.id > max ? record.id : max), 0);
+
+// Returns the next id for a collection. Call it inside that collection's mutate() and pass the
+// current records, so an id still in use is never handed out even if the sequence fell behind.
+const nextId = (collection, records = []) =>
+  getRepository('sequences').mutate((sequences) => {
+    let sequence = sequences.find(s => s.collection === collection);
+    if (!sequence) {
+      sequence = { collection, value: 0 };
+      sequences.push(sequence);
+    }
+    sequence.value = Math.max(sequence.value, highestId(records)) + 1;
+    return sequence.value;
+  });
+
+module.exports = { nextId, highestId };
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { applyChanges } = require('./jsonBackend');
+const { createMutex } = require('./mutex');
+
+const COLLECTION_NAME = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+const openDatabase = (file) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  return db;
+};
+
+// Seeds a freshly created table from the matching data/<name>.json file, so switching drivers keeps existing data
+const importJsonFile = (name, dataDir, insertAll) => {
+  const file = path.join(dataDir, `${name}.json`);
+  if (!fs.existsSync(file)) return;
+  const data = fs.readFileSync(file, 'utf-8');
+  if (!data.trim()) return;
+  const records = JSON.parse(data);
+  if (Array.isArray(records) && records.length) {
+    insertAll(records);
+    console.log(`Imported ${records.length} ${name} records from ${file}`);
+  }
+};
+
+// Repository backed by one SQLite table per collection; each row stores a record as a JSON document.
+// Writes run inside SQLite transactions and, like the JSON backend, are serialized per collection.
+const createSqliteRepository = (name, db, dataDir) => {
+  if (!COLLECTION_NAME.test(name)) {
+    throw new Error(`Invalid collection name: ${name}`);
+  }
+  const table = `"${name}"`;
+  const exists = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+  db.exec(`CREATE TABLE IF NOT EXISTS ${table} (pk INTEGER PRIMARY KEY AUTOINCREMENT, doc TEXT NOT NULL)`);
+
+  const selectAll = db.prepare(`SELECT pk, doc FROM ${table} ORDER BY pk`);
+  const insertOne = db.prepare(`INSERT INTO ${table} (doc) VALUES (?)`);
+  const updateOne = db.prepare(`UPDATE ${table} SET doc = ? WHERE pk = ?`);
+  const deleteOne = db.prepare(`DELETE FROM ${table} WHERE pk = ?`);
+  const deleteAll = db.prepare(`DELETE FROM ${table}`);
+
+  const mutex = createMutex();
+
+  const rows = () => selectAll.all().map(row => ({ pk: row.pk, record: JSON.parse(row.doc) }));
+  const insertAll = db.transaction((records) => {
+    records.forEach(record => insertOne.run(JSON.stringify(record)));
+  });
+
+  if (!exists) {
+    importJsonFile(name, dataDir, insertAll);
+  }
+
+  const replaceAll = db.transaction((records) => {
+    deleteAll.run();
+    insertAll(records);
+  });
+
+  const run = (operation, fn) => {
+    try {
+      return fn();
+    } catch (error) {
+      console.error(`${operation} ${name} error:`, error);
+      throw new Error(`Failed to ${operation} ${name}: ${error.message}`);
+    }
+  };
+
+  return {
+    name,
+
+    all: async () => run('read', () => rows().map(row => row.record)),
+
+    find: async (predicate) => run('read', () => rows().map(row => row.record).filter(predicate)),
+
+    findOne: async (predicate) => run('read', () => rows().map(row => row.record).find(predicate) || null),
+
+    // Serialized read-modify-write: fn receives the current records, changes them in place and its
+    // return value is passed back once the records have been committed in one transaction. Nothing is
+    // written when fn changed nothing.
+    mutate: (fn) => mutex.run(async () => {
+      const records = run('read', () => rows().map(row => row.record));
+      const before = JSON.stringify(records);
+      const result = await fn(records);
+      if (JSON.stringify(records) !== before) {
+        run('write', () => replaceAll(records));
+      }
+      return result;
+    }),
+
+    insert: (record) => mutex.run(() => run('write', () => {
+      insertOne.run(JSON.stringify(record));
+      return record;
+    })),
+
+    update: (predicate, changes) => mutex.run(() => run('write', db.transaction(() => {
+      const updated = [];
+      rows().forEach(({ pk, record }) => {
+        if (!predicate(record)) return;
+        const changed = applyChanges(record, changes);
+        updateOne.run(JSON.stringify(changed), pk);
+        updated.push(changed);
+      });
+      return updated;
+    }))),
+
+    remove: (predicate) => mutex.run(() => run('write', db.transaction(() => {
+      let removed = 0;
+      rows().forEach(({ pk, record }) => {
+        if (!predicate(record)) return;
+        deleteOne.run(pk);
+        removed += 1;
+      });
+      return removed;
+    }))),
+
+    replaceAll: (records) => mutex.run(() => run('write', () => replaceAll(records))),
+  };
+};
+
+module.exports = { openDatabase, createSqliteRepository };
@@ -0,0 +1,56 @@
+const path = require('path');
+const { createJsonRepository } = require('./jsonBackend');
+
+// Storage is chosen by configuration:
+//   STORAGE_DRIVER=json   (default) one data/<collection>.json file per collection
+//   STORAGE_DRIVER=sqlite one embedded database file (SQLITE_FILE, default data/school.db)
+// DATA_DIR overrides the data directory for both drivers.
+const VALID_DRIVERS = ['json', 'sqlite'];
+
+const repositories = new Map();
+let database = null;
+
+const getDataDir = () => process.env.DATA_DIR || path.join(process.cwd(), 'data');
+
+const getDriver = () => {
+  const driver = (process.env.STORAGE_DRIVER || 'json').toLowerCase();
+  if (!VALID_DRIVERS.includes(driver)) {
+    throw new Error(`Invalid STORAGE_DRIVER "${driver}". Must be one of: ${VALID_DRIVERS.join(', ')}`);
+  }
+  return driver;
+};
+
+const getDatabase = () => {
+  if (!database) {
+    const { openDatabase } = require('./sqliteBackend');
+    database = openDatabase(process.env.SQLITE_FILE || path.join(getDataDir(), 'school.db'));
+  }
+  return database;
+};
+
+// Returns the repository for a collection (users, marks, routines, ...), creating it on first use
+const getRepository = (name) => {
+  if (!repositories.has(name)) {
+    const dataDir = getDataDir();
+    let repository;
+    if (getDriver() === 'sqlite') {
+      const { createSqliteRepository } = require('./sqliteBackend');
+      repository = createSqliteRepository(name, getDatabase(), dataDir);
+    } else {
+      repository = createJsonRepository(name, dataDir);
+    }
+    repositories.set(name, repository);
+  }
+  return repositories.get(name);
+};
+
+// Forgets cached repositories and closes the database, so the next getRepository call re-reads the configuration
+const closeStorage = () => {
+  repositories.clear();
+  if (database) {
+    database.close();
+    database = null;
+  }
+};
+
+module.exports = { getRepository, closeStorage };
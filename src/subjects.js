@@ -0,0 +1,227 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requirePermission } = require('./middleware/middleware');
+const { getRepository } = require('./storage/storage');
+const { nextId } = require('./storage/sequences');
+
+const subjectsRepo = getRepository('subjects');
+const marksRepo = getRepository('marks');
+const routinesRepo = getRepository('routines');
+const usersRepo = getRepository('users');
+const examsRepo = getRepository('exams');
+const schemesRepo = getRepository('gradingSchemes');
+
+// The subjects catalogue: { id, code, name, sections, maxMarks, passMark, previousNames, createdAt, updatedAt }.
+// An empty `sections` list means the subject is taught in every section. Marks, routines and teacher profiles
+// refer to subjects by name, so a rename is carried over to them. An empty catalogue starts with the original
+// subjects.
+const DEFAULT_SUBJECTS = [
+  { code: 'MATH', name: 'Math' },
+  { code: 'SCI', name: 'Science' },
+  { code: 'ENG', name: 'English' },
+];
+const MAX_NAME_LENGTH = 100;
+
+const listSubjects = async () => {
+  const subjects = await subjectsRepo.all();
+  if (subjects.length) {
+    return subjects;
+  }
+  return subjectsRepo.mutate(async (stored) => {
+    if (!stored.length) {
+      const now = new Date().toISOString();
+      for (const { code, name } of DEFAULT_SUBJECTS) {
+        stored.push({ id: await nextId('subjects', stored), code, name, sections: [], maxMarks: 100, passMark: 40, createdAt: now, updatedAt: now });
+      }
+    }
+    return [...stored];
+  });
+};
+
+// The entry of `subjects` with this name or code (case-insensitive), or undefined
+const matchSubject = (subjects, nameOrCode) => {
+  const key = typeof nameOrCode === 'string' ? nameOrCode.trim().toLowerCase() : '';
+  return subjects.find(s => s.name.toLowerCase() === key || s.code.toLowerCase() === key);
+};
+
+const unknownSubjectMessage = subjects => `Subject must be one of: ${subjects.map(s => s.name).join(', ')}`;
+
+const isTaughtIn = (subject, section) => !subject.sections.length || subject.sections.includes(section);
+
+// Checks a subject from a request body against the catalogue, merged over `existing` when updating.
+// Returns { subject } or { message }.
+const validateSubject = (body, subjects, existing = {}) => {
+  const merged = { ...existing, ...body };
+  const { code, name, sections = [], maxMarks = 100 } = merged;
+  if (typeof code !== 'string' || !/^[A-Za-z0-9-]{1,20}$/.test(code.trim())) {
+    return { message: 'code must be 1 to 20 letters, digits or hyphens' };
+  }
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+    return { message: `name must be 1 to ${MAX_NAME_LENGTH} characters` };
+  }
+  if (!Array.isArray(sections) || !sections.every(s => typeof s === 'string' && s.trim())) {
+    return { message: 'sections must be a list of section names' };
+  }
+  if (typeof maxMarks !== 'number' || !(maxMarks > 0 && maxMarks <= 1000)) {
+    return { message: 'maxMarks must be a number between 1 and 1000' };
+  }
+  const passMark = merged.passMark ?? Math.round(maxMarks * 0.4);
+  if (typeof passMark !== 'number' || passMark < 0 || passMark > maxMarks) {
+    return { message: 'passMark must be a number between 0 and maxMarks' };
+  }
+  const others = subjects.filter(s => s.id !== existing.id);
+  if (others.some(s => s.code.toLowerCase() === code.trim().toLowerCase())) {
+    return { message: `Subject code ${code.trim().toUpperCase()} is already used` };
+  }
+  if (others.some(s => s.name.toLowerCase() === name.trim().toLowerCase())) {
+    return { message: `Subject ${name.trim()} already exists` };
+  }
+  return {
+    subject: {
+      code: code.trim().toUpperCase(),
+      name: name.trim(),
+      sections: [...new Set(sections.map(s => s.trim()))],
+      maxMarks,
+      passMark,
+    },
+  };
+};
+
+// GET /subjects?section=: The catalogue, optionally only the subjects taught in a section
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { section } = req.query;
+    const subjects = await listSubjects();
+    res.json(section ? subjects.filter(s => isTaughtIn(s, section)) : subjects);
+  } catch (error) {
+    console.error('Subjects GET error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /subjects/:id: One subject
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const subject = (await listSubjects()).find(s => s.id === parseInt(req.params.id));
+    if (!subject) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+    res.json(subject);
+  } catch (error) {
+    console.error('Subject GET error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /subjects: Add a subject { code, name, sections, maxMarks, passMark }
+router.post('/', authenticate, requirePermission('subjects:manage'), async (req, res) => {
+  try {
+    await listSubjects();
+    const result = await subjectsRepo.mutate(async (subjects) => {
+      const { subject, message } = validateSubject(req.body || {}, subjects);
+      if (!subject) {
+        return { message };
+      }
+      const now = new Date().toISOString();
+      const created = { id: await nextId('subjects', subjects), ...subject, createdAt: now, updatedAt: now };
+      subjects.push(created);
+      return { subject: created };
+    });
+    if (!result.subject) {
+      return res.status(400).json({ message: result.message });
+    }
+    res.status(201).json(result.subject);
+  } catch (error) {
+    console.error('Subject POST error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Moves the records that still use one of `oldNames` to `name`. Each step only touches records with an old
+// name, so running it again after a partial failure finishes the job.
+const renameSubject = async (oldNames, name) => {
+  const rename = s => (oldNames.includes(s) ? name : s);
+  const usesOld = list => (list || []).some(s => oldNames.includes(s));
+  await marksRepo.update(m => oldNames.includes(m.subject), m => ({ ...m, subject: name }));
+  await routinesRepo.update(r => oldNames.includes(r.subject), r => ({ ...r, subject: name }));
+  await usersRepo.update(u => usesOld(u.subjects), u => ({ ...u, subjects: u.subjects.map(rename) }));
+  await examsRepo.update(e => usesOld(e.subjects), e => ({ ...e, subjects: e.subjects.map(rename) }));
+  await schemesRepo.update(s => usesOld(s.subjects), s => ({ ...s, subjects: s.subjects.map(rename) }));
+};
+
+// PATCH /subjects/:id: Change a subject. A new name is carried over to its marks, routines, exams, grading
+// schemes and teacher profiles, and a new maxMarks or passMark regrades its marks. The subject remembers its
+// `previousNames`, and every PATCH carries those still unused by another subject over again: if carrying a rename
+// over fails part way (500), repeating the PATCH completes it.
+router.patch('/:id', authenticate, requirePermission('subjects:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    await listSubjects();
+    const result = await subjectsRepo.mutate(async (subjects) => {
+      const index = subjects.findIndex(s => s.id === id);
+      if (index === -1) {
+        return { status: 404, message: 'Subject not found' };
+      }
+      const existing = subjects[index];
+      const { subject, message } = validateSubject(req.body || {}, subjects, existing);
+      if (!subject) {
+        return { status: 400, message };
+      }
+      const aboveMax = await marksRepo.findOne(m => m.examId == null && m.subject === existing.name && m.marks > subject.maxMarks);
+      if (aboveMax) {
+        return { status: 400, message: `Some ${existing.name} marks are above ${subject.maxMarks}` };
+      }
+      const previousNames = [...new Set([...(existing.previousNames || []), existing.name])].filter(n => n !== subject.name);
+      subjects[index] = { ...existing, ...subject, previousNames, updatedAt: new Date().toISOString() };
+      return {
+        previous: existing,
+        subject: subjects[index],
+        // A former name another subject has taken since belongs to that subject's records now
+        oldNames: previousNames.filter(n => !subjects.some(s => s.name === n)),
+      };
+    });
+    if (!result.subject) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    const { previous, subject, oldNames } = result;
+    if (oldNames.length) {
+      await renameSubject(oldNames, subject.name);
+    }
+    if (previous.maxMarks !== subject.maxMarks || previous.passMark !== subject.passMark) {
+      // Required here because grading.js requires this module
+      await require('./grading').regradeMarks();
+    }
+    res.json(subject);
+  } catch (error) {
+    console.error('Subject PATCH error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// DELETE /subjects/:id: Remove a subject that no marks or routines use
+router.delete('/:id', authenticate, requirePermission('subjects:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const subject = (await listSubjects()).find(s => s.id === id);
+    if (!subject) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+    const inUse = await marksRepo.findOne(m => m.subject === subject.name) ||
+      await routinesRepo.findOne(r => r.subject === subject.name);
+    if (inUse) {
+      return res.status(409).json({ message: `${subject.name} still has marks or routine entries` });
+    }
+    await subjectsRepo.remove(s => s.id === id);
+    res.json({ message: 'Subject deleted' });
+  } catch (error) {
+    console.error('Subject DELETE error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
+module.exports.listSubjects = listSubjects;
+module.exports.matchSubject = matchSubject;
+module.exports.unknownSubjectMessage = unknownSubjectMessage;
+module.exports.isTaughtIn = isTaughtIn;
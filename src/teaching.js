@@ -0,0 +1,43 @@
+const { getRepository } = require('./storage/storage');
+
+const routinesRepo = getRepository('routines');
+const usersRepo = getRepository('users');
+
+// Which subjects a teacher teaches in which sections, derived from their routine entries:
+// [{ section, subject }] without duplicates
+const getTeachingAssignments = async (teacherId) => {
+  const routines = await routinesRepo.find(r => r.teacherId === teacherId);
+  const assignments = new Map();
+  routines.forEach(({ section, subject }) => assignments.set(`${section}\n${subject}`, { section, subject }));
+  return [...assignments.values()];
+};
+
+// Ids of the teachers with at least one routine entry in the section
+const getSectionTeachers = async (section) => {
+  const routines = await routinesRepo.find(r => r.section === section);
+  return [...new Set(routines.map(r => r.teacherId))];
+};
+
+const teachesSection = (assignments, section) => assignments.some(a => a.section === section);
+
+const teachesSubject = (assignments, section, subject) =>
+  assignments.some(a => a.section === section && a.subject === subject);
+
+// Checks that a teacher limited to their assigned classes may work with the student with this id,
+// optionally for one subject. Resolves to { student, assignments } or { status, message }.
+const checkAssignedStudent = async (teacher, studentId, subject) => {
+  const student = await usersRepo.findOne(u => u.id === studentId);
+  if (!student || student.userType !== 'Student') {
+    return { status: 403, message: 'You can only access Students in the sections you teach' };
+  }
+  const assignments = await getTeachingAssignments(teacher.id);
+  if (!teachesSection(assignments, student.section)) {
+    return { status: 403, message: `You do not teach section ${student.section}` };
+  }
+  if (subject !== undefined && !teachesSubject(assignments, student.section, subject)) {
+    return { status: 403, message: `You do not teach ${subject} in section ${student.section}` };
+  }
+  return { student, assignments };
+};
+
+module.exports = { getTeachingAssignments, getSectionTeachers, teachesSection, teachesSubject, checkAssignedStudent };
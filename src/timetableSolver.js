@@ -0,0 +1,115 @@
+// Places a week of lessons on a period grid by backtracking search. Each group is one subject's weekly load in
+// one section: { section, subject, periodsPerWeek, teacherIds }, where `teacherIds` are the teachers allowed to
+// take it. All lessons of a group get the same teacher. A section, a teacher and a room are in at most one
+// lesson per period, and a room is used only if its `subjects` list is empty or names the subject (rooms are
+// optional: without any, lessons get no room). `blocked` lists the periods where teachers or rooms are already
+// taken ({ teachers: Map(teacherId => Set(periodIndex)), rooms: Map(roomName => Set(periodIndex)) }), and
+// `maxPeriods` caps some teachers' weekly lessons (Map(teacherId => number)).
+//
+// Groups with the fewest teachers and the most lessons are placed first, and each lesson prefers the days its
+// group has the fewest lessons on, so a subject is spread over the week. The search gives up after `maxSteps`
+// steps. Returns { entries, unplaced, exhausted }: the lessons it placed (all of them when `unplaced` is empty),
+// for the groups it could not complete how many of their lessons the deepest attempt placed, and whether the
+// search ran out of steps rather than proving the load cannot fit.
+const DEFAULT_MAX_STEPS = 100000;
+
+const solveTimetable = ({ periods, groups, rooms = [], blocked = {}, maxPeriods = new Map(), maxSteps = DEFAULT_MAX_STEPS }) => {
+  const busy = {
+    section: new Map(),
+    teacher: new Map([...(blocked.teachers || new Map())].map(([id, set]) => [id, new Set(set)])),
+    room: new Map([...(blocked.rooms || new Map())].map(([name, set]) => [name, new Set(set)])),
+  };
+  const isBusy = (kind, key, period) => Boolean(busy[kind].get(key)?.has(period));
+  const setBusy = (kind, key, period, value) => {
+    if (!busy[kind].has(key)) busy[kind].set(key, new Set());
+    busy[kind].get(key)[value ? 'add' : 'delete'](period);
+  };
+
+  const ordered = [...groups].sort((a, b) => a.teacherIds.length - b.teacherIds.length || b.periodsPerWeek - a.periodsPerWeek);
+  const lessons = ordered.flatMap(group => Array.from({ length: group.periodsPerWeek }, (_, n) => ({ group, n })));
+  // Rooms kept for one subject go first, so general rooms stay free for everything else
+  const roomsFor = subject => rooms
+    .filter(r => !r.subjects.length || r.subjects.includes(subject))
+    .sort((a, b) => b.subjects.length - a.subjects.length);
+
+  const teacherOf = new Map();
+  const teacherLoad = new Map();
+  const placed = [];
+  let best = [];
+  let steps = 0;
+
+  const place = (index) => {
+    if (placed.length > best.length) {
+      best = [...placed];
+    }
+    if (index === lessons.length) {
+      return true;
+    }
+    steps += 1;
+    if (steps > maxSteps) {
+      return false;
+    }
+    const { group, n } = lessons[index];
+    const own = placed.filter(p => p.group === group);
+    // The lessons of a group are interchangeable, so each one goes after the previous one
+    const after = n > 0 ? own[own.length - 1].period : -1;
+    const perDay = day => own.filter(p => periods[p.period].day === day).length;
+    const candidates = periods
+      .map((slot, period) => ({ slot, period }))
+      .filter(({ period }) => period > after && !isBusy('section', group.section, period))
+      .sort((a, b) => perDay(a.slot.day) - perDay(b.slot.day) || a.period - b.period);
+    const teachers = teacherOf.has(group) ? [teacherOf.get(group)] : group.teacherIds;
+
+    for (const { period } of candidates) {
+      for (const teacherId of teachers) {
+        if (isBusy('teacher', teacherId, period) || (teacherLoad.get(teacherId) || 0) >= (maxPeriods.get(teacherId) ?? Infinity)) {
+          continue;
+        }
+        const room = rooms.length ? roomsFor(group.subject).find(r => !isBusy('room', r.name, period)) : null;
+        if (room === undefined) {
+          continue;
+        }
+        const first = !teacherOf.has(group);
+        teacherOf.set(group, teacherId);
+        teacherLoad.set(teacherId, (teacherLoad.get(teacherId) || 0) + 1);
+        setBusy('section', group.section, period, true);
+        setBusy('teacher', teacherId, period, true);
+        if (room) setBusy('room', room.name, period, true);
+        placed.push({ group, period, teacherId, room: room ? room.name : null });
+
+        if (place(index + 1)) {
+          return true;
+        }
+
+        placed.pop();
+        if (room) setBusy('room', room.name, period, false);
+        setBusy('teacher', teacherId, period, false);
+        setBusy('section', group.section, period, false);
+        teacherLoad.set(teacherId, teacherLoad.get(teacherId) - 1);
+        if (first) teacherOf.delete(group);
+        if (steps > maxSteps) {
+          return false;
+        }
+      }
+    }
+    return false;
+  };
+
+  const complete = place(0);
+  const result = complete ? placed : best;
+  return {
+    entries: result.map(({ group, period, teacherId, room }) => ({
+      section: group.section,
+      ...periods[period],
+      subject: group.subject,
+      teacherId,
+      room,
+    })),
+    unplaced: complete ? [] : ordered
+      .map(group => ({ section: group.section, subject: group.subject, required: group.periodsPerWeek, placed: result.filter(p => p.group === group).length }))
+      .filter(g => g.placed < g.required),
+    exhausted: steps > maxSteps,
+  };
+};
+
+module.exports = { solveTimetable };
@@ -0,0 +1,317 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requirePermission } = require('./middleware/middleware');
+const { solveTimetable } = require('./timetableSolver');
+const { findConflicts } = require('./routine');
+const { listSubjects, matchSubject, unknownSubjectMessage, isTaughtIn } = require('./subjects');
+const { WEEKDAYS, isValidTime, matchWeekday, slotsOverlap } = require('./dates');
+const { getRepository } = require('./storage/storage');
+const { nextId } = require('./storage/sequences');
+
+const draftsRepo = getRepository('timetableDrafts');
+const routinesRepo = getRepository('routines');
+const usersRepo = getRepository('users');
+const substitutionsRepo = getRepository('substitutions');
+
+// Generated timetables. A request describes the period grid, each section's weekly load, the teachers' availability
+// and the rooms; the solver (timetableSolver.js) places the lessons, and the result is kept as a draft
+// { id, request, sections, entries, unsatisfied, createdBy, createdAt, committedAt } to preview. Committing a draft
+// replaces the routines of its sections in one write. Teachers are qualified for the subjects in their profile's
+// `subjects`, unless a section's load names the teacher. Routines of other sections stay as they are and block
+// their teachers and rooms.
+const MAX_PERIODS = 100;
+const MAX_SECTIONS = 50;
+
+// A { day, startTime, endTime } slot, or a message. `whole` allows a day without times for the whole day.
+const parseSlot = ({ day, startTime, endTime } = {}, label, { whole = false } = {}) => {
+  const weekday = matchWeekday(day);
+  if (!weekday) {
+    return { message: `${label}.day must be one of: ${WEEKDAYS.join(', ')}` };
+  }
+  if (whole && startTime === undefined && endTime === undefined) {
+    return { slot: { day: weekday, startTime: '00:00', endTime: '23:59' } };
+  }
+  if (!isValidTime(startTime) || !isValidTime(endTime) || startTime >= endTime) {
+    return { message: `${label} needs a startTime before its endTime, as HH:MM` };
+  }
+  return { slot: { day: weekday, startTime, endTime } };
+};
+
+// Checks a generation request against the users and the subjects catalogue. Resolves to { problem } with the
+// solver's input and the names of the sections, or { message }.
+const parseRequest = async ({ periods, sections, teachers = [], rooms = [] }) => {
+  if (!Array.isArray(periods) || !periods.length || periods.length > MAX_PERIODS) {
+    return { message: `periods must be a list of 1 to ${MAX_PERIODS} { day, startTime, endTime } slots` };
+  }
+  const grid = [];
+  for (const [index, period] of periods.entries()) {
+    const { slot, message } = parseSlot(period, `periods[${index}]`);
+    if (!slot) {
+      return { message };
+    }
+    if (grid.some(other => slotsOverlap(other, slot))) {
+      return { message: `periods[${index}] overlaps another period` };
+    }
+    grid.push(slot);
+  }
+  grid.sort((a, b) => WEEKDAYS.indexOf(a.day) - WEEKDAYS.indexOf(b.day) || a.startTime.localeCompare(b.startTime));
+
+  if (!Array.isArray(sections) || !sections.length || sections.length > MAX_SECTIONS) {
+    return { message: `sections must be a list of 1 to ${MAX_SECTIONS} { section, subjects } loads` };
+  }
+  const users = await usersRepo.all();
+  const activeTeachers = users.filter(u => u.userType === 'Teacher' && u.active !== false);
+  const catalogue = await listSubjects();
+  const qualified = (teacher, subject) => (teacher.subjects || []).some(s => matchSubject(catalogue, s)?.name === subject);
+  const groups = [];
+  const sectionNames = [];
+  for (const [index, { section, subjects } = {}] of sections.entries()) {
+    if (typeof section !== 'string' || !section.trim()) {
+      return { message: `sections[${index}].section is required` };
+    }
+    if (sectionNames.includes(section)) {
+      return { message: `Section ${section} is listed twice` };
+    }
+    sectionNames.push(section);
+    if (!Array.isArray(subjects) || !subjects.length) {
+      return { message: `sections[${index}].subjects must list { subject, periodsPerWeek, teacherId } loads` };
+    }
+    for (const load of subjects) {
+      const entry = matchSubject(catalogue, load?.subject);
+      if (!entry) {
+        return { message: unknownSubjectMessage(catalogue) };
+      }
+      if (!isTaughtIn(entry, section)) {
+        return { message: `${entry.name} is not taught in section ${section}` };
+      }
+      if (groups.some(g => g.section === section && g.subject === entry.name)) {
+        return { message: `${entry.name} is listed twice for section ${section}` };
+      }
+      if (!Number.isInteger(load.periodsPerWeek) || load.periodsPerWeek < 1 || load.periodsPerWeek > grid.length) {
+        return { message: `periodsPerWeek must be a whole number between 1 and ${grid.length}` };
+      }
+      let teacherIds;
+      if (load.teacherId !== undefined) {
+        if (!activeTeachers.some(t => t.id === load.teacherId)) {
+          return { message: `User ${load.teacherId} is not an active Teacher` };
+        }
+        teacherIds = [load.teacherId];
+      } else {
+        teacherIds = activeTeachers.filter(t => qualified(t, entry.name)).map(t => t.id);
+      }
+      groups.push({ section, subject: entry.name, periodsPerWeek: load.periodsPerWeek, teacherIds });
+    }
+  }
+
+  if (!Array.isArray(teachers)) {
+    return { message: 'teachers must be a list of { teacherId, unavailable, maxPeriodsPerWeek }' };
+  }
+  const unavailable = new Map();
+  const maxPeriods = new Map();
+  for (const [index, { teacherId, unavailable: slots = [], maxPeriodsPerWeek } = {}] of teachers.entries()) {
+    if (!activeTeachers.some(t => t.id === teacherId)) {
+      return { message: `teachers[${index}]: user ${teacherId} is not an active Teacher` };
+    }
+    if (!Array.isArray(slots)) {
+      return { message: `teachers[${index}].unavailable must be a list of { day, startTime, endTime } slots` };
+    }
+    for (const [slotIndex, value] of slots.entries()) {
+      const { slot, message } = parseSlot(value, `teachers[${index}].unavailable[${slotIndex}]`, { whole: true });
+      if (!slot) {
+        return { message };
+      }
+      unavailable.set(teacherId, [...(unavailable.get(teacherId) || []), slot]);
+    }
+    if (maxPeriodsPerWeek !== undefined) {
+      if (!Number.isInteger(maxPeriodsPerWeek) || maxPeriodsPerWeek < 0) {
+        return { message: `teachers[${index}].maxPeriodsPerWeek must be a whole number` };
+      }
+      maxPeriods.set(teacherId, maxPeriodsPerWeek);
+    }
+  }
+
+  if (!Array.isArray(rooms)) {
+    return { message: 'rooms must be a list of { name, subjects }' };
+  }
+  const roomList = [];
+  for (const [index, { name, subjects = [] } = {}] of rooms.entries()) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 50) {
+      return { message: `rooms[${index}].name must be 1 to 50 characters` };
+    }
+    if (roomList.some(r => r.name.toLowerCase() === name.trim().toLowerCase())) {
+      return { message: `Room ${name.trim()} is listed twice` };
+    }
+    if (!Array.isArray(subjects) || subjects.some(s => !matchSubject(catalogue, s))) {
+      return { message: `rooms[${index}].subjects must list subjects from the catalogue` };
+    }
+    roomList.push({ name: name.trim(), subjects: subjects.map(s => matchSubject(catalogue, s).name) });
+  }
+
+  return { problem: { periods: grid, groups, rooms: roomList, unavailable, maxPeriods }, sections: sectionNames };
+};
+
+// Constraints that cannot hold whatever the placement, as { section, subject, message }
+const findImpossible = ({ periods, groups, rooms }) => {
+  const problems = [];
+  groups.filter(g => !g.teacherIds.length).forEach(({ section, subject }) => problems.push({
+    section, subject, message: `No active teacher has ${subject} in their profile's subjects`,
+  }));
+  if (rooms.length) {
+    groups.filter(g => !rooms.some(r => !r.subjects.length || r.subjects.includes(g.subject))).forEach(({ section, subject }) =>
+      problems.push({ section, subject, message: `No room can hold ${subject}` }));
+  }
+  [...new Set(groups.map(g => g.section))].forEach((section) => {
+    const load = groups.filter(g => g.section === section).reduce((sum, g) => sum + g.periodsPerWeek, 0);
+    if (load > periods.length) {
+      problems.push({ section, subject: null, message: `Section ${section} needs ${load} periods a week but the grid has ${periods.length}` });
+    }
+  });
+  return problems;
+};
+
+// Runs the solver with the teachers and rooms taken by `routines` (the routines of other sections) and the
+// teachers' unavailable slots blocked. Returns { entries, unsatisfied }.
+const generate = (problem, routines) => {
+  const { periods, groups, rooms, unavailable, maxPeriods } = problem;
+  const impossible = findImpossible(problem);
+  if (impossible.length) {
+    return { entries: [], unsatisfied: impossible };
+  }
+  const blocked = { teachers: new Map(), rooms: new Map() };
+  const block = (map, key, index) => map.set(key, new Set([...(map.get(key) || []), index]));
+  periods.forEach((period, index) => {
+    routines.filter(r => slotsOverlap(r, period)).forEach((routine) => {
+      block(blocked.teachers, routine.teacherId, index);
+      const room = routine.room && rooms.find(r => r.name.toLowerCase() === routine.room.toLowerCase());
+      if (room) {
+        block(blocked.rooms, room.name, index);
+      }
+    });
+    unavailable.forEach((slots, teacherId) => {
+      if (slots.some(slot => slotsOverlap(slot, period))) {
+        block(blocked.teachers, teacherId, index);
+      }
+    });
+  });
+
+  const { entries, unplaced, exhausted } = solveTimetable({ periods, groups, rooms, blocked, maxPeriods });
+  return {
+    entries,
+    unsatisfied: unplaced.map(({ section, subject, required, placed }) => ({
+      section,
+      subject,
+      message: `Only ${placed} of ${required} ${subject} periods for section ${section} fit without clashes` +
+        (exhausted ? ' before the search gave up' : ''),
+    })),
+  };
+};
+
+// POST /timetables: Generate a draft timetable from { periods, sections, teachers, rooms } for preview. The draft
+// lists the constraints it could not satisfy in `unsatisfied`.
+router.post('/', authenticate, requirePermission('routines:write'), async (req, res) => {
+  try {
+    const { problem, sections, message } = await parseRequest(req.body || {});
+    if (!problem) {
+      return res.status(400).json({ message });
+    }
+    const others = await routinesRepo.find(r => !sections.includes(r.section));
+    const { entries, unsatisfied } = generate(problem, others);
+    const draft = await draftsRepo.mutate(async (drafts) => {
+      const created = {
+        id: await nextId('timetableDrafts', drafts),
+        request: req.body,
+        sections,
+        entries,
+        unsatisfied,
+        createdBy: req.user.id,
+        createdAt: new Date().toISOString(),
+        committedAt: null,
+      };
+      drafts.push(created);
+      return created;
+    });
+    console.log('Timetable generated:', { id: draft.id, sections, entries: entries.length, unsatisfied: unsatisfied.length });
+    res.status(201).json(draft);
+  } catch (error) {
+    console.error('Timetable POST error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /timetables/:id: Preview a draft
+router.get('/:id', authenticate, requirePermission('routines:write'), async (req, res) => {
+  try {
+    const draft = await draftsRepo.findOne(d => d.id === parseInt(req.params.id));
+    if (!draft) {
+      return res.status(404).json({ message: 'Timetable draft not found' });
+    }
+    res.json(draft);
+  } catch (error) {
+    console.error('Timetable GET error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /timetables/:id/commit: Replace the routines of the draft's sections with its entries in one write. Only a
+// draft that satisfied every constraint can be committed, only once, and only while its entries still fit around
+// the routines of the other sections. Substitutions for the replaced routines are dropped.
+router.post('/:id/commit', authenticate, requirePermission('routines:write'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    // Claimed before the routines are written, so two commits of one draft cannot both go through
+    const claim = await draftsRepo.mutate((drafts) => {
+      const draft = drafts.find(d => d.id === id);
+      if (!draft) {
+        return { status: 404, message: 'Timetable draft not found' };
+      }
+      if (draft.committedAt) {
+        return { status: 409, message: 'This draft has already been committed' };
+      }
+      if (draft.unsatisfied.length) {
+        return { status: 409, message: 'A draft with unsatisfied constraints cannot be committed', unsatisfied: draft.unsatisfied };
+      }
+      draft.committedAt = new Date().toISOString();
+      return { draft: { ...draft } };
+    });
+    if (!claim.draft) {
+      const { status, ...body } = claim;
+      return res.status(status).json(body);
+    }
+    const { draft } = claim;
+    let result;
+    try {
+      result = await routinesRepo.mutate(async (routines) => {
+        const kept = routines.filter(r => !draft.sections.includes(r.section));
+        const conflicts = draft.entries.flatMap(entry => findConflicts(entry, kept));
+        if (conflicts.length) {
+          return { conflicts };
+        }
+        const created = [];
+        for (const entry of draft.entries) {
+          created.push({ id: await nextId('routines', [...routines, ...created]), ...entry });
+        }
+        const replacedIds = routines.filter(r => draft.sections.includes(r.section)).map(r => r.id);
+        routines.splice(0, routines.length, ...kept, ...created);
+        return { routines: created, replacedIds };
+      });
+    } catch (error) {
+      await draftsRepo.update(d => d.id === id, { committedAt: null });
+      throw error;
+    }
+    if (!result.routines) {
+      await draftsRepo.update(d => d.id === id, { committedAt: null });
+      return res.status(409).json({
+        message: 'Other routines changed since the draft was generated; generate it again',
+        conflicts: result.conflicts,
+      });
+    }
+    await substitutionsRepo.remove(s => result.replacedIds.includes(s.routineId));
+    console.log('Timetable committed:', { id, sections: draft.sections, routines: result.routines.length });
+    res.json({ message: 'Timetable committed', routines: result.routines });
+  } catch (error) {
+    console.error('Timetable commit error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
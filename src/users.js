@@ -0,0 +1,465 @@
+const express = require('express');
+const validator = require('validator');
+const multer = require('multer');
+const path = require('path');
+const router = express.Router();
+const { authenticate, requirePermission } = require('./middleware/middleware');
+const { getRepository } = require('./storage/storage');
+const { nextId } = require('./storage/sequences');
+const { checkPasswordStrength, hashPassword } = require('./passwords');
+const { revokeAllSessions } = require('./sessions');
+const { createInvitation, listInvitations, revokeInvitation } = require('./invitations');
+const { validateProfileChanges, applyProfileChanges, pruneProfile } = require('./profiles');
+const { ROLES, INVALID_ROLE_MESSAGE } = require('./permissions');
+const {
+  readRoster,
+  generateTemporaryPassword,
+  buildCredentialsSheet,
+  storeCredentialsSheet,
+  takeCredentialsSheet,
+} = require('./rosterImport');
+
+const usersRepo = getRepository('users');
+
+const VALID_USER_TYPES = ROLES;
+
+// Rosters are parsed in memory and never written to disk
+const rosterUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (ext === '.xlsx' || ext === '.csv') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only XLSX and CSV files are allowed'), false);
+    }
+  },
+});
+
+const handleMulterError = (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    return res.status(400).json({ message: 'File upload error: ' + err.message });
+  } else if (err) {
+    return res.status(400).json({ message: err.message });
+  }
+  next();
+};
+
+// Strips the password hash before a user leaves the API
+const toPublicUser = ({ password, ...user }) => ({ ...user, active: user.active !== false });
+
+const sameEmail = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Checks profile fields that refer to other accounts: roll numbers are unique within a section and
+// a Parent's children must be Students. Returns an error message or null.
+const checkProfileLinks = (users, user) => {
+  if (user.rollNumber !== undefined &&
+      users.some(u => u.id !== user.id && u.userType === 'Student' && u.section === user.section && u.rollNumber === user.rollNumber)) {
+    return `Roll number ${user.rollNumber} is already used in section ${user.section}`;
+  }
+  const notStudent = (user.children || []).find(childId => !users.some(u => u.id === childId && u.userType === 'Student'));
+  if (notStudent !== undefined) {
+    return `User ${notStudent} is not a Student`;
+  }
+  return null;
+};
+
+// Validates changes to the user's own profile and applies them inside one write.
+// Resolves to { user } or { status, message }.
+const updateOwnProfile = (id, body) =>
+  usersRepo.mutate((users) => {
+    const user = users.find(u => u.id === id);
+    if (!user) {
+      return { status: 404, message: 'User not found' };
+    }
+    const { changes, status, message } = validateProfileChanges(body, { target: user, self: true });
+    if (!changes) {
+      return { status, message };
+    }
+    const updated = applyProfileChanges({ ...user }, changes);
+    const linkError = checkProfileLinks(users, updated);
+    if (linkError) {
+      return { status: 400, message: linkError };
+    }
+    updated.updatedAt = new Date().toISOString();
+    Object.assign(user, updated);
+    return { user };
+  });
+
+// Returns an error message for the fields of a new account, or null when they are acceptable
+const validateNewUser = ({ email, password, userType, section, name }) => {
+  if (!email || !password || !userType) {
+    return 'Email, password, and userType are required';
+  }
+  if (userType === 'Student' && !section) {
+    return 'Section is required for Students';
+  }
+  if (!VALID_USER_TYPES.includes(userType)) {
+    return INVALID_ROLE_MESSAGE;
+  }
+  if (!validator.isEmail(String(email))) {
+    return 'Invalid email';
+  }
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 100)) {
+    return 'name must be 1 to 100 characters';
+  }
+  return checkPasswordStrength(password);
+};
+
+const buildUser = async (users, { email, hashedPassword, userType, section, name }) => ({
+  id: await nextId('users', users),
+  email,
+  password: hashedPassword,
+  userType,
+  ...(userType === 'Student' && { section }),
+  ...(name && { name: name.trim() }),
+});
+
+// Validates and stores a new account. `authorize(users)` runs inside the same write as the insert and
+// may veto it by returning { status, message }. Resolves to { user } or { status, message }.
+const createUser = async ({ email, password, userType, section, name }, { authorize } = {}) => {
+  const error = validateNewUser({ email, password, userType, section, name });
+  if (error) {
+    return { status: 400, message: error };
+  }
+
+  const hashedPassword = await hashPassword(password);
+  return usersRepo.mutate(async (users) => {
+    if (users.find(user => sameEmail(user.email, email))) {
+      return { status: 400, message: 'User already exists' };
+    }
+    const denied = authorize && (await authorize(users));
+    if (denied) {
+      return denied;
+    }
+    const user = await buildUser(users, { email, hashedPassword, userType, section, name });
+    users.push(user);
+    return { user };
+  });
+};
+
+const canReadUsers = requirePermission('users:read');
+const canManageUsers = requirePermission('users:manage');
+
+// GET /users/me: The signed-in user's account and profile
+router.get('/me', authenticate, (req, res) => {
+  res.json(toPublicUser(req.user));
+});
+
+// PATCH /users/me: Update the signed-in user's own profile, within the field rules in profiles.js
+router.patch('/me', authenticate, async (req, res) => {
+  try {
+    const result = await updateOwnProfile(req.user.id, req.body);
+    if (!result.user) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    res.json(toPublicUser(result.user));
+  } catch (error) {
+    console.error('Profile PATCH error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.use(authenticate);
+
+// POST /users/invitations: Issue an invitation code for signing up as any userType
+router.post('/invitations', canManageUsers, async (req, res) => {
+  try {
+    const { userType, section, email, maxUses, expiresInDays } = req.body;
+    if (!VALID_USER_TYPES.includes(userType)) {
+      return res.status(400).json({ message: INVALID_ROLE_MESSAGE });
+    }
+    if (userType === 'Student' && !section) {
+      return res.status(400).json({ message: 'Section is required for Students' });
+    }
+    if ((maxUses !== undefined && !(Number.isInteger(maxUses) && maxUses > 0)) ||
+        (expiresInDays !== undefined && !(typeof expiresInDays === 'number' && expiresInDays > 0))) {
+      return res.status(400).json({ message: 'maxUses and expiresInDays must be positive numbers' });
+    }
+    const invitation = await createInvitation({ userType, section, email, maxUses, expiresInDays, createdBy: req.user.id });
+    res.status(201).json(invitation);
+  } catch (error) {
+    console.error('Invitation POST error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /users/invitations: List invitation codes
+router.get('/invitations', canManageUsers, async (req, res) => {
+  try {
+    res.json(await listInvitations());
+  } catch (error) {
+    console.error('Invitation GET error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// DELETE /users/invitations/:id: Revoke an invitation code
+router.delete('/invitations/:id', canManageUsers, async (req, res) => {
+  try {
+    const invitation = await revokeInvitation(parseInt(req.params.id));
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+    res.json(invitation);
+  } catch (error) {
+    console.error('Invitation DELETE error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /users/import: Create accounts from an .xlsx/.csv roster (email, name, type, section columns).
+// Every row is validated; valid rows get an account with a temporary password, and the passwords are
+// offered once as a credentials sheet. With dryRun=true nothing is written.
+router.post('/import', canManageUsers, rosterUpload.single('file'), handleMulterError, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+    const dryRun = ['true', '1'].includes(String(req.query.dryRun ?? req.body?.dryRun).toLowerCase());
+
+    let roster;
+    try {
+      roster = await readRoster(req.file.buffer, req.file.originalname);
+    } catch (error) {
+      return res.status(400).json({ message: `Could not read roster: ${error.message}` });
+    }
+
+    const existing = new Set((await usersRepo.all()).map(u => u.email.toLowerCase()));
+    const inFile = new Set();
+    const rows = roster.map((entry) => {
+      const userType = VALID_USER_TYPES.find(t => t.toLowerCase() === entry.userType.toLowerCase()) || entry.userType;
+      const row = { ...entry, name: entry.name || undefined, userType, password: generateTemporaryPassword() };
+      let error = validateNewUser(row);
+      const key = entry.email.toLowerCase();
+      if (!error && existing.has(key)) {
+        error = 'User already exists';
+      } else if (!error && inFile.has(key)) {
+        error = 'Duplicate email in roster';
+      }
+      inFile.add(key);
+      return { ...row, status: error ? 'invalid' : 'valid', ...(error && { error }) };
+    });
+
+    if (!dryRun) {
+      const valid = rows.filter(row => row.status === 'valid');
+      for (const row of valid) {
+        row.hashedPassword = await hashPassword(row.password);
+      }
+      await usersRepo.mutate(async (users) => {
+        for (const row of valid) {
+          // Another request may have registered the email since the rows were validated
+          if (users.find(u => sameEmail(u.email, row.email))) {
+            Object.assign(row, { status: 'invalid', error: 'User already exists' });
+            continue;
+          }
+          const user = await buildUser(users, row);
+          user.mustChangePassword = true;
+          users.push(user);
+          Object.assign(row, { status: 'created', userId: user.id });
+        }
+      });
+    }
+
+    const created = rows.filter(row => row.status === 'created');
+    let credentialsUrl = null;
+    if (created.length) {
+      const sheet = await buildCredentialsSheet(created);
+      credentialsUrl = `/users/import/${storeCredentialsSheet(sheet, req.user.id)}/credentials`;
+    }
+    console.log('Roster import:', { dryRun, rows: rows.length, created: created.length });
+
+    res.status(dryRun ? 200 : 201).json({
+      dryRun,
+      summary: {
+        total: rows.length,
+        [dryRun ? 'valid' : 'created']: rows.filter(row => row.status === (dryRun ? 'valid' : 'created')).length,
+        invalid: rows.filter(row => row.status === 'invalid').length,
+      },
+      rows: rows.map(({ password, hashedPassword, ...row }) => row),
+      credentialsUrl,
+    });
+  } catch (error) {
+    console.error('Roster import error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /users/import/:importId/credentials: Download the credentials sheet of an import (once, within 15 minutes)
+router.get('/import/:importId/credentials', canManageUsers, (req, res) => {
+  const buffer = takeCredentialsSheet(req.params.importId, req.user.id);
+  if (!buffer) {
+    return res.status(404).json({ message: 'Credentials sheet not found or already downloaded' });
+  }
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', 'attachment; filename=credentials.xlsx');
+  res.send(Buffer.from(buffer));
+});
+
+// GET /users: List accounts, optionally filtered by userType, section or active
+router.get('/', canReadUsers, async (req, res) => {
+  try {
+    const { userType, section, active } = req.query;
+    const users = await usersRepo.find(u =>
+      (!userType || u.userType === userType) &&
+      (!section || u.section === section) &&
+      (active === undefined || String(u.active !== false) === active)
+    );
+    res.json(users.map(toPublicUser));
+  } catch (error) {
+    console.error('Users GET error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /users: Create an account of any type
+router.post('/', canManageUsers, async (req, res) => {
+  try {
+    const { email, password, userType, section, name } = req.body;
+    const result = await createUser({ email, password, userType, section, name });
+    if (!result.user) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    res.status(201).json(toPublicUser(result.user));
+  } catch (error) {
+    console.error('Users POST error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /users/:id: Retrieve one account
+router.get('/:id', canReadUsers, async (req, res) => {
+  try {
+    const user = await usersRepo.findOne(u => u.id === parseInt(req.params.id));
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.json(toPublicUser(user));
+  } catch (error) {
+    console.error('User GET error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// PATCH /users/:id: Update email, userType, section, password or any profile field. Changing the password or
+// userType ends the user's sessions.
+router.patch('/:id', canManageUsers, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { email, userType, section, password } = req.body;
+    if (userType !== undefined && !VALID_USER_TYPES.includes(userType)) {
+      return res.status(400).json({ message: INVALID_ROLE_MESSAGE });
+    }
+    if (email !== undefined && !validator.isEmail(String(email))) {
+      return res.status(400).json({ message: 'Invalid email' });
+    }
+    if (password !== undefined) {
+      const passwordError = checkPasswordStrength(password);
+      if (passwordError) {
+        return res.status(400).json({ message: passwordError });
+      }
+    }
+    if (id === req.user.id && userType !== undefined && userType !== req.user.userType) {
+      return res.status(400).json({ message: 'You cannot change your own userType' });
+    }
+    const hashedPassword = password !== undefined ? await hashPassword(password) : undefined;
+
+    const result = await usersRepo.mutate((users) => {
+      const user = users.find(u => u.id === id);
+      if (!user) {
+        return { status: 404, message: 'User not found' };
+      }
+      if (email !== undefined && users.find(u => u.id !== id && sameEmail(u.email, email))) {
+        return { status: 400, message: 'User already exists' };
+      }
+      const nextType = userType || user.userType;
+      const nextSection = section !== undefined ? section : user.section;
+      if (nextType === 'Student' && !nextSection) {
+        return { status: 400, message: 'Section is required for Students' };
+      }
+      const updated = { ...user, userType: nextType, section: nextSection };
+      if (nextType !== 'Student') {
+        delete updated.section;
+      }
+      const { changes, status, message } = validateProfileChanges(req.body, { target: updated });
+      if (!changes) {
+        return { status, message };
+      }
+      applyProfileChanges(pruneProfile(updated), changes);
+      const linkError = checkProfileLinks(users, updated);
+      if (linkError) {
+        return { status: 400, message: linkError };
+      }
+      const endSessions = hashedPassword !== undefined || nextType !== user.userType;
+      if (email !== undefined) updated.email = email;
+      if (hashedPassword !== undefined) updated.password = hashedPassword;
+      updated.updatedAt = new Date().toISOString();
+      users[users.indexOf(user)] = updated;
+      return { user: updated, endSessions };
+    });
+    if (!result.user) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    if (result.endSessions) {
+      await revokeAllSessions(id);
+    }
+    res.json(toPublicUser(result.user));
+  } catch (error) {
+    console.error('User PATCH error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const setActive = (active) => async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot deactivate your own account' });
+    }
+    const [user] = await usersRepo.update(u => u.id === id, {
+      active,
+      ...(active ? { deactivatedAt: null } : { deactivatedAt: new Date().toISOString() }),
+    });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!active) {
+      await revokeAllSessions(id);
+    }
+    res.json(toPublicUser(user));
+  } catch (error) {
+    console.error('User activation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// POST /users/:id/deactivate: Block sign-in and end every session of the account
+router.post('/:id/deactivate', canManageUsers, setActive(false));
+
+// POST /users/:id/activate: Allow a deactivated account to sign in again
+router.post('/:id/activate', canManageUsers, setActive(true));
+
+// DELETE /users/:id: Delete an account and end its sessions
+router.delete('/:id', canManageUsers, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot delete your own account' });
+    }
+    const removed = await usersRepo.remove(u => u.id === id);
+    if (!removed) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    await revokeAllSessions(id);
+    res.json({ message: 'User deleted' });
+  } catch (error) {
+    console.error('User DELETE error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
+module.exports.createUser = createUser;
+module.exports.toPublicUser = toPublicUser;
+module.exports.VALID_USER_TYPES = VALID_USER_TYPES;
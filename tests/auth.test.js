@@ -3,6 +3,9 @@ const app = require('../src/app');
 const fs = require('fs').promises;
 const path = require('path');
 const jwt = require('jsonwebtoken');
+const ExcelJS = require('exceljs');
+const { readOutbox, setMailer } = require('../src/mailer');
+const JSZip = require('jszip');
 
 const DATA_DIR = path.join(process.cwd(), 'data');
 const USERS_FILE = path.join(DATA_DIR, 'users.json');
@@ -11,6 +14,15 @@ const ROUTINES_FILE = path.join(DATA_DIR, 'routines.json');
 const DOCUMENTS_FILE = path.join(DATA_DIR, 'documents.json');
 const POLICIES_FILE = path.join(DATA_DIR, 'policies.json');
 const MARKS_FILE = path.join(DATA_DIR, 'marks.json');
+const SEQUENCES_FILE = path.join(DATA_DIR, 'sequences.json');
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+const PASSWORD_RESETS_FILE = path.join(DATA_DIR, 'passwordResets.json');
+const INVITATIONS_FILE = path.join(DATA_DIR, 'invitations.json');
+const ROLES_FILE = path.join(DATA_DIR, 'roles.json');
+const NOTIFICATIONS_FILE = path.join(DATA_DIR, 'notifications.json');
+const SUBJECTS_FILE = path.join(DATA_DIR, 'subjects.json');
+const ACADEMIC_FILES = ['academicYears', 'terms', 'exams', 'holidays', 'gradingSchemes', 'reportRemarks', 'timetableDrafts', 'calendarFeeds', 'leaveRequests', 'substitutions', 'examPeriods', 'calendarEvents', 'alertEmails'].map(name => path.join(DATA_DIR, `${name}.json`));
+const OUTBOX_DIR = path.join(process.cwd(), 'outbox');
 
 describe('API Tests', () => {
   beforeEach(async () => {
@@ -22,22 +34,71 @@ describe('API Tests', () => {
       await fs.writeFile(DOCUMENTS_FILE, JSON.stringify([]));
       await fs.writeFile(POLICIES_FILE, JSON.stringify([]));
       await fs.writeFile(MARKS_FILE, JSON.stringify([]));
+      await fs.writeFile(SEQUENCES_FILE, JSON.stringify([]));
+      await fs.writeFile(SESSIONS_FILE, JSON.stringify([]));
+      await fs.writeFile(PASSWORD_RESETS_FILE, JSON.stringify([]));
+      await fs.writeFile(INVITATIONS_FILE, JSON.stringify([]));
+      await fs.writeFile(ROLES_FILE, JSON.stringify([]));
+      await fs.writeFile(NOTIFICATIONS_FILE, JSON.stringify([]));
+      await fs.writeFile(SUBJECTS_FILE, JSON.stringify([]));
+      for (const file of ACADEMIC_FILES) {
+        await fs.writeFile(file, JSON.stringify([]));
+      }
+      await fs.rm(OUTBOX_DIR, { recursive: true, force: true });
       console.log('Reset all data files');
     } catch (error) {
       console.error('Test setup error:', error);
     }
   });
 
+  // Admin and Teacher accounts need an Admin to create them: the first Admin signed up in a test
+  // provisions the others, and a Teacher signed up before any Admin gets one created first.
+  let provisioningToken = null;
+  beforeEach(() => {
+    provisioningToken = null;
+  });
+
   const signupUser = async (email, password, userType, section = null) => {
-    const res = await request(app)
-      .post('/auth/signup')
-      .send({ email, password, userType, section });
+    if (userType === 'Teacher' && !provisioningToken) {
+      await signupUser('root@example.com', 'password123', 'Admin');
+    }
+    const req = request(app).post('/auth/signup');
+    if (userType !== 'Student' && provisioningToken) {
+      req.set('Authorization', `Bearer ${provisioningToken}`);
+    }
+    const res = await req.send({ email, password, userType, section });
     if (res.status !== 201) {
       console.log('Signup failed:', res.body);
     }
+    if (userType === 'Admin' && !provisioningToken) {
+      provisioningToken = res.body.token;
+    }
     return res.body.token;
   };
 
+  // Teachers may only work with the sections and subjects they teach, which come from the routines. Each
+  // assignment gets its own weekly slot so that they never clash.
+  let assignedSlots = 0;
+  beforeEach(() => {
+    assignedSlots = 0;
+  });
+  const assignTeacher = (teacherToken, section, subject) => {
+    const hour = String(8 + Math.floor(assignedSlots / 5)).padStart(2, '0');
+    const day = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'][assignedSlots % 5];
+    assignedSlots += 1;
+    return request(app)
+      .post('/routines')
+      .set('Authorization', `Bearer ${provisioningToken}`)
+      .send({ section, day, startTime: `${hour}:00`, endTime: `${hour}:45`, subject, teacherId: getUserIdFromToken(teacherToken) });
+  };
+
+  // Takes the matching marks through the publication workflow so that students and parents can see them
+  const publishMarks = async (filter = {}) => {
+    for (const action of ['submit', 'approve', 'publish']) {
+      await request(app).post(`/marks/${action}`).set('Authorization', `Bearer ${provisioningToken}`).send(filter);
+    }
+  };
+
   const getUserIdFromToken = (token) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     return decoded.id;
@@ -56,8 +117,10 @@ describe('API Tests', () => {
       });
 
       it('should create a new Teacher user and return a token with userType', async () => {
+        const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
         const res = await request(app)
           .post('/auth/signup')
+          .set('Authorization', `Bearer ${adminToken}`)
           .send({ email: 'teacher@example.com', password: 'password123', userType: 'Teacher' });
         expect(res.status).toBe(201);
         expect(res.body).toHaveProperty('token');
@@ -89,7 +152,7 @@ describe('API Tests', () => {
           .post('/auth/signup')
           .send({ email: 'user3@example.com', password: 'password123', userType: 'Invalid' });
         expect(res.status).toBe(400);
-        expect(res.body.message).toBe('Invalid userType. Must be Admin, Teacher, or Student');
+        expect(res.body.message).toBe('Invalid userType. Must be Admin, Principal, Teacher, Accountant, Student, or Parent');
       });
 
       it('should return 400 if user already exists (same email, different case)', async () => {
@@ -104,11 +167,91 @@ describe('API Tests', () => {
       });
     });
 
+    describe('POST /auth/signup provisioning', () => {
+      const signup = (body, token) => {
+        const req = request(app).post('/auth/signup');
+        if (token) req.set('Authorization', `Bearer ${token}`);
+        return req.send({ password: 'password123', ...body });
+      };
+
+      it('should not let anyone self-register as Admin once an Admin exists', async () => {
+        await signupUser('admin@example.com', 'password123', 'Admin');
+        const res = await signup({ email: 'intruder@example.com', userType: 'Admin' });
+        expect(res.status).toBe(403);
+        expect(res.body.message).toBe('Only Admins can create Admin accounts');
+      });
+
+      it('should not let a Teacher or Student create Teacher accounts', async () => {
+        const teacherToken = await signupUser('teacher@example.com', 'password123', 'Teacher');
+        const studentToken = await signupUser('student@example.com', 'password123', 'Student', 'A');
+        expect((await signup({ email: 't2@example.com', userType: 'Teacher' }, teacherToken)).status).toBe(403);
+        expect((await signup({ email: 't3@example.com', userType: 'Teacher' }, studentToken)).status).toBe(403);
+        expect((await signup({ email: 't4@example.com', userType: 'Teacher' })).status).toBe(403);
+      });
+
+      it('should let an invitation code create the invited account type once', async () => {
+        const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+        const invitation = await request(app)
+          .post('/users/invitations')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ userType: 'Teacher' });
+        expect(invitation.status).toBe(201);
+
+        const wrongType = await signup({ email: 'x@example.com', userType: 'Admin', invitationCode: invitation.body.code });
+        expect(wrongType.status).toBe(400);
+        expect(wrongType.body.message).toBe('This invitation code is for Teacher accounts');
+
+        const res = await signup({ email: 'teacher@example.com', invitationCode: invitation.body.code.toLowerCase() });
+        expect(res.status).toBe(201);
+        expect(jwt.verify(res.body.token, process.env.JWT_SECRET).userType).toBe('Teacher');
+
+        const again = await signup({ email: 'teacher2@example.com', invitationCode: invitation.body.code });
+        expect(again.status).toBe(400);
+        expect(again.body.message).toBe('Invalid or expired invitation code');
+      });
+
+      it('should bind an invitation to its email and section', async () => {
+        const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+        const invitation = await request(app)
+          .post('/users/invitations')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ userType: 'Student', section: 'B', email: 'pupil@example.com' });
+
+        const other = await signup({ email: 'other@example.com', invitationCode: invitation.body.code });
+        expect(other.status).toBe(400);
+        const res = await signup({ email: 'pupil@example.com', section: 'A', invitationCode: invitation.body.code });
+        expect(res.status).toBe(201);
+        expect(jwt.verify(res.body.token, process.env.JWT_SECRET).section).toBe('B');
+      });
+
+      it('should require an invitation for Students when STUDENT_SIGNUP=invitation', async () => {
+        const previous = process.env.STUDENT_SIGNUP;
+        process.env.STUDENT_SIGNUP = 'invitation';
+        try {
+          const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+          const res = await signup({ email: 'student@example.com', userType: 'Student', section: 'A' });
+          expect(res.status).toBe(403);
+          expect(res.body.message).toBe('Student registration requires an invitation code');
+
+          const invitation = await request(app)
+            .post('/users/invitations')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ userType: 'Student', section: 'A' });
+          const invited = await signup({ email: 'student@example.com', invitationCode: invitation.body.code });
+          expect(invited.status).toBe(201);
+        } finally {
+          if (previous === undefined) {
+            delete process.env.STUDENT_SIGNUP;
+          } else {
+            process.env.STUDENT_SIGNUP = previous;
+          }
+        }
+      });
+    });
+
     describe('POST /auth/signin', () => {
       it('should sign in a user and return a token with userType (same email, different case)', async () => {
-        await request(app)
-          .post('/auth/signup')
-          .send({ email: 'user5@example.com', password: 'password123', userType: 'Teacher' });
+        await signupUser('user5@example.com', 'password123', 'Teacher');
         const res = await request(app)
           .post('/auth/signin')
           .send({ email: 'User5@Example.com', password: 'password123' });
@@ -136,6 +279,585 @@ describe('API Tests', () => {
         expect(res.status).toBe(400);
         expect(res.body.message).toBe('Email and password are required');
       });
+
+      it('should return 400 if email or password is not a string', async () => {
+        for (const body of [{ email: 1, password: 'password123' }, { email: 'user7@example.com', password: ['password123'] }]) {
+          const res = await request(app).post('/auth/signin').send(body);
+          expect(res.status).toBe(400);
+          expect(res.body.message).toBe('Email and password are required');
+        }
+      });
+
+      it('should issue access tokens that expire after JWT_EXPIRES_IN', async () => {
+        const previous = process.env.JWT_EXPIRES_IN;
+        process.env.JWT_EXPIRES_IN = '2h';
+        try {
+          await signupUser('user8@example.com', 'password123', 'Teacher');
+          const res = await request(app)
+            .post('/auth/signin')
+            .send({ email: 'user8@example.com', password: 'password123' });
+          const decoded = jwt.verify(res.body.token, process.env.JWT_SECRET);
+          expect(decoded.exp - decoded.iat).toBe(2 * 60 * 60);
+          expect(res.body).toHaveProperty('refreshToken');
+        } finally {
+          process.env.JWT_EXPIRES_IN = previous;
+        }
+      });
+    });
+
+    describe('POST /auth/refresh', () => {
+      const signin = async () => {
+        await signupUser('teacher@example.com', 'password123', 'Teacher');
+        const res = await request(app)
+          .post('/auth/signin')
+          .send({ email: 'teacher@example.com', password: 'password123' });
+        return res.body;
+      };
+
+      it('should rotate the refresh token and return a working access token', async () => {
+        const { refreshToken } = await signin();
+        const res = await request(app).post('/auth/refresh').send({ refreshToken });
+        expect(res.status).toBe(200);
+        expect(res.body.refreshToken).not.toBe(refreshToken);
+
+        const routines = await request(app)
+          .get('/routines')
+          .set('Authorization', `Bearer ${res.body.token}`);
+        expect(routines.status).toBe(200);
+      });
+
+      it('should revoke the session when a used refresh token is presented again', async () => {
+        const { refreshToken } = await signin();
+        const rotated = await request(app).post('/auth/refresh').send({ refreshToken });
+
+        const reuse = await request(app).post('/auth/refresh').send({ refreshToken });
+        expect(reuse.status).toBe(401);
+        expect(reuse.body.message).toBe('Invalid refresh token');
+
+        const next = await request(app).post('/auth/refresh').send({ refreshToken: rotated.body.refreshToken });
+        expect(next.status).toBe(401);
+        const routines = await request(app)
+          .get('/routines')
+          .set('Authorization', `Bearer ${rotated.body.token}`);
+        expect(routines.status).toBe(401);
+        expect(routines.body.message).toBe('Token has been revoked');
+      });
+
+      it('should not accept an access token as a refresh token or the reverse', async () => {
+        const { token, refreshToken } = await signin();
+        const res = await request(app).post('/auth/refresh').send({ refreshToken: token });
+        expect(res.status).toBe(401);
+
+        const routines = await request(app)
+          .get('/routines')
+          .set('Authorization', `Bearer ${refreshToken}`);
+        expect(routines.status).toBe(401);
+      });
+
+      it('should return 400 if refreshToken is missing', async () => {
+        const res = await request(app).post('/auth/refresh').send({});
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('refreshToken is required');
+      });
+    });
+
+    describe('POST /auth/logout', () => {
+      it('should revoke the access and refresh tokens of the session', async () => {
+        await signupUser('student@example.com', 'password123', 'Student', 'A');
+        const { body } = await request(app)
+          .post('/auth/signin')
+          .send({ email: 'student@example.com', password: 'password123' });
+
+        const res = await request(app)
+          .post('/auth/logout')
+          .set('Authorization', `Bearer ${body.token}`);
+        expect(res.status).toBe(200);
+
+        const routines = await request(app)
+          .get('/routines')
+          .set('Authorization', `Bearer ${body.token}`);
+        expect(routines.status).toBe(401);
+        const refresh = await request(app).post('/auth/refresh').send({ refreshToken: body.refreshToken });
+        expect(refresh.status).toBe(401);
+      });
+
+      it('should keep other sessions unless allSessions is set', async () => {
+        const signupToken = await signupUser('student@example.com', 'password123', 'Student', 'A');
+        const signin = () => request(app)
+          .post('/auth/signin')
+          .send({ email: 'student@example.com', password: 'password123' });
+        const first = await signin();
+        const second = await signin();
+
+        await request(app).post('/auth/logout').set('Authorization', `Bearer ${first.body.token}`);
+        let routines = await request(app).get('/routines').set('Authorization', `Bearer ${second.body.token}`);
+        expect(routines.status).toBe(200);
+
+        await request(app)
+          .post('/auth/logout')
+          .set('Authorization', `Bearer ${second.body.token}`)
+          .send({ allSessions: true });
+        routines = await request(app).get('/routines').set('Authorization', `Bearer ${signupToken}`);
+        expect(routines.status).toBe(401);
+      });
+    });
+  });
+
+  describe('Password API', () => {
+    const signin = (email, password) => request(app).post('/auth/signin').send({ email, password });
+
+    const requestResetToken = async (email) => {
+      await request(app).post('/auth/password/forgot').send({ email });
+      const messages = await readOutbox();
+      const match = messages.length && messages[messages.length - 1].text.match(/reset your password: ([a-f0-9]{64})/);
+      return match ? match[1] : null;
+    };
+
+    describe('POST /auth/signup password rules', () => {
+      it('should reject a weak password', async () => {
+        const res = await request(app)
+          .post('/auth/signup')
+          .send({ email: 'weak@example.com', password: 'short1', userType: 'Teacher' });
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Password must be at least 8 characters long and contain a letter and a number');
+      });
+    });
+
+    describe('POST /auth/password/change', () => {
+      it('should change the password and end the other sessions', async () => {
+        const oldToken = await signupUser('teacher@example.com', 'password123', 'Teacher');
+        const res = await request(app)
+          .post('/auth/password/change')
+          .set('Authorization', `Bearer ${oldToken}`)
+          .send({ currentPassword: 'password123', newPassword: 'newpassword456' });
+        expect(res.status).toBe(200);
+        expect(res.body).toHaveProperty('token');
+
+        expect((await signin('teacher@example.com', 'password123')).status).toBe(401);
+        expect((await signin('teacher@example.com', 'newpassword456')).status).toBe(200);
+        const oldSession = await request(app).get('/routines').set('Authorization', `Bearer ${oldToken}`);
+        expect(oldSession.status).toBe(401);
+        const newSession = await request(app).get('/routines').set('Authorization', `Bearer ${res.body.token}`);
+        expect(newSession.status).toBe(200);
+      });
+
+      it('should return 401 if the current password is wrong', async () => {
+        const token = await signupUser('teacher@example.com', 'password123', 'Teacher');
+        const res = await request(app)
+          .post('/auth/password/change')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ currentPassword: 'wrongpassword1', newPassword: 'newpassword456' });
+        expect(res.status).toBe(401);
+        expect(res.body.message).toBe('Current password is incorrect');
+      });
+
+      it('should return 400 if the new password is weak', async () => {
+        const token = await signupUser('teacher@example.com', 'password123', 'Teacher');
+        const res = await request(app)
+          .post('/auth/password/change')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ currentPassword: 'password123', newPassword: 'password' });
+        expect(res.status).toBe(400);
+      });
+    });
+
+    describe('POST /auth/password/forgot and /auth/password/reset', () => {
+      it('should reset the password with the emailed token exactly once', async () => {
+        const oldToken = await signupUser('student@example.com', 'password123', 'Student', 'A');
+        const resetToken = await requestResetToken('Student@Example.com');
+        expect(resetToken).toBeTruthy();
+        const [message] = await readOutbox();
+        expect(message.to).toBe('student@example.com');
+
+        const res = await request(app)
+          .post('/auth/password/reset')
+          .send({ token: resetToken, newPassword: 'brandnew789' });
+        expect(res.status).toBe(200);
+        expect((await signin('student@example.com', 'brandnew789')).status).toBe(200);
+        const oldSession = await request(app).get('/routines').set('Authorization', `Bearer ${oldToken}`);
+        expect(oldSession.status).toBe(401);
+
+        const reuse = await request(app)
+          .post('/auth/password/reset')
+          .send({ token: resetToken, newPassword: 'another789' });
+        expect(reuse.status).toBe(400);
+        expect(reuse.body.message).toBe('Invalid or expired reset token');
+      });
+
+      it('should reject an expired reset token', async () => {
+        await signupUser('student@example.com', 'password123', 'Student', 'A');
+        const resetToken = await requestResetToken('student@example.com');
+        const resets = JSON.parse(await fs.readFile(PASSWORD_RESETS_FILE, 'utf-8'));
+        resets[0].expiresAt = new Date(Date.now() - 1000).toISOString();
+        await fs.writeFile(PASSWORD_RESETS_FILE, JSON.stringify(resets));
+
+        const res = await request(app)
+          .post('/auth/password/reset')
+          .send({ token: resetToken, newPassword: 'brandnew789' });
+        expect(res.status).toBe(400);
+      });
+
+      it('should only accept the latest reset token', async () => {
+        await signupUser('student@example.com', 'password123', 'Student', 'A');
+        const first = await requestResetToken('student@example.com');
+        const second = await requestResetToken('student@example.com');
+
+        const stale = await request(app).post('/auth/password/reset').send({ token: first, newPassword: 'brandnew789' });
+        expect(stale.status).toBe(400);
+        const latest = await request(app).post('/auth/password/reset').send({ token: second, newPassword: 'brandnew789' });
+        expect(latest.status).toBe(200);
+      });
+
+      it('should answer the same way for unknown emails without sending mail', async () => {
+        const res = await request(app).post('/auth/password/forgot').send({ email: 'nobody@example.com' });
+        expect(res.status).toBe(200);
+        expect(res.body.message).toBe('If the email is registered, a reset link has been sent');
+        expect(await readOutbox()).toEqual([]);
+      });
+
+      it('should send no code to deactivated accounts and reject malformed input', async () => {
+        const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+        const studentId = getUserIdFromToken(await signupUser('student@example.com', 'password123', 'Student', 'A'));
+        await request(app).post(`/users/${studentId}/deactivate`).set('Authorization', `Bearer ${adminToken}`);
+        expect(await requestResetToken('student@example.com')).toBeNull();
+
+        const forgot = await request(app).post('/auth/password/forgot').send({ email: ['student@example.com'] });
+        expect(forgot.status).toBe(400);
+        const reset = await request(app).post('/auth/password/reset').send({ token: { $ne: '' }, newPassword: 'brandnew789' });
+        expect(reset.status).toBe(400);
+        expect(reset.body.message).toBe('Invalid or expired reset token');
+      });
+    });
+  });
+
+  describe('Users API', () => {
+    const asAdmin = (req, token) => req.set('Authorization', `Bearer ${token}`);
+
+    it('should let Admins create, list, update and delete accounts without exposing passwords', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const created = await asAdmin(request(app).post('/users'), adminToken)
+        .send({ email: 'teacher@example.com', password: 'password123', userType: 'Teacher' });
+      expect(created.status).toBe(201);
+      expect(created.body).not.toHaveProperty('password');
+      expect(created.body.active).toBe(true);
+
+      const list = await asAdmin(request(app).get('/users?userType=Teacher'), adminToken);
+      expect(list.status).toBe(200);
+      expect(list.body.map(u => u.email)).toEqual(['teacher@example.com']);
+      expect(list.body[0]).not.toHaveProperty('password');
+
+      const updated = await asAdmin(request(app).patch(`/users/${created.body.id}`), adminToken)
+        .send({ userType: 'Student', section: 'C' });
+      expect(updated.status).toBe(200);
+      expect(updated.body.userType).toBe('Student');
+      expect(updated.body.section).toBe('C');
+
+      const fetched = await asAdmin(request(app).get(`/users/${created.body.id}`), adminToken);
+      expect(fetched.body.section).toBe('C');
+
+      const deleted = await asAdmin(request(app).delete(`/users/${created.body.id}`), adminToken);
+      expect(deleted.status).toBe(200);
+      const missing = await asAdmin(request(app).get(`/users/${created.body.id}`), adminToken);
+      expect(missing.status).toBe(404);
+    });
+
+    it('should reject duplicate emails and missing Student sections on update', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const teacherId = getUserIdFromToken(await signupUser('teacher@example.com', 'password123', 'Teacher'));
+
+      const duplicate = await asAdmin(request(app).patch(`/users/${teacherId}`), adminToken).send({ email: 'Admin@example.com' });
+      expect(duplicate.status).toBe(400);
+      expect(duplicate.body.message).toBe('User already exists');
+      const noSection = await asAdmin(request(app).patch(`/users/${teacherId}`), adminToken).send({ userType: 'Student' });
+      expect(noSection.status).toBe(400);
+      expect(noSection.body.message).toBe('Section is required for Students');
+    });
+
+    it('should end sessions and block sign-in when an account is deactivated', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const studentToken = await signupUser('student@example.com', 'password123', 'Student', 'A');
+      const studentId = getUserIdFromToken(studentToken);
+
+      const res = await asAdmin(request(app).post(`/users/${studentId}/deactivate`), adminToken);
+      expect(res.status).toBe(200);
+      expect(res.body.active).toBe(false);
+
+      const routines = await request(app).get('/routines').set('Authorization', `Bearer ${studentToken}`);
+      expect(routines.status).toBe(401);
+      const signin = await request(app).post('/auth/signin').send({ email: 'student@example.com', password: 'password123' });
+      expect(signin.status).toBe(403);
+      expect(signin.body.message).toBe('Account is deactivated');
+
+      await asAdmin(request(app).post(`/users/${studentId}/activate`), adminToken);
+      const again = await request(app).post('/auth/signin').send({ email: 'student@example.com', password: 'password123' });
+      expect(again.status).toBe(200);
+    });
+
+    it('should end sessions when an Admin resets a password', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const studentToken = await signupUser('student@example.com', 'password123', 'Student', 'A');
+      await asAdmin(request(app).patch(`/users/${getUserIdFromToken(studentToken)}`), adminToken).send({ password: 'changed1234' });
+      const routines = await request(app).get('/routines').set('Authorization', `Bearer ${studentToken}`);
+      expect(routines.status).toBe(401);
+    });
+
+    it('should not let Admins deactivate or delete themselves', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const adminId = getUserIdFromToken(adminToken);
+      expect((await asAdmin(request(app).post(`/users/${adminId}/deactivate`), adminToken)).status).toBe(400);
+      expect((await asAdmin(request(app).delete(`/users/${adminId}`), adminToken)).status).toBe(400);
+    });
+
+    it('should only be available to Admins', async () => {
+      const teacherToken = await signupUser('teacher@example.com', 'password123', 'Teacher');
+      const res = await request(app).get('/users').set('Authorization', `Bearer ${teacherToken}`);
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe('You do not have permission to view user accounts');
+    });
+
+    describe('POST /users/import', () => {
+      const roster = [
+        'Email,Name,Type,Section',
+        'ana@example.com,Ana Rahman,student,A',
+        'ben@example.com,Ben Karim,Teacher,',
+        'not-an-email,Bad Email,Student,A',
+        'cara@example.com,No Section,Student,',
+        'ANA@example.com,Ana Again,Student,A',
+        'admin@example.com,Existing,Admin,',
+        'dan@example.com,Dan,Janitor,',
+      ].join('\n');
+
+      const importRoster = (token, buffer, fileName, dryRun = false) =>
+        request(app)
+          .post(`/users/import${dryRun ? '?dryRun=true' : ''}`)
+          .set('Authorization', `Bearer ${token}`)
+          .attach('file', buffer, fileName);
+
+      it('should validate every row without writing anything in dry-run mode', async () => {
+        const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+        const res = await importRoster(adminToken, Buffer.from(roster), 'roster.csv', true);
+        expect(res.status).toBe(200);
+        expect(res.body.dryRun).toBe(true);
+        expect(res.body.summary).toEqual({ total: 7, valid: 2, invalid: 5 });
+        expect(res.body.rows.map(r => [r.row, r.status, r.error])).toEqual([
+          [2, 'valid', undefined],
+          [3, 'valid', undefined],
+          [4, 'invalid', 'Invalid email'],
+          [5, 'invalid', 'Section is required for Students'],
+          [6, 'invalid', 'Duplicate email in roster'],
+          [7, 'invalid', 'User already exists'],
+          [8, 'invalid', 'Invalid userType. Must be Admin, Principal, Teacher, Accountant, Student, or Parent'],
+        ]);
+        expect(res.body.credentialsUrl).toBeNull();
+        const users = JSON.parse(await fs.readFile(USERS_FILE, 'utf-8'));
+        expect(users.length).toBe(1);
+      });
+
+      it('should create the valid accounts and offer their credentials once', async () => {
+        const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+        const res = await importRoster(adminToken, Buffer.from(roster), 'roster.csv');
+        expect(res.status).toBe(201);
+        expect(res.body.summary).toEqual({ total: 7, created: 2, invalid: 5 });
+        expect(res.body.rows[0]).toMatchObject({ email: 'ana@example.com', status: 'created', userType: 'Student' });
+        expect(JSON.stringify(res.body)).not.toMatch(/password/i);
+
+        const sheet = await request(app)
+          .get(res.body.credentialsUrl)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .responseType('blob');
+        expect(sheet.status).toBe(200);
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(sheet.body);
+        const row = workbook.getWorksheet('Credentials').getRow(2);
+        expect(row.getCell(3).text).toBe('ana@example.com');
+
+        const signin = await request(app)
+          .post('/auth/signin')
+          .send({ email: 'ana@example.com', password: row.getCell(7).text });
+        expect(signin.status).toBe(200);
+        expect(signin.body.mustChangePassword).toBe(true);
+
+        const again = await request(app).get(res.body.credentialsUrl).set('Authorization', `Bearer ${adminToken}`);
+        expect(again.status).toBe(404);
+      });
+
+      it('should read .xlsx rosters with columns in any order', async () => {
+        const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet('Roster');
+        worksheet.addRow(['Section', 'E-mail', 'Role']);
+        worksheet.addRow(['B', 'eve@example.com', 'Student']);
+        const res = await importRoster(adminToken, Buffer.from(await workbook.xlsx.writeBuffer()), 'roster.xlsx');
+        expect(res.status).toBe(201);
+        expect(res.body.rows[0]).toMatchObject({ email: 'eve@example.com', section: 'B', status: 'created' });
+      });
+
+      it('should reject files without the required columns or of another type', async () => {
+        const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+        const noType = await importRoster(adminToken, Buffer.from('email\nx@example.com'), 'roster.csv');
+        expect(noType.status).toBe(400);
+        expect(noType.body.message).toBe('Could not read roster: The roster is missing the type column');
+        const txt = await importRoster(adminToken, Buffer.from(roster), 'roster.txt');
+        expect(txt.status).toBe(400);
+        expect(txt.body.message).toBe('Only XLSX and CSV files are allowed');
+      });
+    });
+
+    describe('GET/PATCH /users/me', () => {
+      it('should return and update the signed-in user\'s own profile', async () => {
+        const teacherToken = await signupUser('teacher@example.com', 'password123', 'Teacher');
+        const updated = await request(app)
+          .patch('/users/me')
+          .set('Authorization', `Bearer ${teacherToken}`)
+          .send({ name: '  Rina Das ', phone: '+8801712345678', dateOfBirth: '1990-04-12' });
+        expect(updated.status).toBe(200);
+        expect(updated.body).toMatchObject({ name: 'Rina Das', phone: '+8801712345678', dateOfBirth: '1990-04-12' });
+
+        const me = await request(app).get('/users/me').set('Authorization', `Bearer ${teacherToken}`);
+        expect(me.status).toBe(200);
+        expect(me.body).toMatchObject({ email: 'teacher@example.com', name: 'Rina Das' });
+        expect(me.body).not.toHaveProperty('password');
+      });
+
+      it('should enforce field-level edit rules and validate values', async () => {
+        const studentToken = await signupUser('student@example.com', 'password123', 'Student', 'A');
+        const patchMe = (body) => request(app).patch('/users/me').set('Authorization', `Bearer ${studentToken}`).send(body);
+
+        const rollNumber = await patchMe({ rollNumber: '12' });
+        expect(rollNumber.status).toBe(403);
+        expect(rollNumber.body.message).toBe('rollNumber can only be changed by an Admin');
+        expect((await patchMe({ name: 'Someone Else' })).status).toBe(403);
+
+        const badGuardian = await patchMe({ guardians: [{ name: 'Mother' }] });
+        expect(badGuardian.status).toBe(400);
+        expect(badGuardian.body.message).toBe('guardians[0] needs a phone or an email');
+        expect((await patchMe({ avatar: 'javascript:alert(1)' })).status).toBe(400);
+
+        const guardians = await patchMe({ guardians: [{ name: 'Mother', relation: 'Mother', email: 'mum@example.com' }] });
+        expect(guardians.status).toBe(200);
+        expect(guardians.body.guardians).toEqual([{ name: 'Mother', relation: 'Mother', email: 'mum@example.com' }]);
+      });
+
+      it('should let Admins set any profile field and keep roll numbers unique per section', async () => {
+        const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+        const firstId = getUserIdFromToken(await signupUser('first@example.com', 'password123', 'Student', 'A'));
+        const secondId = getUserIdFromToken(await signupUser('second@example.com', 'password123', 'Student', 'A'));
+
+        const first = await asAdmin(request(app).patch(`/users/${firstId}`), adminToken).send({ name: 'First', rollNumber: 7 });
+        expect(first.status).toBe(200);
+        expect(first.body.rollNumber).toBe('7');
+        const taken = await asAdmin(request(app).patch(`/users/${secondId}`), adminToken).send({ rollNumber: '7' });
+        expect(taken.status).toBe(400);
+        expect(taken.body.message).toBe('Roll number 7 is already used in section A');
+
+        const subjects = await asAdmin(request(app).patch(`/users/${firstId}`), adminToken).send({ subjects: ['Math'] });
+        expect(subjects.status).toBe(400);
+        const teacher = await asAdmin(request(app).patch(`/users/${firstId}`), adminToken)
+          .send({ userType: 'Teacher', subjects: ['Math', 'Physics'] });
+        expect(teacher.status).toBe(200);
+        expect(teacher.body.subjects).toEqual(['Math', 'Physics']);
+        expect(teacher.body).not.toHaveProperty('rollNumber');
+      });
+
+      it('should show profile names in the attendance export', async () => {
+        const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+        const studentId = getUserIdFromToken(await signupUser('student@example.com', 'password123', 'Student', 'A'));
+        await asAdmin(request(app).patch(`/users/${studentId}`), adminToken).send({ name: 'Nadia Islam' });
+
+        await asAdmin(request(app).post('/attendance'), adminToken).send({ userId: studentId, date: '2025-03-03', status: 'present' });
+        const res = await asAdmin(request(app).get('/attendance/export'), adminToken).responseType('blob');
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(res.body);
+        expect(workbook.getWorksheet('Section A').getRow(2).getCell(2).text).toBe('Nadia Islam');
+      });
+    });
+
+    it('should list and revoke invitations', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const invitation = await asAdmin(request(app).post('/users/invitations'), adminToken).send({ userType: 'Teacher', maxUses: 3 });
+      const list = await asAdmin(request(app).get('/users/invitations'), adminToken);
+      expect(list.body.map(i => i.code)).toEqual([invitation.body.code]);
+
+      await asAdmin(request(app).delete(`/users/invitations/${invitation.body.id}`), adminToken);
+      const res = await request(app)
+        .post('/auth/signup')
+        .send({ email: 'teacher@example.com', password: 'password123', invitationCode: invitation.body.code });
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('Roles and permissions', () => {
+    const withToken = (req, token) => req.set('Authorization', `Bearer ${token}`);
+
+    // Accounts other than Students and the first Admin are provisioned through POST /users
+    const createAccount = async (adminToken, email, userType, extra = {}) => {
+      const res = await withToken(request(app).post('/users'), adminToken).send({ email, password: 'password123', userType, ...extra });
+      const signin = await request(app).post('/auth/signin').send({ email, password: 'password123' });
+      return { id: res.body.id, token: signin.body.token };
+    };
+
+    it('should let a Principal view marks but not change them', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const studentId = getUserIdFromToken(await signupUser('student@example.com', 'password123', 'Student', 'A'));
+      const principal = await createAccount(adminToken, 'principal@example.com', 'Principal');
+
+      expect((await withToken(request(app).get(`/marks/${studentId}`), principal.token)).status).toBe(200);
+      const write = await withToken(request(app).post('/marks'), principal.token).send({ userId: studentId, subject: 'Math', marks: 80 });
+      expect(write.status).toBe(403);
+      expect(write.body.message).toBe('You do not have permission to update marks');
+    });
+
+    it('should apply edited role permissions immediately and restore the defaults', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const teacherToken = await signupUser('teacher@example.com', 'password123', 'Teacher');
+      const studentId = getUserIdFromToken(await signupUser('student@example.com', 'password123', 'Student', 'A'));
+      await assignTeacher(teacherToken, 'A', 'Math');
+      const postMarks = () => withToken(request(app).post('/marks'), teacherToken).send({ userId: studentId, subject: 'Math', marks: 80 });
+
+      const edited = await withToken(request(app).put('/roles/Teacher'), adminToken).send({ permissions: ['marks:read'] });
+      expect(edited.status).toBe(200);
+      expect(edited.body).toMatchObject({ name: 'Teacher', permissions: ['marks:read'], customized: true });
+      expect((await postMarks()).status).toBe(403);
+
+      await withToken(request(app).delete('/roles/Teacher/permissions'), adminToken);
+      expect((await postMarks()).status).toBe(201);
+    });
+
+    it('should reject unknown permissions and keep Admins able to manage roles', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const unknown = await withToken(request(app).put('/roles/Parent'), adminToken).send({ permissions: ['marks:delete'] });
+      expect(unknown.status).toBe(400);
+      expect(unknown.body.message).toBe('Unknown permission: marks:delete');
+      const lockout = await withToken(request(app).put('/roles/Admin'), adminToken).send({ permissions: ['users:manage'] });
+      expect(lockout.status).toBe(400);
+      expect(lockout.body.message).toBe('The Admin role must keep roles:manage');
+      expect((await withToken(request(app).put('/roles/Janitor'), adminToken).send({ permissions: [] })).status).toBe(404);
+
+      const teacherToken = await signupUser('teacher@example.com', 'password123', 'Teacher');
+      const res = await withToken(request(app).get('/roles'), teacherToken);
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe('You do not have permission to manage roles and permissions');
+    });
+
+    it('should let Parents see their children\'s records and routines only', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const teacherId = getUserIdFromToken(await signupUser('teacher@example.com', 'password123', 'Teacher'));
+      const childId = getUserIdFromToken(await signupUser('child@example.com', 'password123', 'Student', 'B'));
+      const otherId = getUserIdFromToken(await signupUser('other@example.com', 'password123', 'Student', 'C'));
+      const parent = await createAccount(adminToken, 'parent@example.com', 'Parent');
+      const linked = await withToken(request(app).patch(`/users/${parent.id}`), adminToken).send({ children: [childId] });
+      expect(linked.status).toBe(200);
+      const notStudent = await withToken(request(app).patch(`/users/${parent.id}`), adminToken).send({ children: [teacherId] });
+      expect(notStudent.body.message).toBe(`User ${teacherId} is not a Student`);
+
+      for (const [section, day] of [['B', 'Monday'], ['C', 'Tuesday']]) {
+        await withToken(request(app).post('/routines'), adminToken)
+          .send({ section, day, startTime: '09:00', endTime: '09:45', subject: 'Math', teacherId });
+      }
+      expect((await withToken(request(app).get(`/marks/${childId}`), parent.token)).status).toBe(200);
+      expect((await withToken(request(app).get(`/marks/${otherId}`), parent.token)).status).toBe(403);
+      const routines = await withToken(request(app).get('/routines'), parent.token);
+      expect(routines.body.map(r => r.section)).toEqual(['B']);
     });
   });
 
@@ -151,11 +873,41 @@ describe('API Tests', () => {
           .set('Authorization', `Bearer ${adminToken}`)
           .send({
             userId: studentId,
-            attendance: { Monday: true, Tuesday: false }
+            date: '2025-03-03',
+            period: 2,
+            status: 'late',
+            remarks: 'Bus delay'
           });
         expect(res.status).toBe(201);
       });
 
+      it('should validate the date, period and status', async () => {
+        const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+        const studentId = getUserIdFromToken(await signupUser('student@example.com', 'password123', 'Student', 'A'));
+        const post = (body) => request(app).post('/attendance').set('Authorization', `Bearer ${adminToken}`).send({ userId: studentId, ...body });
+
+        expect((await post({ date: '2025-02-30', status: 'present' })).body.message).toBe('date must be a valid date in YYYY-MM-DD format');
+        expect((await post({ date: '2999-01-01', status: 'present' })).body.message).toBe('Attendance cannot be recorded for a future date');
+        expect((await post({ date: '2025-03-03', period: 0, status: 'present' })).body.message).toBe('period must be a positive integer');
+        const status = await post({ date: '2025-03-03', status: 'sick' });
+        expect(status.status).toBe(400);
+        expect(status.body.message).toBe('status must be one of: present, absent, late, excused, half-day');
+      });
+
+      it('should keep earlier statuses in the record history instead of overwriting them', async () => {
+        const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+        const studentId = getUserIdFromToken(await signupUser('student@example.com', 'password123', 'Student', 'A'));
+        const post = (body) => request(app).post('/attendance').set('Authorization', `Bearer ${adminToken}`).send({ userId: studentId, ...body });
+
+        await post({ date: '2025-03-03', status: 'absent' });
+        await post({ date: '2025-03-03', status: 'excused', remarks: 'Doctor\'s note' });
+        await post({ date: '2025-03-10', status: 'present' });
+
+        const res = await request(app).get(`/attendance/${studentId}`).set('Authorization', `Bearer ${adminToken}`);
+        expect(res.body.map(r => [r.date, r.status])).toEqual([['2025-03-03', 'excused'], ['2025-03-10', 'present']]);
+        expect(res.body[0].history).toEqual([expect.objectContaining({ status: 'absent' })]);
+      });
+
       it('should return 403 for Student trying to create attendance', async () => {
         const studentToken = await signupUser('student2@example.com', 'password123', 'Student', 'A');
         const studentId = getUserIdFromToken(studentToken);
@@ -163,9 +915,146 @@ describe('API Tests', () => {
         const res = await request(app)
           .post('/attendance')
           .set('Authorization', `Bearer ${studentToken}`)
-          .send({ userId: studentId, attendance: { Monday: true } });
+          .send({ userId: studentId, date: '2025-03-03', status: 'present' });
+        expect(res.status).toBe(403);
+        expect(res.body.message).toBe('You do not have permission to modify attendance');
+      });
+    });
+
+    describe('POST /attendance/sections/:section/:date', () => {
+      const rollCall = (token, section, body) =>
+        request(app).post(`/attendance/sections/${section}/2025-03-03`).set('Authorization', `Bearer ${token}`).send(body);
+
+      it('should record a whole section at once and summarize it', async () => {
+        const teacherToken = await signupUser('teacher@example.com', 'password123', 'Teacher');
+        const ids = [];
+        for (const email of ['a@example.com', 'b@example.com', 'c@example.com']) {
+          ids.push(getUserIdFromToken(await signupUser(email, 'password123', 'Student', 'A')));
+        }
+        await assignTeacher(teacherToken, 'A', 'Math');
+
+        const res = await rollCall(teacherToken, 'A', {
+          period: 1,
+          entries: [{ userId: ids[0], status: 'present' }, { userId: ids[1], status: 'absent', remarks: 'Sick' }],
+        });
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ section: 'A', date: '2025-03-03', period: 1, recorded: 2, total: 3 });
+        expect(res.body.counts).toMatchObject({ present: 1, absent: 1, unmarked: 1 });
+        expect(res.body.students.unmarked).toEqual([{ userId: ids[2], name: 'c@example.com' }]);
+
+        const summary = await request(app)
+          .get('/attendance/sections/A/2025-03-03?period=1')
+          .set('Authorization', `Bearer ${teacherToken}`);
+        expect(summary.body.counts).toEqual(res.body.counts);
+      });
+
+      it('should write nothing when any entry is invalid', async () => {
+        const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+        const inSection = getUserIdFromToken(await signupUser('a@example.com', 'password123', 'Student', 'A'));
+        const otherSection = getUserIdFromToken(await signupUser('b@example.com', 'password123', 'Student', 'B'));
+
+        const res = await rollCall(adminToken, 'A', {
+          entries: [{ userId: inSection, status: 'present' }, { userId: otherSection, status: 'present' }, { userId: inSection, status: 'gone' }],
+        });
+        expect(res.status).toBe(400);
+        expect(res.body.errors.map(e => e.message)).toEqual([
+          `User ${otherSection} is not a Student in section A`,
+          `User ${inSection} appears more than once`,
+        ]);
+        const attendance = JSON.parse(await fs.readFile(ATTENDANCE_FILE, 'utf-8'));
+        expect(attendance).toEqual([]);
+      });
+
+      it('should only let a Teacher take roll call in the sections they teach', async () => {
+        const teacherToken = await signupUser('teacher@example.com', 'password123', 'Teacher');
+        const studentId = getUserIdFromToken(await signupUser('b@example.com', 'password123', 'Student', 'B'));
+        await assignTeacher(teacherToken, 'A', 'Math');
+        const res = await rollCall(teacherToken, 'B', { entries: [{ userId: studentId, status: 'present' }] });
         expect(res.status).toBe(403);
-        expect(res.body.message).toBe('Only Admins or Teachers can modify attendance');
+        expect(res.body.message).toBe('You do not teach section B');
+      });
+    });
+
+    describe('Attendance statistics and alerts', () => {
+      // Records a week for two students in section A: one always present, one mostly absent
+      const recordWeek = async (token, goodId, poorId) => {
+        const days = ['2025-03-03', '2025-03-04', '2025-03-05', '2025-03-06'];
+        const poor = ['absent', 'absent', 'half-day', 'excused'];
+        for (const [i, date] of days.entries()) {
+          await request(app)
+            .post(`/attendance/sections/A/${date}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ entries: [{ userId: goodId, status: 'present' }, { userId: poorId, status: poor[i] }] });
+        }
+      };
+
+      it('should compute rates and absence streaks per student, section and school', async () => {
+        const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+        const goodId = getUserIdFromToken(await signupUser('good@example.com', 'password123', 'Student', 'A'));
+        const poorId = getUserIdFromToken(await signupUser('poor@example.com', 'password123', 'Student', 'A'));
+        await recordWeek(adminToken, goodId, poorId);
+        const get = (url) => request(app).get(url).set('Authorization', `Bearer ${adminToken}`);
+
+        const student = await get(`/attendance/stats/students/${poorId}`);
+        expect(student.status).toBe(200);
+        expect(student.body).toMatchObject({ days: 4, countedDays: 3, rate: 16.7, longestAbsenceStreak: 2, currentAbsenceStreak: 0 });
+        expect(student.body.counts).toMatchObject({ absent: 2, 'half-day': 1, excused: 1 });
+
+        const section = await get('/attendance/stats/sections/A?threshold=50');
+        expect(section.body.rate).toBe(58.4);
+        expect(section.body.students.map(s => [s.userId, s.atRisk])).toEqual([[goodId, false], [poorId, true]]);
+
+        const school = await get('/attendance/stats/school?from=2025-03-04');
+        expect(school.body.sections).toEqual([{ section: 'A', students: 2, rate: 62.5, atRisk: 1 }]);
+      });
+
+      it('should notify the teachers and Parents of at-risk students once', async () => {
+        const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+        const teacherToken = await signupUser('teacher@example.com', 'password123', 'Teacher');
+        const goodId = getUserIdFromToken(await signupUser('good@example.com', 'password123', 'Student', 'A'));
+        const poorId = getUserIdFromToken(await signupUser('poor@example.com', 'password123', 'Student', 'A'));
+        await assignTeacher(teacherToken, 'A', 'Math');
+        await recordWeek(adminToken, goodId, poorId);
+        await request(app).post('/users').set('Authorization', `Bearer ${adminToken}`)
+          .send({ email: 'parent@example.com', password: 'password123', userType: 'Parent' });
+        const parent = await request(app).post('/auth/signin').send({ email: 'parent@example.com', password: 'password123' });
+        await request(app).patch(`/users/${getUserIdFromToken(parent.body.token)}`).set('Authorization', `Bearer ${adminToken}`)
+          .send({ children: [poorId] });
+        await request(app).patch(`/users/${poorId}`).set('Authorization', `Bearer ${adminToken}`).send({ guardians: [
+          { name: 'Parent', email: 'Parent@example.com' },
+          { name: 'Aunt', relation: 'aunt', email: 'aunt@example.com' },
+          { name: 'Uncle', phone: '+14155552671' },
+        ] });
+
+        const sendAlerts = () => request(app).post('/attendance/alerts').set('Authorization', `Bearer ${adminToken}`).send({ to: '2025-03-31' });
+        setMailer({ send: async () => { throw new Error('Mail server unavailable'); } });
+        let res;
+        try {
+          res = await sendAlerts();
+        } finally {
+          setMailer(null);
+        }
+        expect(res.status).toBe(200);
+        expect(res.body.threshold).toBe(75);
+        expect(res.body.atRisk).toEqual([expect.objectContaining({ userId: poorId, rate: 16.7 })]);
+        expect(res.body.atRisk[0].notified).toHaveLength(2);
+        expect(res.body.atRisk[0].emailed).toEqual([]);
+        const retried = await sendAlerts();
+        expect(retried.body.atRisk[0].notified).toEqual([]);
+        expect(retried.body.atRisk[0].emailed).toEqual(['aunt@example.com']);
+        expect((await readOutbox()).map(m => [m.to, m.subject])).toEqual([['aunt@example.com', 'Low attendance']]);
+        const again = await sendAlerts();
+        expect(again.body.atRisk[0].notified).toEqual([]);
+        expect(again.body.atRisk[0].emailed).toEqual([]);
+
+        const inbox = await request(app).get('/notifications?unread=true').set('Authorization', `Bearer ${parent.body.token}`);
+        expect(inbox.body).toEqual([expect.objectContaining({ type: 'low-attendance', data: expect.objectContaining({ userId: poorId }) })]);
+        await request(app).post(`/notifications/${inbox.body[0].id}/read`).set('Authorization', `Bearer ${parent.body.token}`);
+        const unread = await request(app).get('/notifications?unread=true').set('Authorization', `Bearer ${parent.body.token}`);
+        expect(unread.body).toEqual([]);
+
+        const denied = await request(app).post('/attendance/alerts').set('Authorization', `Bearer ${teacherToken}`).send({});
+        expect(denied.status).toBe(403);
       });
     });
 
@@ -178,13 +1067,44 @@ describe('API Tests', () => {
         await request(app)
           .post('/attendance')
           .set('Authorization', `Bearer ${adminToken}`)
-          .send({ userId: studentId, attendance: { Monday: true, Tuesday: false } });
+          .send({ userId: studentId, date: '2025-03-03', status: 'present' });
+        await request(app)
+          .post('/attendance')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ userId: studentId, date: '2025-03-04', status: 'absent' });
+
+        const res = await request(app)
+          .get(`/attendance/${studentId}`)
+          .set('Authorization', `Bearer ${adminToken}`);
+        expect(res.status).toBe(200);
+        expect(res.body.map(r => r.status)).toEqual(['present', 'absent']);
+
+        const range = await request(app)
+          .get(`/attendance/${studentId}?from=2025-03-04&to=2025-03-31`)
+          .set('Authorization', `Bearer ${adminToken}`);
+        expect(range.body.map(r => r.date)).toEqual(['2025-03-04']);
+        const badRange = await request(app)
+          .get(`/attendance/${studentId}?from=2025-03-31&to=2025-03-01`)
+          .set('Authorization', `Bearer ${adminToken}`);
+        expect(badRange.status).toBe(400);
+      });
+
+      it('should leave out weekly records that have not been migrated yet', async () => {
+        const adminToken = await signupUser('admin2@example.com', 'password123', 'Admin');
+        const studentId = getUserIdFromToken(await signupUser('student3@example.com', 'password123', 'Student', 'A'));
+        await request(app)
+          .post('/attendance')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ userId: studentId, date: '2025-03-03', status: 'present' });
+        const records = JSON.parse(await fs.readFile(ATTENDANCE_FILE, 'utf8'));
+        records.push({ userId: studentId, name: 'student3', userType: 'Student', attendance: { Monday: true, Tuesday: false } });
+        await fs.writeFile(ATTENDANCE_FILE, JSON.stringify(records));
 
         const res = await request(app)
           .get(`/attendance/${studentId}`)
           .set('Authorization', `Bearer ${adminToken}`);
         expect(res.status).toBe(200);
-        expect(res.body.attendance.Monday).toBe(true);
+        expect(res.body.map(r => r.date)).toEqual(['2025-03-03']);
       });
     });
   });
@@ -199,7 +1119,7 @@ describe('API Tests', () => {
         const routineData = {
           section: 'A',
           day: 'Monday',
-          time: '10:00',
+          startTime: '10:00', endTime: '10:45',
           subject: 'Math',
           teacherId: teacherId,
         };
@@ -218,9 +1138,9 @@ describe('API Tests', () => {
         const res = await request(app)
           .post('/routines')
           .set('Authorization', `Bearer ${teacherToken}`)
-          .send({ section: 'A', day: 'Monday', time: '10:00', subject: 'Math', teacherId: 1 });
+          .send({ section: 'A', day: 'Monday', startTime: '10:00', endTime: '10:45', subject: 'Math', teacherId: 1 });
         expect(res.status).toBe(403);
-        expect(res.body.message).toBe('Only Admins can create routines');
+        expect(res.body.message).toBe('You do not have permission to manage routines');
       });
 
       it('should not allow Student to create a routine', async () => {
@@ -228,9 +1148,9 @@ describe('API Tests', () => {
         const res = await request(app)
           .post('/routines')
           .set('Authorization', `Bearer ${studentToken}`)
-          .send({ section: 'A', day: 'Monday', time: '10:00', subject: 'Math', teacherId: 1 });
+          .send({ section: 'A', day: 'Monday', startTime: '10:00', endTime: '10:45', subject: 'Math', teacherId: 1 });
         expect(res.status).toBe(403);
-        expect(res.body.message).toBe('Only Admins can create routines');
+        expect(res.body.message).toBe('You do not have permission to manage routines');
       });
     });
 
@@ -243,13 +1163,13 @@ describe('API Tests', () => {
         const routineRes = await request(app)
           .post('/routines')
           .set('Authorization', `Bearer ${adminToken}`)
-          .send({ section: 'A', day: 'Monday', time: '10:00', subject: 'Math', teacherId });
+          .send({ section: 'A', day: 'Monday', startTime: '10:00', endTime: '10:45', subject: 'Math', teacherId });
         const routineId = routineRes.body.id;
 
         const res = await request(app)
           .post('/routines')
           .set('Authorization', `Bearer ${adminToken}`)
-          .send({ section: 'B', day: 'Tuesday', time: '11:00', subject: 'Science', teacherId });
+          .send({ section: 'B', day: 'Tuesday', startTime: '11:00', endTime: '11:45', subject: 'Science', teacherId });
         expect(res.status).toBe(201);
         expect(res.body.section).toBe('B');
       });
@@ -264,7 +1184,7 @@ describe('API Tests', () => {
         const routineRes = await request(app)
           .post('/routines')
           .set('Authorization', `Bearer ${adminToken}`)
-          .send({ section: 'A', day: 'Monday', time: '10:00', subject: 'Math', teacherId });
+          .send({ section: 'A', day: 'Monday', startTime: '10:00', endTime: '10:45', subject: 'Math', teacherId });
         const routineId = routineRes.body.id;
 
         const res = await request(app)
@@ -272,6 +1192,28 @@ describe('API Tests', () => {
           .set('Authorization', `Bearer ${adminToken}`);
         expect(res.status).toBe(200);
       });
+
+      it('should not reuse the id of a deleted routine', async () => {
+        const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+        const teacherToken = await signupUser('teacher@example.com', 'password123', 'Teacher');
+        const teacherId = getUserIdFromToken(teacherToken);
+        const createRoutine = (section, day) => request(app)
+          .post('/routines')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ section, day, startTime: '10:00', endTime: '10:45', subject: 'Math', teacherId });
+
+        const first = await createRoutine('A', 'Monday');
+        const second = await createRoutine('B', 'Tuesday');
+        await request(app)
+          .delete(`/routines/${first.body.id}`)
+          .set('Authorization', `Bearer ${adminToken}`);
+        const third = await createRoutine('C', 'Wednesday');
+
+        expect(third.body.id).not.toBe(first.body.id);
+        expect(third.body.id).not.toBe(second.body.id);
+        const routines = JSON.parse(await fs.readFile(ROUTINES_FILE, 'utf-8'));
+        expect(new Set(routines.map(r => r.id)).size).toBe(routines.length);
+      });
     });
 
     describe('GET /routines', () => {
@@ -285,11 +1227,11 @@ describe('API Tests', () => {
         await request(app)
           .post('/routines')
           .set('Authorization', `Bearer ${adminToken}`)
-          .send({ section: 'A', day: 'Monday', time: '10:00', subject: 'Math', teacherId: teacher1Id });
+          .send({ section: 'A', day: 'Monday', startTime: '10:00', endTime: '10:45', subject: 'Math', teacherId: teacher1Id });
         await request(app)
           .post('/routines')
           .set('Authorization', `Bearer ${adminToken}`)
-          .send({ section: 'B', day: 'Tuesday', time: '11:00', subject: 'Science', teacherId: teacher2Id });
+          .send({ section: 'B', day: 'Tuesday', startTime: '11:00', endTime: '11:45', subject: 'Science', teacherId: teacher2Id });
 
         const res = await request(app)
           .get('/routines')
@@ -306,7 +1248,7 @@ describe('API Tests', () => {
         await request(app)
           .post('/routines')
           .set('Authorization', `Bearer ${adminToken}`)
-          .send({ section: 'A', day: 'Monday', time: '10:00', subject: 'Math', teacherId });
+          .send({ section: 'A', day: 'Monday', startTime: '10:00', endTime: '10:45', subject: 'Math', teacherId });
 
         const res = await request(app)
           .get('/routines')
@@ -325,11 +1267,11 @@ describe('API Tests', () => {
         await request(app)
           .post('/routines')
           .set('Authorization', `Bearer ${adminToken}`)
-          .send({ section: 'A', day: 'Monday', time: '10:00', subject: 'Math', teacherId });
+          .send({ section: 'A', day: 'Monday', startTime: '10:00', endTime: '10:45', subject: 'Math', teacherId });
         await request(app)
           .post('/routines')
           .set('Authorization', `Bearer ${adminToken}`)
-          .send({ section: 'B', day: 'Tuesday', time: '11:00', subject: 'Science', teacherId });
+          .send({ section: 'B', day: 'Tuesday', startTime: '11:00', endTime: '11:45', subject: 'Science', teacherId });
 
         const res = await request(app)
           .get('/routines')
@@ -339,6 +1281,352 @@ describe('API Tests', () => {
         expect(res.body[0].section).toBe('A');
       });
     });
+
+    describe('Slots and conflicts', () => {
+      const asAdmin = (req, token) => req.set('Authorization', `Bearer ${token}`);
+
+      it('should validate weekdays and times', async () => {
+        const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+        const teacherId = getUserIdFromToken(await signupUser('teacher@example.com', 'password123', 'Teacher'));
+        const post = body => asAdmin(request(app).post('/routines'), adminToken)
+          .send({ section: 'A', day: 'monday', startTime: '09:00', endTime: '09:45', subject: 'Math', teacherId, ...body });
+
+        expect((await post({ day: 'Funday' })).body.message)
+          .toBe('day must be one of: Monday, Tuesday, Wednesday, Thursday, Friday, Saturday, Sunday');
+        expect((await post({ startTime: '9am' })).body.message).toBe('startTime and endTime must be times in HH:MM format');
+        expect((await post({ endTime: '08:30' })).body.message).toBe('startTime must be before endTime');
+        expect((await post({ endTime: undefined })).body.message)
+          .toBe('section, day, startTime, endTime, subject and teacherId are required');
+        const created = await post({ room: ' Lab 1 ' });
+        expect(created.status).toBe(201);
+        expect(created.body).toMatchObject({ day: 'Monday', startTime: '09:00', endTime: '09:45', room: 'Lab 1' });
+      });
+
+      it('should reject overlapping entries for a teacher, a section or a room', async () => {
+        const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+        const teacherId = getUserIdFromToken(await signupUser('teacher@example.com', 'password123', 'Teacher'));
+        const otherId = getUserIdFromToken(await signupUser('other@example.com', 'password123', 'Teacher'));
+        const entry = { section: 'A', day: 'Monday', startTime: '09:00', endTime: '09:45', subject: 'Math', teacherId, room: 'Lab 1' };
+        const post = body => asAdmin(request(app).post('/routines'), adminToken).send({ ...entry, ...body });
+        const first = await post({});
+
+        const teacherClash = await post({ section: 'B', room: null, startTime: '09:30', endTime: '10:15' });
+        expect(teacherClash.status).toBe(409);
+        expect(teacherClash.body.message).toBe('The entry clashes with 1 routine entry');
+        expect(teacherClash.body.conflicts).toEqual([{ ...first.body, clashes: ['teacher'] }]);
+        expect((await post({ teacherId: otherId, room: null })).body.conflicts[0].clashes).toEqual(['section']);
+        expect((await post({ teacherId: otherId, section: 'B', room: 'lab 1' })).body.conflicts[0].clashes).toEqual(['room']);
+        expect((await post({ startTime: '09:45', endTime: '10:30' })).status).toBe(201);
+
+        const check = body => asAdmin(request(app).post('/routines/check'), adminToken).send({ ...entry, ...body });
+        expect((await check({})).status).toBe(409);
+        const moved = await check({ id: first.body.id, startTime: '08:00', endTime: '08:45' });
+        expect(moved.status).toBe(200);
+        expect(moved.body.message).toBe('The entry has no conflicts');
+        expect((await asAdmin(request(app).get('/routines'), adminToken)).body).toHaveLength(2);
+
+        const update = await asAdmin(request(app).put(`/routines/${first.body.id}`), adminToken).send({ ...entry, endTime: '10:00' });
+        expect(update.status).toBe(409);
+        expect(update.body.conflicts.map(c => c.startTime)).toEqual(['09:45']);
+      });
+    });
+  });
+
+  describe('Timetable generator', () => {
+    const asAdmin = (req, token) => req.set('Authorization', `Bearer ${token}`);
+    const periods = ['Monday', 'Tuesday'].flatMap(day => [
+      { day, startTime: '09:00', endTime: '09:45' },
+      { day, startTime: '10:00', endTime: '10:45' },
+    ]);
+
+    // A Math teacher and a Science teacher, with the subjects in their profiles
+    const setUpTeachers = async (adminToken) => {
+      const ids = [];
+      for (const [email, subjects] of [['math@example.com', ['Math']], ['science@example.com', ['sci']]]) {
+        const id = getUserIdFromToken(await signupUser(email, 'password123', 'Teacher'));
+        await asAdmin(request(app).patch(`/users/${id}`), adminToken).send({ subjects });
+        ids.push(id);
+      }
+      return ids;
+    };
+
+    it('should preview a conflict-free timetable and commit it in one step', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const [mathId, scienceId] = await setUpTeachers(adminToken);
+      const old = await asAdmin(request(app).post('/routines'), adminToken)
+        .send({ section: 'A', day: 'Friday', startTime: '09:00', endTime: '09:45', subject: 'Math', teacherId: mathId });
+
+      const draft = await asAdmin(request(app).post('/timetables'), adminToken).send({
+        periods,
+        sections: [
+          { section: 'A', subjects: [{ subject: 'Math', periodsPerWeek: 2 }, { subject: 'Science', periodsPerWeek: 2 }] },
+          { section: 'B', subjects: [{ subject: 'math', periodsPerWeek: 2 }] },
+        ],
+        rooms: [{ name: 'Lab', subjects: ['Science'] }, { name: 'Room 1' }],
+      });
+      expect(draft.status).toBe(201);
+      expect(draft.body.unsatisfied).toEqual([]);
+      const { entries } = draft.body;
+      expect(entries).toHaveLength(6);
+      expect(entries.filter(e => e.subject === 'Science').every(e => e.teacherId === scienceId && e.room === 'Lab')).toBe(true);
+      expect(new Set(entries.filter(e => e.section === 'A' && e.subject === 'Math').map(e => e.day)).size).toBe(2);
+      for (const [index, entry] of entries.entries()) {
+        const clash = entries.slice(index + 1).find(other => other.day === entry.day && other.startTime === entry.startTime &&
+          (other.section === entry.section || other.teacherId === entry.teacherId || other.room === entry.room));
+        expect(clash).toBeUndefined();
+      }
+      expect((await asAdmin(request(app).get('/routines'), adminToken)).body.map(r => r.id)).toEqual([old.body.id]);
+      expect((await asAdmin(request(app).get(`/timetables/${draft.body.id}`), adminToken)).body.entries).toEqual(entries);
+
+      const commit = () => asAdmin(request(app).post(`/timetables/${draft.body.id}/commit`), adminToken);
+      const clash = await asAdmin(request(app).post('/routines'), adminToken)
+        .send({ ...entries[0], section: 'C', room: undefined });
+      expect((await commit()).status).toBe(409);
+      await asAdmin(request(app).delete(`/routines/${clash.body.id}`), adminToken);
+
+      const substitutionsFile = path.join(DATA_DIR, 'substitutions.json');
+      await fs.writeFile(substitutionsFile, JSON.stringify([{ id: 1, leaveId: 1, routineId: old.body.id, date: '2025-04-11', teacherId: mathId, substituteId: scienceId }]));
+      const [first, second] = await Promise.all([commit(), commit()]);
+      expect([first.status, second.status].sort()).toEqual([200, 409]);
+      expect([first, second].find(r => r.status === 409).body.message).toBe('This draft has already been committed');
+      const routines = (await asAdmin(request(app).get('/routines'), adminToken)).body;
+      expect(routines.map(({ id, ...entry }) => entry)).toEqual(entries);
+      expect(routines.some(r => r.id === old.body.id)).toBe(false);
+      expect(JSON.parse(await fs.readFile(substitutionsFile, 'utf8'))).toEqual([]);
+    });
+
+    it('should report the constraints it cannot satisfy', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const teacherToken = await signupUser('teacher@example.com', 'password123', 'Teacher');
+      const [mathId] = await setUpTeachers(adminToken);
+      const generate = body => asAdmin(request(app).post('/timetables'), adminToken).send({ periods, ...body });
+
+      const noTeacher = await generate({ sections: [{ section: 'A', subjects: [{ subject: 'English', periodsPerWeek: 1 }] }] });
+      expect(noTeacher.body.unsatisfied).toEqual([
+        { section: 'A', subject: 'English', message: 'No active teacher has English in their profile\'s subjects' },
+      ]);
+      const commit = await asAdmin(request(app).post(`/timetables/${noTeacher.body.id}/commit`), adminToken);
+      expect(commit.status).toBe(409);
+      expect(commit.body.message).toBe('A draft with unsatisfied constraints cannot be committed');
+
+      // Section C keeps its routine, which takes the Math teacher's Monday 09:00 period
+      await asAdmin(request(app).post('/routines'), adminToken)
+        .send({ section: 'C', day: 'Monday', startTime: '09:00', endTime: '09:45', subject: 'Math', teacherId: mathId });
+      const busy = await generate({
+        sections: ['A', 'B'].map(section => ({ section, subjects: [{ subject: 'Math', periodsPerWeek: 2 }] })),
+        teachers: [{ teacherId: mathId, unavailable: [{ day: 'Tuesday', startTime: '10:00', endTime: '10:45' }] }],
+      });
+      expect(busy.body.unsatisfied).toEqual([
+        { section: 'B', subject: 'Math', message: 'Only 0 of 2 Math periods for section B fit without clashes' },
+      ]);
+
+      expect((await generate({ sections: [{ section: 'A', subjects: [{ subject: 'Math', periodsPerWeek: 5 }] }] })).body.message)
+        .toBe('periodsPerWeek must be a whole number between 1 and 4');
+      expect((await asAdmin(request(app).post('/timetables'), teacherToken).send({ periods })).status).toBe(403);
+    });
+  });
+
+  describe('Calendar feeds', () => {
+    const asUser = (req, token) => req.set('Authorization', `Bearer ${token}`);
+    const feedPath = url => new URL(url).pathname;
+    // Unfolds the continuation lines so that each property is on one line
+    const readFeed = async url => (await request(app).get(feedPath(url))).text.replace(/\r\n /g, '').split('\r\n');
+
+    it('should serve each user\'s lessons as weekly events within the terms, skipping holidays', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const teacherToken = await signupUser('teacher@example.com', 'password123', 'Teacher');
+      const studentToken = await signupUser('student@example.com', 'password123', 'Student', 'A');
+      const otherToken = await signupUser('other@example.com', 'password123', 'Student', 'B');
+      const year = await asUser(request(app).post('/academics/years'), adminToken)
+        .send({ name: '2025-2026', startDate: '2025-04-01', endDate: '2026-03-31' });
+      const term = await asUser(request(app).post('/academics/terms'), adminToken)
+        .send({ yearId: year.body.id, name: 'Term 1', startDate: '2025-04-01', endDate: '2025-06-30' });
+      await asUser(request(app).post('/academics/exams'), adminToken)
+        .send({ termId: term.body.id, name: 'Midterm', type: 'midterm', maxMarks: 50, weight: 40, date: '2025-06-20' });
+      const holiday = await asUser(request(app).post('/academics/holidays'), adminToken)
+        .send({ name: 'Spring break', startDate: '2025-04-14', endDate: '2025-04-15' });
+      expect(holiday.status).toBe(201);
+      expect((await asUser(request(app).post('/academics/holidays'), studentToken).send({ name: 'x' })).status).toBe(403);
+      const routine = await asUser(request(app).post('/routines'), adminToken).send({
+        section: 'A', day: 'Monday', startTime: '09:00', endTime: '09:45', subject: 'Math',
+        teacherId: getUserIdFromToken(teacherToken), room: 'Room 1',
+      });
+      await asUser(request(app).post('/subjects'), adminToken).send({ code: 'ART', name: 'Art', sections: ['B'] });
+      await asUser(request(app).post('/academics/exams'), adminToken)
+        .send({ termId: term.body.id, name: 'Art show', type: 'final', maxMarks: 50, weight: 60, subjects: ['Art'], date: '2025-06-25' });
+
+      const issued = await asUser(request(app).post('/feeds/token'), studentToken);
+      expect(issued.status).toBe(201);
+      expect(issued.body.url).toMatch(/\/feeds\/[0-9a-f]{48}\.ics$/);
+      const res = await request(app).get(feedPath(issued.body.url));
+      expect(res.headers['content-type']).toMatch(/^text\/calendar/);
+      const lines = await readFeed(issued.body.url);
+      expect(lines[0]).toBe('BEGIN:VCALENDAR');
+      expect(lines).not.toContain('SUMMARY:Art show (Term 1)');
+      expect(lines).toEqual(expect.arrayContaining([
+        'SUMMARY:Math (A)',
+        'DTSTART:20250407T090000',
+        'DTEND:20250407T094500',
+        'RRULE:FREQ=WEEKLY;UNTIL=20250630T235959',
+        'EXDATE:20250414T090000',
+        'LOCATION:Room 1',
+        'SUMMARY:Spring break',
+        'DTSTART;VALUE=DATE:20250414',
+        'DTEND;VALUE=DATE:20250416',
+        'SUMMARY:Midterm (Term 1)',
+      ]));
+
+      // A lesson given to a substitute moves from the teacher's feed to the substitute's
+      const substituteToken = await signupUser('substitute@example.com', 'password123', 'Teacher');
+      await fs.writeFile(path.join(DATA_DIR, 'substitutions.json'), JSON.stringify([{
+        id: 1, leaveId: 1, routineId: routine.body.id, date: '2025-04-21',
+        teacherId: getUserIdFromToken(teacherToken), substituteId: getUserIdFromToken(substituteToken),
+      }]));
+      const teacherFeed = await readFeed((await asUser(request(app).post('/feeds/token'), teacherToken)).body.url);
+      expect(teacherFeed).toEqual(expect.arrayContaining(['SUMMARY:Math (A)', 'EXDATE:20250421T090000']));
+      expect((await readFeed(issued.body.url))).not.toContain('EXDATE:20250421T090000');
+      const substituteFeed = await readFeed((await asUser(request(app).post('/feeds/token'), substituteToken)).body.url);
+      expect(substituteFeed).toEqual(expect.arrayContaining([
+        'SUMMARY:Math (A)', 'DESCRIPTION:Covering for teacher@example.com', 'DTSTART:20250421T090000',
+      ]));
+      expect(substituteFeed).not.toContain('RRULE:FREQ=WEEKLY;UNTIL=20250630T235959');
+      const otherFeed = await readFeed((await asUser(request(app).post('/feeds/token'), otherToken)).body.url);
+      expect(otherFeed).not.toContain('SUMMARY:Math (A)');
+      expect(otherFeed).toEqual(expect.arrayContaining(['SUMMARY:Spring break', 'SUMMARY:Art show (Term 1)']));
+    });
+
+    it('should stop serving a feed once its URL is replaced or revoked', async () => {
+      const studentToken = await signupUser('student@example.com', 'password123', 'Student', 'A');
+      const first = await asUser(request(app).post('/feeds/token'), studentToken);
+      const second = await asUser(request(app).post('/feeds/token'), studentToken);
+      expect((await request(app).get(feedPath(first.body.url))).status).toBe(404);
+      expect((await request(app).get(feedPath(second.body.url))).status).toBe(200);
+
+      expect((await asUser(request(app).delete('/feeds/token'), studentToken)).status).toBe(200);
+      const revoked = await request(app).get(feedPath(second.body.url));
+      expect(revoked.status).toBe(404);
+      expect(revoked.body.message).toBe('Calendar feed not found');
+      expect((await request(app).post('/feeds/token')).status).toBe(401);
+    });
+  });
+
+  describe('Leave and substitutions', () => {
+    const asUser = (req, token) => req.set('Authorization', `Bearer ${token}`);
+
+    // An absent Math teacher with a Monday lesson in section A, a free Math teacher, a Math teacher busy at that
+    // time and a Science teacher
+    const setUp = async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const tokens = {};
+      for (const [name, subjects] of [['absent', ['Math']], ['free', ['math']], ['busy', ['Math']], ['science', ['Science']]]) {
+        tokens[name] = await signupUser(`${name}@example.com`, 'password123', 'Teacher');
+        await asUser(request(app).patch(`/users/${getUserIdFromToken(tokens[name])}`), adminToken).send({ subjects });
+      }
+      const lesson = { day: 'Monday', startTime: '09:00', endTime: '09:45', subject: 'Math' };
+      const routine = await asUser(request(app).post('/routines'), adminToken)
+        .send({ ...lesson, section: 'A', teacherId: getUserIdFromToken(tokens.absent) });
+      await asUser(request(app).post('/routines'), adminToken)
+        .send({ ...lesson, section: 'B', teacherId: getUserIdFromToken(tokens.busy) });
+      return { adminToken, tokens, routineId: routine.body.id };
+    };
+
+    it('should approve leave, suggest free qualified substitutes and show the substitute for that date', async () => {
+      const { adminToken, tokens, routineId } = await setUp();
+      const studentToken = await signupUser('student@example.com', 'password123', 'Student', 'A');
+      const freeId = getUserIdFromToken(tokens.free);
+
+      const requested = await asUser(request(app).post('/leave'), tokens.absent)
+        .send({ startDate: '2025-04-07', endDate: '2025-04-08', reason: 'Medical appointment' });
+      expect(requested.status).toBe(201);
+      expect(requested.body.status).toBe('pending');
+      expect((await asUser(request(app).post('/leave'), tokens.absent)
+        .send({ startDate: '2025-04-08', endDate: '2025-04-09', reason: 'Again' })).status).toBe(409);
+      expect((await asUser(request(app).post('/leave'), studentToken)
+        .send({ startDate: '2025-04-07', endDate: '2025-04-07', reason: 'x' })).status).toBe(403);
+      expect((await asUser(request(app).post(`/leave/${requested.body.id}/approve`), tokens.absent)).status).toBe(403);
+
+      const approved = await asUser(request(app).post(`/leave/${requested.body.id}/approve`), adminToken).send({ note: 'Get well' });
+      expect(approved.status).toBe(200);
+      expect(approved.body.status).toBe('approved');
+      expect(approved.body.slots).toHaveLength(1);
+      expect(approved.body.slots[0]).toMatchObject({ date: '2025-04-07', routine: { id: routineId }, substitution: null });
+      expect(approved.body.slots[0].suggestions.map(s => s.teacherId)).toEqual([freeId]);
+      expect((await asUser(request(app).post(`/leave/${requested.body.id}/reject`), adminToken)).status).toBe(409);
+
+      const substitute = body => asUser(request(app).post(`/leave/${requested.body.id}/substitutions`), adminToken)
+        .send({ routineId, date: '2025-04-07', ...body });
+      const busy = await substitute({ substituteId: getUserIdFromToken(tokens.busy) });
+      expect(busy.status).toBe(409);
+      expect(busy.body.message).toBe('busy@example.com is teaching another lesson at that time');
+      const unqualified = await substitute({ substituteId: getUserIdFromToken(tokens.science) });
+      expect(unqualified.status).toBe(400);
+      expect(unqualified.body.message).toBe('science@example.com does not teach Math');
+      expect((await substitute({ substituteId: freeId, date: '2025-04-14' })).body.message)
+        .toBe('That lesson is not affected by this leave');
+      const created = await substitute({ substituteId: freeId });
+      expect(created.status).toBe(201);
+      expect(created.body).toMatchObject({ leaveId: requested.body.id, teacherId: getUserIdFromToken(tokens.absent), substituteId: freeId });
+
+      const dated = await asUser(request(app).get('/routines?date=2025-04-07'), studentToken);
+      expect(dated.body).toEqual([expect.objectContaining({
+        id: routineId,
+        date: '2025-04-07',
+        substitute: { substitutionId: created.body.id, teacherId: freeId, name: 'free@example.com' },
+      })]);
+      expect((await asUser(request(app).get('/routines?date=2025-04-07'), tokens.free)).body.map(r => r.id)).toEqual([routineId]);
+      expect((await asUser(request(app).get('/routines?date=2025-04-14'), studentToken)).body[0].substitute).toBeNull();
+      expect((await asUser(request(app).get('/routines?date=2025-04-08'), studentToken)).body).toEqual([]);
+      expect((await asUser(request(app).get('/routines'), tokens.free)).body).toEqual([]);
+      expect((await asUser(request(app).get('/routines?date=monday'), studentToken)).status).toBe(400);
+
+      const notifications = (await asUser(request(app).get('/notifications'), tokens.free)).body;
+      expect(notifications.map(n => n.type)).toEqual(['substitution']);
+      const own = await asUser(request(app).get(`/leave/${requested.body.id}`), tokens.absent);
+      expect(own.body.slots[0].substitution.substituteId).toBe(freeId);
+      expect(own.body.slots[0].suggestions).toBeUndefined();
+      expect((await asUser(request(app).get(`/leave/${requested.body.id}`), tokens.busy)).status).toBe(403);
+    });
+
+    it('should skip holidays and drop substitutions when leave is cancelled', async () => {
+      const { adminToken, tokens, routineId } = await setUp();
+      await asUser(request(app).post('/academics/holidays'), adminToken)
+        .send({ name: 'Spring break', startDate: '2025-04-14', endDate: '2025-04-14' });
+      const leave = await asUser(request(app).post('/leave'), tokens.absent)
+        .send({ startDate: '2025-04-07', endDate: '2025-04-20', reason: 'Family' });
+      const approved = await asUser(request(app).post(`/leave/${leave.body.id}/approve`), adminToken);
+      expect(approved.body.slots.map(s => s.date)).toEqual(['2025-04-07']);
+
+      await asUser(request(app).post(`/leave/${leave.body.id}/substitutions`), adminToken)
+        .send({ routineId, date: '2025-04-07', substituteId: getUserIdFromToken(tokens.free) });
+      expect((await asUser(request(app).post(`/leave/${leave.body.id}/cancel`), tokens.absent)).status).toBe(409);
+      const cancelled = await asUser(request(app).post(`/leave/${leave.body.id}/cancel`), adminToken);
+      expect(cancelled.body.status).toBe('cancelled');
+      const dated = await asUser(request(app).get('/routines?date=2025-04-07'), adminToken);
+      expect(dated.body.find(r => r.id === routineId).substitute).toBeNull();
+      expect((await asUser(request(app).get('/leave?status=cancelled'), adminToken)).body.map(l => l.id)).toEqual([leave.body.id]);
+      expect((await asUser(request(app).get('/leave'), tokens.free)).body).toEqual([]);
+    });
+
+    it('should refuse overlong leave and not give one substitute two lessons at once', async () => {
+      const { adminToken, tokens, routineId } = await setUp();
+      const tooLong = await asUser(request(app).post('/leave'), tokens.absent)
+        .send({ startDate: '2025-04-07', endDate: '9999-12-31', reason: 'Sabbatical' });
+      expect(tooLong.status).toBe(400);
+      expect(tooLong.body.message).toBe('A leave request can cover at most 90 days');
+
+      const leaves = [];
+      for (const token of [tokens.absent, tokens.busy]) {
+        const leave = await asUser(request(app).post('/leave'), token)
+          .send({ startDate: '2025-04-07', endDate: '2025-04-07', reason: 'Training' });
+        leaves.push((await asUser(request(app).post(`/leave/${leave.body.id}/approve`), adminToken)).body);
+      }
+      const busyRoutineId = leaves[1].slots[0].routine.id;
+      const results = await Promise.all([[leaves[0], routineId], [leaves[1], busyRoutineId]].map(([leave, id]) =>
+        asUser(request(app).post(`/leave/${leave.id}/substitutions`), adminToken)
+          .send({ routineId: id, date: '2025-04-07', substituteId: getUserIdFromToken(tokens.free) })));
+      expect(results.map(r => r.status).sort()).toEqual([201, 409]);
+      expect(results.find(r => r.status === 409).body.message).toBe('free@example.com is teaching another lesson at that time');
+    });
   });
 
   describe('Documents API', () => {
@@ -367,7 +1655,7 @@ describe('API Tests', () => {
           .attach('file', fileBuffer, 'testfile.pdf')
           .field('description', 'Test document');
         expect(res.status).toBe(403);
-        expect(res.body.message).toBe('Only Teachers can upload documents');
+        expect(res.body.message).toBe('You do not have permission to upload documents');
       });
 
       it('should not allow Student to upload a document', async () => {
@@ -380,7 +1668,7 @@ describe('API Tests', () => {
           .attach('file', fileBuffer, 'testfile.pdf')
           .field('description', 'Test document');
         expect(res.status).toBe(403);
-        expect(res.body.message).toBe('Only Teachers can upload documents');
+        expect(res.body.message).toBe('You do not have permission to upload documents');
       });
     });
 
@@ -446,7 +1734,7 @@ describe('API Tests', () => {
           .attach('file', fileBuffer, 'testpolicy.pdf')
           .field('description', 'Test policy');
         expect(res.status).toBe(403);
-        expect(res.body.message).toBe('Only Admins can upload policies');
+        expect(res.body.message).toBe('You do not have permission to upload policies');
       });
 
       it('should not allow Student to upload a policy', async () => {
@@ -459,7 +1747,7 @@ describe('API Tests', () => {
           .attach('file', fileBuffer, 'testpolicy.pdf')
           .field('description', 'Test policy');
         expect(res.status).toBe(403);
-        expect(res.body.message).toBe('Only Admins can upload policies');
+        expect(res.body.message).toBe('You do not have permission to upload policies');
       });
 
       it('should return 400 if no file is uploaded', async () => {
@@ -539,6 +1827,11 @@ describe('API Tests', () => {
           subject: 'Math',
           marks: 85,
           grade: 'B',
+          gradePoints: 3,
+          gradingSchemeId: 1,
+          gradingSchemeVersion: 1,
+          status: 'draft',
+          history: [],
           updatedBy: expect.any(Number),
           updatedAt: expect.any(String),
         });
@@ -548,6 +1841,7 @@ describe('API Tests', () => {
         const teacherToken = await signupUser('teacher@example.com', 'password123', 'Teacher');
         const studentToken = await signupUser('student@example.com', 'password123', 'Student', 'A');
         const studentId = getUserIdFromToken(studentToken);
+        await assignTeacher(teacherToken, 'A', 'Science');
 
         const res = await request(app)
           .post('/marks')
@@ -559,6 +1853,11 @@ describe('API Tests', () => {
           subject: 'Science',
           marks: 92,
           grade: 'A',
+          gradePoints: 4,
+          gradingSchemeId: 1,
+          gradingSchemeVersion: 1,
+          status: 'draft',
+          history: [],
           updatedBy: expect.any(Number),
           updatedAt: expect.any(String),
         });
@@ -573,7 +1872,7 @@ describe('API Tests', () => {
           .set('Authorization', `Bearer ${studentToken}`)
           .send({ userId: studentId, subject: 'Math', marks: 85 });
         expect(res.status).toBe(403);
-        expect(res.body.message).toBe('Only Admins or Teachers can update marks');
+        expect(res.body.message).toBe('You do not have permission to update marks');
       });
 
       it('should return 400 if userId, subject, or marks is missing', async () => {
@@ -613,6 +1912,165 @@ describe('API Tests', () => {
       });
     });
 
+    describe('GET /marks/export and GET /attendance/export', () => {
+      const download = (url, token) => request(app).get(url).set('Authorization', `Bearer ${token}`).responseType('blob');
+
+      const seedMarks = async () => {
+        const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+        const teacherToken = await signupUser('teacher@example.com', 'password123', 'Teacher');
+        const inA = getUserIdFromToken(await signupUser('a@example.com', 'password123', 'Student', 'A'));
+        const inB = getUserIdFromToken(await signupUser('b@example.com', 'password123', 'Student', 'B'));
+        await assignTeacher(teacherToken, 'A', 'Math');
+        for (const [userId, subject] of [[inA, 'Math'], [inA, 'English'], [inB, 'Math']]) {
+          await request(app).post('/marks').set('Authorization', `Bearer ${adminToken}`).send({ userId, subject, marks: 81 });
+          await request(app).post('/attendance').set('Authorization', `Bearer ${adminToken}`)
+            .send({ userId, date: '2025-03-03', status: 'present' });
+        }
+        return { adminToken, teacherToken };
+      };
+
+      it('should export a styled workbook with one sheet per section', async () => {
+        const { adminToken } = await seedMarks();
+        const res = await download('/marks/export', adminToken);
+        expect(res.status).toBe(200);
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(res.body);
+        expect(workbook.worksheets.map(w => w.name)).toEqual(['Section A', 'Section B']);
+        const sheet = workbook.getWorksheet('Section A');
+        expect(sheet.getRow(1).font.bold).toBe(true);
+        expect(sheet.rowCount).toBe(3);
+      });
+
+      it('should filter CSV exports and produce printable PDFs', async () => {
+        const { adminToken } = await seedMarks();
+        const csv = await request(app).get('/marks/export?format=csv&subject=Math&section=B').set('Authorization', `Bearer ${adminToken}`);
+        expect(csv.headers['content-type']).toMatch(/text\/csv/);
+        const lines = csv.text.trim().split('\r\n');
+        expect(lines[0]).toBe('User ID,Name,Section,Roll No.,Subject,Exam ID,Exam,Marks,Grade,Status,Updated By,Updated');
+        expect(lines.slice(1).map(line => line.split(',').slice(1, 3))).toEqual([['b@example.com', 'B']]);
+
+        const pdf = await download('/attendance/export?format=pdf&from=2025-03-01', adminToken);
+        expect(pdf.headers['content-type']).toBe('application/pdf');
+        expect(pdf.body.subarray(0, 5).toString()).toBe('%PDF-');
+        const bad = await request(app).get('/attendance/export?format=docx').set('Authorization', `Bearer ${adminToken}`);
+        expect(bad.status).toBe(400);
+        const repeated = await request(app).get('/marks/export?format=csv&format=pdf').set('Authorization', `Bearer ${adminToken}`);
+        expect(repeated.status).toBe(400);
+      });
+
+      it('should limit a Teacher\'s exports to their own classes', async () => {
+        const { teacherToken } = await seedMarks();
+        const marks = await request(app).get('/marks/export?format=csv').set('Authorization', `Bearer ${teacherToken}`);
+        expect(marks.text.trim().split('\r\n').slice(1).map(line => line.split(',').slice(1, 5))).toEqual([['a@example.com', 'A', '', 'Math']]);
+        const attendance = await request(app).get('/attendance/export?format=csv').set('Authorization', `Bearer ${teacherToken}`);
+        expect(attendance.text.trim().split('\r\n').slice(1).map(line => line.split(',')[3])).toEqual(['A']);
+      });
+    });
+
+    describe('Spreadsheet imports', () => {
+      const download = (url, token) => request(app).get(url).set('Authorization', `Bearer ${token}`).responseType('blob');
+      const upload = (url, token, buffer) =>
+        request(app).post(url).set('Authorization', `Bearer ${token}`).attach('file', Buffer.from(buffer), 'sheet.xlsx');
+
+      const sheetBuffer = async (headers, rows) => {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet('Sheet1');
+        sheet.addRow(headers);
+        rows.forEach(row => sheet.addRow(row));
+        return workbook.xlsx.writeBuffer();
+      };
+
+      it('should fill in an attendance template and import the valid rows', async () => {
+        const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+        const first = getUserIdFromToken(await signupUser('a@example.com', 'password123', 'Student', 'A'));
+        const second = getUserIdFromToken(await signupUser('b@example.com', 'password123', 'Student', 'A'));
+        await signupUser('c@example.com', 'password123', 'Student', 'B');
+
+        const template = await download('/attendance/import/template?section=A&date=2025-03-03', adminToken);
+        expect(template.status).toBe(200);
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(template.body);
+        const sheet = workbook.worksheets[0];
+        expect(sheet.getRow(1).values.slice(1)).toEqual(['User ID', 'Name', 'User Type', 'Section', 'Date', 'Period', 'Status', 'Remarks']);
+        expect(sheet.rowCount).toBe(3);
+        expect(sheet.getRow(2).values.slice(1, 7)).toEqual([first, 'a@example.com', 'Student', 'A', '2025-03-03', 'Day']);
+
+        sheet.getCell('G2').value = 'Present';
+        sheet.getCell('G3').value = 'asleep';
+        sheet.addRow([999, '', '', '', '2025-03-03', 'Day', 'absent']);
+        sheet.addRow([second, '', '', '', '2999-01-01', 2, 'absent']);
+        sheet.addRow([second, '', '', '', '2025-03-03', 2, 'late', 'Bus']);
+        const res = await upload('/attendance/import', adminToken, await workbook.xlsx.writeBuffer());
+        expect(res.status).toBe(201);
+        expect(res.body.summary).toEqual({ total: 5, applied: 2, rejected: 3 });
+        expect(res.body.rejected.map(r => [r.row, r.error])).toEqual([
+          [3, 'status must be one of: present, absent, late, excused, half-day'],
+          [4, 'User 999 is not a Teacher or Student'],
+          [5, 'Attendance cannot be recorded for a future date'],
+        ]);
+
+        const records = await request(app).get(`/attendance/${second}`).set('Authorization', `Bearer ${adminToken}`);
+        expect(records.body.map(r => [r.date, r.period, r.status, r.remarks])).toEqual([['2025-03-03', 2, 'late', 'Bus']]);
+      });
+
+      it('should reject marks out of range and write nothing on a dry run', async () => {
+        const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+        const studentId = getUserIdFromToken(await signupUser('a@example.com', 'password123', 'Student', 'A'));
+        const buffer = await sheetBuffer(['User ID', 'Name', 'Subject', 'Marks', 'Grade'], [
+          [studentId, 'a', 'math', 91, 'A'],
+          [studentId, 'a', 'Science', 130, ''],
+          [studentId, 'a', 'English', 'abs', ''],
+          [studentId, 'a', 'History', 50, ''],
+          [studentId, 'a', 'Math', 40, ''],
+        ]);
+
+        const dryRun = await upload('/marks/import?dryRun=true', adminToken, buffer);
+        expect(dryRun.status).toBe(200);
+        expect(dryRun.body.summary).toEqual({ total: 5, valid: 1, rejected: 4 });
+        expect(dryRun.body.rejected.map(r => r.error)).toEqual([
+          'Marks must be a number between 0 and 100',
+          'Marks must be a number between 0 and 100',
+          'Subject must be one of: Math, Science, English',
+          'The student already has a row for this subject',
+        ]);
+        expect(JSON.parse(await fs.readFile(MARKS_FILE, 'utf8'))).toEqual([]);
+
+        const res = await upload('/marks/import', adminToken, buffer);
+        expect(res.status).toBe(201);
+        const marks = await request(app).get(`/marks/${studentId}`).set('Authorization', `Bearer ${adminToken}`);
+        expect(marks.body.withoutExam.map(m => [m.subject, m.marks, m.grade])).toEqual([['Math', 91, 'A']]);
+
+        const missing = await upload('/marks/import', adminToken, await sheetBuffer(['User ID', 'Marks'], [[studentId, 50]]));
+        expect(missing.status).toBe(400);
+        expect(missing.body.message).toBe('Could not read sheet: Sheet "Sheet1" is missing the subject column');
+      });
+
+      it('should keep a Teacher\'s imports and templates to the classes they teach', async () => {
+        const teacherToken = await signupUser('teacher@example.com', 'password123', 'Teacher');
+        const inA = getUserIdFromToken(await signupUser('a@example.com', 'password123', 'Student', 'A'));
+        const inB = getUserIdFromToken(await signupUser('b@example.com', 'password123', 'Student', 'B'));
+        await assignTeacher(teacherToken, 'A', 'Math');
+
+        const marks = await upload('/marks/import', teacherToken, await sheetBuffer(['User ID', 'Subject', 'Marks'], [
+          [inA, 'Math', 70], [inA, 'English', 70], [inB, 'Math', 70],
+        ]));
+        expect(marks.body.rejected.map(r => r.error)).toEqual(['You do not teach English in section A', 'You do not teach Math in section B']);
+        const attendance = await upload('/attendance/import', teacherToken, await sheetBuffer(['User ID', 'Date', 'Status'], [
+          [inA, '2025-03-03', 'present'], [inB, '2025-03-03', 'present'],
+        ]));
+        expect(attendance.body.summary).toEqual({ total: 2, applied: 1, rejected: 1 });
+
+        const template = await download('/marks/import/template?section=A', teacherToken);
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(template.body);
+        expect(workbook.worksheets[0].getColumn(5).values.slice(1)).toEqual(['Subject', 'Math']);
+        expect((await download('/marks/import/template?section=B', teacherToken)).status).toBe(403);
+        expect((await download('/attendance/import/template?section=B', teacherToken)).status).toBe(403);
+        const student = await signupUser('s@example.com', 'password123', 'Student', 'A');
+        expect((await download('/attendance/import/template?section=A', student)).status).toBe(403);
+      });
+    });
+
     describe('GET /marks/:userId', () => {
       it('should allow Admin to view any student’s marks', async () => {
         const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
@@ -628,21 +2086,27 @@ describe('API Tests', () => {
           .get(`/marks/${studentId}`)
           .set('Authorization', `Bearer ${adminToken}`);
         expect(res.status).toBe(200);
-        expect(res.body.length).toBe(1);
-        expect(res.body[0]).toEqual({
+        expect(res.body.withoutExam.length).toBe(1);
+        expect(res.body.withoutExam[0]).toEqual({
           userId: studentId,
           subject: 'Math',
           marks: 85,
           grade: 'B',
+          gradePoints: 3,
+          gradingSchemeId: 1,
+          gradingSchemeVersion: 1,
+          status: 'draft',
+          history: [],
           updatedBy: expect.any(Number),
           updatedAt: expect.any(String),
         });
       });
 
-      it('should allow Teacher to view any student’s marks', async () => {
+      it('should allow Teacher to view marks of a student they teach', async () => {
         const teacherToken = await signupUser('teacher@example.com', 'password123', 'Teacher');
         const studentToken = await signupUser('student@example.com', 'password123', 'Student', 'A');
         const studentId = getUserIdFromToken(studentToken);
+        await assignTeacher(teacherToken, 'A', 'Science');
 
         await request(app)
           .post('/marks')
@@ -653,12 +2117,17 @@ describe('API Tests', () => {
           .get(`/marks/${studentId}`)
           .set('Authorization', `Bearer ${teacherToken}`);
         expect(res.status).toBe(200);
-        expect(res.body.length).toBe(1);
-        expect(res.body[0]).toEqual({
+        expect(res.body.withoutExam.length).toBe(1);
+        expect(res.body.withoutExam[0]).toEqual({
           userId: studentId,
           subject: 'Science',
           marks: 92,
           grade: 'A',
+          gradePoints: 4,
+          gradingSchemeId: 1,
+          gradingSchemeVersion: 1,
+          status: 'draft',
+          history: [],
           updatedBy: expect.any(Number),
           updatedAt: expect.any(String),
         });
@@ -673,13 +2142,14 @@ describe('API Tests', () => {
           .post('/marks')
           .set('Authorization', `Bearer ${adminToken}`)
           .send({ userId: studentId, subject: 'Math', marks: 85 });
+        await publishMarks();
 
         const res = await request(app)
           .get(`/marks/${studentId}`)
           .set('Authorization', `Bearer ${studentToken}`);
         expect(res.status).toBe(200);
-        expect(res.body.length).toBe(1);
-        expect(res.body[0].subject).toBe('Math');
+        expect(res.body.withoutExam.length).toBe(1);
+        expect(res.body.withoutExam[0].subject).toBe('Math');
       });
 
       it('should not allow Student to view another student’s marks', async () => {
@@ -700,5 +2170,650 @@ describe('API Tests', () => {
         expect(res.body.message).toBe('Unauthorized to view these marks');
       });
     });
+
+    describe('Publication workflow', () => {
+      const asUser = (req, token) => req.set('Authorization', `Bearer ${token}`);
+
+      it('should only show students their marks once they are approved and published', async () => {
+        const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+        const teacherToken = await signupUser('teacher@example.com', 'password123', 'Teacher');
+        const studentToken = await signupUser('student@example.com', 'password123', 'Student', 'A');
+        const studentId = getUserIdFromToken(studentToken);
+        await assignTeacher(teacherToken, 'A', 'Math');
+        const postMarks = (token, body) => asUser(request(app).post('/marks'), token).send({ userId: studentId, subject: 'Math', ...body });
+        const visible = async () => (await asUser(request(app).get(`/marks/${studentId}`), studentToken)).body.withoutExam.map(m => m.marks);
+        const step = (token, action, body = {}) => asUser(request(app).post(`/marks/${action}`), token).send({ subject: 'Math', ...body });
+
+        expect((await postMarks(teacherToken, { marks: 58 })).body.status).toBe('draft');
+        await postMarks(teacherToken, { marks: 85 });
+        expect(await visible()).toEqual([]);
+
+        expect((await step(teacherToken, 'submit')).body).toEqual({ status: 'submitted', updated: 1 });
+        const locked = await postMarks(teacherToken, { marks: 86 });
+        expect(locked.status).toBe(409);
+        expect(locked.body.message).toBe('These marks are submitted and must be returned to draft before they can change');
+        expect((await step(teacherToken, 'approve')).status).toBe(403);
+        await step(adminToken, 'return', { reason: 'Check the total' });
+        await postMarks(teacherToken, { marks: 86 });
+        await step(teacherToken, 'submit');
+        await step(adminToken, 'approve');
+        expect(await visible()).toEqual([]);
+        expect((await step(adminToken, 'publish')).body).toEqual({ status: 'published', updated: 1 });
+        expect(await visible()).toEqual([86]);
+
+        const teacherView = await asUser(request(app).get(`/marks/${studentId}`), teacherToken);
+        expect(teacherView.body.withoutExam[0].history.map(h => [h.action, h.reason])).toEqual([
+          ['submit', undefined], ['return', 'Check the total'], ['submit', undefined], ['approve', undefined], ['publish', undefined],
+        ]);
+      });
+
+      it('should need a reason to change published marks', async () => {
+        const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+        const studentToken = await signupUser('student@example.com', 'password123', 'Student', 'A');
+        const studentId = getUserIdFromToken(studentToken);
+        const postMarks = body => asUser(request(app).post('/marks'), adminToken).send({ userId: studentId, subject: 'Math', ...body });
+        await postMarks({ marks: 70 });
+        await publishMarks();
+
+        const withoutReason = await postMarks({ marks: 75 });
+        expect(withoutReason.status).toBe(400);
+        expect(withoutReason.body.message).toBe('A reason is required to change published marks');
+        const amended = await postMarks({ marks: 75, reason: 'Re-marked question 4' });
+        expect(amended.body).toMatchObject({ marks: 75, status: 'published' });
+        expect(amended.body.history[amended.body.history.length - 1])
+          .toMatchObject({ action: 'amend', reason: 'Re-marked question 4', previousMarks: 70 });
+
+        const csv = await asUser(request(app).get('/marks/export?format=csv&status=draft'), adminToken);
+        expect(csv.text.trim().split('\r\n')).toHaveLength(1);
+        expect((await asUser(request(app).get('/marks/export?status=final'), adminToken)).body.message)
+          .toBe('status must be one of: draft, submitted, approved, published');
+      });
+    });
+  });
+
+  describe('Subjects API', () => {
+    const asUser = (req, token) => req.set('Authorization', `Bearer ${token}`);
+
+    it('should start with the original subjects and let only Admins change the catalogue', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const studentToken = await signupUser('student@example.com', 'password123', 'Student', 'A');
+
+      const list = await asUser(request(app).get('/subjects'), studentToken);
+      expect(list.status).toBe(200);
+      expect(list.body.map(s => [s.code, s.name, s.maxMarks, s.passMark])).toEqual([
+        ['MATH', 'Math', 100, 40], ['SCI', 'Science', 100, 40], ['ENG', 'English', 100, 40],
+      ]);
+      const denied = await asUser(request(app).post('/subjects'), studentToken).send({ code: 'HIS', name: 'History' });
+      expect(denied.status).toBe(403);
+
+      const created = await asUser(request(app).post('/subjects'), adminToken)
+        .send({ code: 'his', name: 'History', sections: ['B'], maxMarks: 50 });
+      expect(created.status).toBe(201);
+      expect(created.body).toMatchObject({ code: 'HIS', name: 'History', sections: ['B'], maxMarks: 50, passMark: 20 });
+      const duplicate = await asUser(request(app).post('/subjects'), adminToken).send({ code: 'HIST', name: 'history' });
+      expect(duplicate.status).toBe(400);
+      expect(duplicate.body.message).toBe('Subject history already exists');
+      const inA = await asUser(request(app).get('/subjects?section=A'), studentToken);
+      expect(inA.body.map(s => s.name)).toEqual(['Math', 'Science', 'English']);
+    });
+
+    it('should validate marks and routines against the catalogue', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const teacherId = getUserIdFromToken(await signupUser('teacher@example.com', 'password123', 'Teacher'));
+      const inA = getUserIdFromToken(await signupUser('a@example.com', 'password123', 'Student', 'A'));
+      const inB = getUserIdFromToken(await signupUser('b@example.com', 'password123', 'Student', 'B'));
+      await asUser(request(app).post('/subjects'), adminToken).send({ code: 'HIS', name: 'History', sections: ['B'], maxMarks: 50 });
+      const postMarks = (userId, subject, marks) => asUser(request(app).post('/marks'), adminToken).send({ userId, subject, marks });
+
+      const history = await postMarks(inB, 'his', 45);
+      expect(history.status).toBe(201);
+      expect(history.body).toMatchObject({ subject: 'History', marks: 45, grade: 'A' });
+      expect((await postMarks(inB, 'History', 60)).body.message).toBe('Marks must be a number between 0 and 50');
+      expect((await postMarks(inA, 'History', 30)).body.message).toBe('History is not taught in section A');
+      expect((await postMarks(inA, 'Art', 30)).body.message).toBe('Subject must be one of: Math, Science, English, History');
+
+      const routine = (section, subject) => asUser(request(app).post('/routines'), adminToken)
+        .send({ section, day: 'Monday', startTime: '09:00', endTime: '09:45', subject, teacherId });
+      expect((await routine('B', 'history')).body.subject).toBe('History');
+      const freeText = await routine('A', 'Physics');
+      expect(freeText.status).toBe(400);
+      expect(freeText.body.message).toBe('Subject must be one of: Math, Science, English, History');
+      expect((await routine('A', 'History')).body.message).toBe('History is not taught in section A');
+    });
+
+    it('should carry a rename over to marks and routines and refuse to delete a subject in use', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const teacherToken = await signupUser('teacher@example.com', 'password123', 'Teacher');
+      const studentId = getUserIdFromToken(await signupUser('a@example.com', 'password123', 'Student', 'A'));
+      await assignTeacher(teacherToken, 'A', 'Math');
+      await asUser(request(app).post('/marks'), adminToken).send({ userId: studentId, subject: 'Math', marks: 70 });
+      const math = (await asUser(request(app).get('/subjects'), adminToken)).body.find(s => s.name === 'Math');
+
+      const renamed = await asUser(request(app).patch(`/subjects/${math.id}`), adminToken).send({ name: 'Mathematics' });
+      expect(renamed.status).toBe(200);
+      expect(renamed.body).toMatchObject({ code: 'MATH', name: 'Mathematics' });
+      const marks = await asUser(request(app).get(`/marks/${studentId}`), teacherToken);
+      expect(marks.body.withoutExam.map(m => m.subject)).toEqual(['Mathematics']);
+      expect((await asUser(request(app).get('/routines/assignments'), teacherToken)).body).toEqual([{ section: 'A', subject: 'Mathematics' }]);
+
+      // A mark the rename missed (say the marks write failed) is picked up by the next PATCH
+      const stored = JSON.parse(await fs.readFile(MARKS_FILE, 'utf8'));
+      await fs.writeFile(MARKS_FILE, JSON.stringify(stored.map(m => ({ ...m, subject: 'Math' }))));
+      const retried = await asUser(request(app).patch(`/subjects/${math.id}`), adminToken).send({});
+      expect(retried.body.previousNames).toEqual(['Math']);
+      expect((await asUser(request(app).get(`/marks/${studentId}`), teacherToken)).body.withoutExam.map(m => m.subject)).toEqual(['Mathematics']);
+
+      const grade = async () => (await asUser(request(app).get(`/marks/${studentId}`), teacherToken)).body.withoutExam[0].grade;
+      const before = await grade();
+      await asUser(request(app).patch(`/subjects/${math.id}`), adminToken).send({ maxMarks: 200 });
+      expect(await grade()).not.toBe(before);
+
+      const lower = await asUser(request(app).patch(`/subjects/${math.id}`), adminToken).send({ maxMarks: 50 });
+      expect(lower.body.message).toBe('Some Mathematics marks are above 50');
+      const inUse = await asUser(request(app).delete(`/subjects/${math.id}`), adminToken);
+      expect(inUse.status).toBe(409);
+      const art = await asUser(request(app).post('/subjects'), adminToken).send({ code: 'ART', name: 'Art' });
+      expect((await asUser(request(app).delete(`/subjects/${art.body.id}`), adminToken)).status).toBe(200);
+    });
+  });
+
+  describe('Academic years, terms and exams', () => {
+    const asUser = (req, token) => req.set('Authorization', `Bearer ${token}`);
+
+    const setUpTerm = async (adminToken) => {
+      const year = await asUser(request(app).post('/academics/years'), adminToken)
+        .send({ name: '2025-2026', startDate: '2025-04-01', endDate: '2026-03-31' });
+      const term = await asUser(request(app).post('/academics/terms'), adminToken)
+        .send({ yearId: year.body.id, name: 'Term 1', startDate: '2025-04-01', endDate: '2025-09-30' });
+      return { year: year.body, term: term.body };
+    };
+
+    it('should let Admins build years, terms and exams within each other\'s dates', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const studentToken = await signupUser('student@example.com', 'password123', 'Student', 'A');
+      const { year, term } = await setUpTerm(adminToken);
+      expect(term).toMatchObject({ yearId: year.id, name: 'Term 1' });
+
+      const outside = await asUser(request(app).post('/academics/terms'), adminToken)
+        .send({ yearId: year.id, name: 'Term 2', startDate: '2025-10-01', endDate: '2026-04-30' });
+      expect(outside.status).toBe(400);
+      expect(outside.body.message).toBe('The dates must fall within the academic year (2025-04-01 to 2026-03-31)');
+      const overlapping = await asUser(request(app).post('/academics/terms'), adminToken)
+        .send({ yearId: year.id, name: 'Term 2', startDate: '2025-09-01', endDate: '2026-03-31' });
+      expect(overlapping.body.message).toBe('The dates overlap term Term 1');
+
+      const exam = await asUser(request(app).post('/academics/exams'), adminToken)
+        .send({ termId: term.id, name: 'Midterm', type: 'midterm', maxMarks: 50, weight: 40, date: '2025-07-01' });
+      expect(exam.status).toBe(201);
+      const badType = await asUser(request(app).post('/academics/exams'), adminToken)
+        .send({ termId: term.id, name: 'Viva', type: 'oral', maxMarks: 10, weight: 5 });
+      expect(badType.body.message).toBe('type must be one of: midterm, final, quiz, assignment');
+      expect((await asUser(request(app).post('/academics/years'), studentToken).send({ name: 'x' })).status).toBe(403);
+      expect((await asUser(request(app).get(`/academics/exams?termId=${term.id}`), studentToken)).body.map(e => e.name)).toEqual(['Midterm']);
+
+      const inUse = await asUser(request(app).delete(`/academics/terms/${term.id}`), adminToken);
+      expect(inUse.status).toBe(409);
+      expect(inUse.body.message).toBe('Term Term 1 cannot be deleted because it still has exams');
+    });
+
+    it('should store marks per exam and report weighted term scores next to older marks', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const studentToken = await signupUser('student@example.com', 'password123', 'Student', 'A');
+      const studentId = getUserIdFromToken(studentToken);
+      const { term } = await setUpTerm(adminToken);
+      const addExam = async body => (await asUser(request(app).post('/academics/exams'), adminToken).send({ termId: term.id, ...body })).body;
+      const midterm = await addExam({ name: 'Midterm', type: 'midterm', maxMarks: 50, weight: 40, date: '2025-07-01' });
+      const final = await addExam({ name: 'Final', type: 'final', maxMarks: 100, weight: 60, date: '2025-09-20' });
+      const quiz = await addExam({ name: 'Quiz 1', type: 'quiz', maxMarks: 10, weight: 5, subjects: ['science'] });
+      const postMarks = body => asUser(request(app).post('/marks'), adminToken).send({ userId: studentId, subject: 'Math', ...body });
+
+      await postMarks({ marks: 77 });
+      expect((await postMarks({ examId: midterm.id, marks: 60 })).body.message).toBe('Marks must be a number between 0 and 50');
+      expect((await postMarks({ examId: quiz.id, marks: 5 })).body.message).toBe('Quiz 1 is not held in Math');
+      expect((await postMarks({ examId: 999, marks: 5 })).body.message).toBe('examId must be an existing exam');
+      await postMarks({ examId: midterm.id, marks: 30 });
+      const saved = await postMarks({ examId: midterm.id, marks: 40 });
+      expect(saved.body).toMatchObject({ examId: midterm.id, marks: 40, grade: 'B' });
+      await postMarks({ examId: final.id, marks: 90 });
+      await publishMarks();
+
+      const res = await asUser(request(app).get(`/marks/${studentId}`), studentToken);
+      expect(res.status).toBe(200);
+      expect(res.body.withoutExam.map(m => m.marks)).toEqual([77]);
+      expect(res.body.terms).toHaveLength(1);
+      const [result] = res.body.terms;
+      expect(result).toMatchObject({ name: 'Term 1', year: '2025-2026' });
+      expect(result.exams.map(e => [e.name, e.marks.map(m => m.marks)])).toEqual([['Midterm', [40]], ['Final', [90]]]);
+      expect(result.subjects).toEqual([{ subject: 'Math', score: 86, grade: 'B', gradePoints: 3, remark: 'Very good', weightCounted: 100 }]);
+      expect(result).toMatchObject({ gpa: 3, cgpa: 3 });
+
+      const inUse = await asUser(request(app).delete(`/academics/exams/${midterm.id}`), adminToken);
+      expect(inUse.status).toBe(409);
+    });
+
+    it('should hold exam marks to the exam\'s maxMarks, not the subject\'s', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const studentId = getUserIdFromToken(await signupUser('student@example.com', 'password123', 'Student', 'A'));
+      const { term } = await setUpTerm(adminToken);
+      const exam = await asUser(request(app).post('/academics/exams'), adminToken)
+        .send({ termId: term.id, name: 'Final', type: 'final', maxMarks: 200, weight: 100 });
+      const saved = await asUser(request(app).post('/marks'), adminToken)
+        .send({ userId: studentId, subject: 'Math', examId: exam.body.id, marks: 150 });
+      expect(saved.status).toBe(201);
+
+      const math = (await asUser(request(app).get('/subjects'), adminToken)).body.find(s => s.name === 'Math');
+      const renamed = await asUser(request(app).patch(`/subjects/${math.id}`), adminToken).send({ name: 'Mathematics' });
+      expect(renamed.status).toBe(200);
+      expect((await asUser(request(app).patch(`/subjects/${math.id}`), adminToken).send({ maxMarks: 80 })).status).toBe(200);
+    });
+  });
+
+  describe('School calendar', () => {
+    const asUser = (req, token) => req.set('Authorization', `Bearer ${token}`);
+
+    // A term from April to June 2025 with a Spring break for section A on Monday 14 April
+    const setUpCalendar = async (adminToken) => {
+      const year = await asUser(request(app).post('/calendar/years'), adminToken)
+        .send({ name: '2025-2026', startDate: '2025-04-01', endDate: '2026-03-31' });
+      const term = await asUser(request(app).post('/calendar/terms'), adminToken)
+        .send({ yearId: year.body.id, name: 'Term 1', startDate: '2025-04-01', endDate: '2025-06-30' });
+      const holiday = await asUser(request(app).post('/calendar/holidays'), adminToken)
+        .send({ name: 'Spring break', startDate: '2025-04-14', endDate: '2025-04-14', sections: ['A'] });
+      return { term: term.body, holiday: holiday.body };
+    };
+
+    it('should keep holidays, exam periods and events for the whole school or some sections', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const studentToken = await signupUser('student@example.com', 'password123', 'Student', 'A');
+      const { term, holiday } = await setUpCalendar(adminToken);
+      expect(holiday.sections).toEqual(['A']);
+
+      const period = await asUser(request(app).post('/calendar/exam-periods'), adminToken)
+        .send({ termId: term.id, name: 'Midterm week', startDate: '2025-05-12', endDate: '2025-05-16' });
+      expect(period.status).toBe(201);
+      expect(period.body.sections).toEqual([]);
+      expect((await asUser(request(app).post('/calendar/exam-periods'), adminToken)
+        .send({ termId: term.id, name: 'Late', startDate: '2025-06-30', endDate: '2025-07-04' })).body.message)
+        .toBe('The dates must fall within the term (2025-04-01 to 2025-06-30)');
+      const event = await asUser(request(app).post('/calendar/events'), adminToken).send({
+        name: 'Science fair', startDate: '2025-05-02', endDate: '2025-05-02', startTime: '10:00', endTime: '13:00', sections: ['B'],
+      });
+      expect(event.status).toBe(201);
+      expect((await asUser(request(app).post('/calendar/events'), adminToken)
+        .send({ name: 'Fair', startDate: '2025-05-02', endDate: '2025-05-02', startTime: '10:00' })).body.message)
+        .toBe('startTime and endTime must be HH:MM times with startTime first, or both left out');
+      expect((await asUser(request(app).post('/calendar/holidays'), adminToken)
+        .send({ name: 'Fete', startDate: '2025-05-02', endDate: '2025-05-02', sections: 'A' })).body.message)
+        .toBe('sections must be a list of section names');
+      expect((await asUser(request(app).post('/calendar/events'), studentToken).send({ name: 'x' })).status).toBe(403);
+
+      const studentView = await asUser(request(app).get('/calendar?from=2025-04-01&to=2025-05-31'), studentToken);
+      expect(studentView.body.sections).toEqual(['A']);
+      expect(studentView.body.holidays.map(h => h.name)).toEqual(['Spring break']);
+      expect(studentView.body.examPeriods.map(p => p.name)).toEqual(['Midterm week']);
+      expect(studentView.body.events).toEqual([]);
+      const adminView = await asUser(request(app).get('/calendar'), adminToken);
+      expect(adminView.body.events.map(e => e.name)).toEqual(['Science fair']);
+      expect((await asUser(request(app).get('/calendar?section=B'), adminToken)).body.holidays).toEqual([]);
+      expect((await asUser(request(app).get('/academics/holidays?section=B'), adminToken)).body).toEqual([]);
+
+      const day = async (date, section) => (await asUser(request(app).get(`/calendar/days/${date}${section ? `?section=${section}` : ''}`), studentToken)).body;
+      expect(await day('2025-04-14')).toMatchObject({ section: 'A', schoolDay: false, holiday: { name: 'Spring break' }, term: { id: term.id } });
+      expect(await day('2025-04-14', 'B')).toMatchObject({ schoolDay: true, holiday: null });
+      expect(await day('2025-07-07')).toMatchObject({ schoolDay: false, term: null });
+
+      const inUse = await asUser(request(app).delete(`/calendar/terms/${term.id}`), adminToken);
+      expect(inUse.body.message).toBe('Term Term 1 cannot be deleted because it still has exam periods');
+    });
+
+    it('should refuse attendance on holidays and leave the day out of the section\'s routine', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const studentToken = await signupUser('student@example.com', 'password123', 'Student', 'A');
+      const otherToken = await signupUser('other@example.com', 'password123', 'Student', 'B');
+      const teacherId = getUserIdFromToken(await signupUser('teacher@example.com', 'password123', 'Teacher'));
+      await setUpCalendar(adminToken);
+
+      const record = (token, date) => asUser(request(app).post('/attendance'), adminToken)
+        .send({ userId: getUserIdFromToken(token), date, status: 'present' });
+      const refused = await record(studentToken, '2025-04-14');
+      expect(refused.status).toBe(400);
+      expect(refused.body.message).toBe('2025-04-14 is a holiday (Spring break)');
+      expect((await record(otherToken, '2025-04-14')).status).toBe(201);
+      expect((await record(studentToken, '2025-04-15')).status).toBe(201);
+      const rollCall = await asUser(request(app).post('/attendance/sections/A/2025-04-14'), adminToken)
+        .send({ entries: [{ userId: getUserIdFromToken(studentToken), status: 'present' }] });
+      expect(rollCall.body.message).toBe('2025-04-14 is a holiday (Spring break)');
+
+      for (const section of ['A', 'B']) {
+        await asUser(request(app).post('/routines'), adminToken)
+          .send({ section, day: 'Monday', startTime: section === 'A' ? '09:00' : '10:00', endTime: section === 'A' ? '09:45' : '10:45', subject: 'Math', teacherId });
+      }
+      const lessons = async date => (await asUser(request(app).get(`/routines?date=${date}`), adminToken)).body.map(r => r.section);
+      expect(await lessons('2025-04-07')).toEqual(['A', 'B']);
+      expect(await lessons('2025-04-14')).toEqual(['B']);
+      expect(await lessons('2025-07-07')).toEqual([]);
+    });
+
+    it('should file marks without an exam under the term they are recorded in', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const studentId = getUserIdFromToken(await signupUser('student@example.com', 'password123', 'Student', 'A'));
+      const now = new Date();
+      const shift = days => new Date(now.getTime() + days * 86400000).toISOString().slice(0, 10);
+      const year = await asUser(request(app).post('/calendar/years'), adminToken)
+        .send({ name: 'Current', startDate: shift(-60), endDate: shift(60) });
+      const term = await asUser(request(app).post('/calendar/terms'), adminToken)
+        .send({ yearId: year.body.id, name: 'Current term', startDate: shift(-30), endDate: shift(30) });
+
+      const mark = await asUser(request(app).post('/marks'), adminToken).send({ userId: studentId, subject: 'Math', marks: 80 });
+      expect(mark.body.termId).toBe(term.body.id);
+      const results = (await asUser(request(app).get(`/marks/${studentId}`), adminToken)).body;
+      expect(results.withoutExam).toEqual([]);
+      expect(results.terms.map(t => [t.id, t.withoutExam.map(m => m.marks)])).toEqual([[term.body.id, [80]]]);
+      expect((await asUser(request(app).delete(`/calendar/terms/${term.body.id}`), adminToken)).body.message)
+        .toBe('Term Current term cannot be deleted because marks were recorded in it');
+    });
+  });
+
+  describe('Grading schemes', () => {
+    const asUser = (req, token) => req.set('Authorization', `Bearer ${token}`);
+    const plusMinus = [
+      { min: 85, grade: 'A+', points: 4, remark: 'Outstanding' },
+      { min: 70, grade: 'A', points: 3.7 },
+      { min: 50, grade: 'B', points: 3 },
+      { min: 0, grade: 'C', points: 2 },
+    ];
+
+    it('should grade by the subject\'s scheme and regrade marks when a scheme changes', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const studentId = getUserIdFromToken(await signupUser('student@example.com', 'password123', 'Student', 'A'));
+      const postMarks = (subject, marks) => asUser(request(app).post('/marks'), adminToken).send({ userId: studentId, subject, marks });
+      await postMarks('Science', 88);
+      await postMarks('Math', 88);
+
+      const created = await asUser(request(app).post('/grading-schemes'), adminToken)
+        .send({ name: 'Plus/minus', bands: plusMinus, subjects: ['science'] });
+      expect(created.status).toBe(201);
+      expect(created.body).toMatchObject({ version: 1, subjects: ['Science'], isDefault: false });
+      const grades = async () => Object.fromEntries((await asUser(request(app).get(`/marks/${studentId}`), adminToken)).body.withoutExam
+        .map(m => [m.subject, [m.grade, m.gradePoints, m.gradingSchemeId, m.gradingSchemeVersion]]));
+      expect(await grades()).toEqual({ Science: ['A+', 4, created.body.id, 1], Math: ['B', 3, 1, 1] });
+
+      const updated = await asUser(request(app).patch(`/grading-schemes/${created.body.id}`), adminToken)
+        .send({ bands: [{ ...plusMinus[0], min: 90 }, ...plusMinus.slice(1)] });
+      expect(updated.body.version).toBe(2);
+      expect(updated.body.history.map(h => h.version)).toEqual([1]);
+      expect(await grades()).toEqual({ Science: ['A', 3.7, created.body.id, 2], Math: ['B', 3, 1, 1] });
+
+      await asUser(request(app).delete(`/grading-schemes/${created.body.id}`), adminToken);
+      expect((await grades()).Science).toEqual(['B', 3, 1, 1]);
+
+      // A mark saved while a scheme changes ends up graded by the new version
+      await Promise.all([
+        asUser(request(app).patch('/grading-schemes/1'), adminToken).send({ bands: plusMinus }),
+        postMarks('English', 72),
+      ]);
+      expect((await grades()).English).toEqual(['A', 3.7, 1, 2]);
+    });
+
+    it('should compute GPA and CGPA per term', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const studentToken = await signupUser('student@example.com', 'password123', 'Student', 'A');
+      const studentId = getUserIdFromToken(studentToken);
+      await asUser(request(app).post('/grading-schemes'), adminToken).send({ name: 'Section A', bands: plusMinus, sections: ['A'] });
+      const year = await asUser(request(app).post('/academics/years'), adminToken)
+        .send({ name: '2025', startDate: '2025-01-01', endDate: '2025-12-31' });
+      const results = [['Term 1', '2025-01-01', '2025-06-30', [90, 60]], ['Term 2', '2025-07-01', '2025-12-31', [40, 75]]];
+      for (const [name, startDate, endDate, marks] of results) {
+        const term = await asUser(request(app).post('/academics/terms'), adminToken).send({ yearId: year.body.id, name, startDate, endDate });
+        const exam = await asUser(request(app).post('/academics/exams'), adminToken)
+          .send({ termId: term.body.id, name: 'Final', type: 'final', maxMarks: 100, weight: 100 });
+        for (const [index, subject] of ['Math', 'English'].entries()) {
+          await asUser(request(app).post('/marks'), adminToken).send({ userId: studentId, subject, examId: exam.body.id, marks: marks[index] });
+        }
+      }
+
+      await publishMarks();
+      const res = await asUser(request(app).get(`/marks/${studentId}/gpa`), studentToken);
+      expect(res.status).toBe(200);
+      expect(res.body.terms).toEqual([
+        { id: expect.any(Number), name: 'Term 1', year: '2025', gpa: 3.5, cgpa: 3.5 },
+        { id: expect.any(Number), name: 'Term 2', year: '2025', gpa: 2.85, cgpa: 3.18 },
+      ]);
+    });
+
+    it('should validate schemes and keep a default', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const studentToken = await signupUser('student@example.com', 'password123', 'Student', 'A');
+      const post = body => asUser(request(app).post('/grading-schemes'), adminToken).send(body);
+
+      expect((await post({ name: 'No floor', bands: [{ min: 50, grade: 'P', points: 1 }] })).body.message)
+        .toBe('One band must start at 0 so that every mark gets a grade');
+      await post({ name: 'Maths', bands: plusMinus, subjects: ['Math'] });
+      expect((await post({ name: 'Other', bands: plusMinus, subjects: ['Math'] })).body.message)
+        .toBe('A subject in this list already uses the Maths scheme');
+      expect((await asUser(request(app).delete('/grading-schemes/1'), adminToken)).body.message)
+        .toBe('The default grading scheme cannot be deleted');
+      expect((await asUser(request(app).post('/grading-schemes'), studentToken).send({ name: 'x', bands: plusMinus })).status).toBe(403);
+
+      const newDefault = await post({ name: 'New default', bands: plusMinus, isDefault: true });
+      const schemes = await asUser(request(app).get('/grading-schemes'), studentToken);
+      expect(schemes.body.filter(s => s.isDefault).map(s => s.id)).toEqual([newDefault.body.id]);
+    });
+  });
+
+  describe('Report cards', () => {
+    const asUser = (req, token) => req.set('Authorization', `Bearer ${token}`);
+
+    // Two students of section A with Math and English results in one term
+    const setUpTerm = async (adminToken, studentIds) => {
+      const year = await asUser(request(app).post('/academics/years'), adminToken)
+        .send({ name: '2025-2026', startDate: '2025-04-01', endDate: '2026-03-31' });
+      const term = await asUser(request(app).post('/academics/terms'), adminToken)
+        .send({ yearId: year.body.id, name: 'Term 1', startDate: '2025-04-01', endDate: '2025-09-30' });
+      const exam = await asUser(request(app).post('/academics/exams'), adminToken)
+        .send({ termId: term.body.id, name: 'Final', type: 'final', maxMarks: 100, weight: 100 });
+      const marks = [[92, 70], [80, 60]];
+      for (const [index, userId] of studentIds.entries()) {
+        for (const [subjectIndex, subject] of ['Math', 'English'].entries()) {
+          await asUser(request(app).post('/marks'), adminToken)
+            .send({ userId, subject, examId: exam.body.id, marks: marks[index][subjectIndex] });
+        }
+      }
+      await publishMarks();
+      return term.body;
+    };
+
+    it('should combine results, rank, section averages, attendance and remarks', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const teacherToken = await signupUser('teacher@example.com', 'password123', 'Teacher');
+      const studentToken = await signupUser('student@example.com', 'password123', 'Student', 'A');
+      const otherToken = await signupUser('other@example.com', 'password123', 'Student', 'A');
+      const studentId = getUserIdFromToken(studentToken);
+      const otherId = getUserIdFromToken(otherToken);
+      await assignTeacher(teacherToken, 'A', 'Math');
+      const term = await setUpTerm(adminToken, [otherId, studentId]);
+      for (const [date, status] of [['2025-05-05', 'present'], ['2025-05-06', 'absent'], ['2026-01-05', 'absent']]) {
+        await asUser(request(app).post('/attendance'), adminToken).send({ userId: studentId, date, status });
+      }
+
+      const putRemarks = (token, body) => asUser(request(app).put(`/reports/${studentId}/remarks`), token).send({ termId: term.id, ...body });
+      expect((await putRemarks(teacherToken, { subject: 'math', remarks: 'Keep practising' })).body)
+        .toMatchObject({ userId: studentId, subject: 'Math', remarks: 'Keep practising' });
+      expect((await putRemarks(teacherToken, { subject: 'English', remarks: 'Nice' })).status).toBe(403);
+      await putRemarks(adminToken, { remarks: 'A steady term' });
+      expect((await putRemarks(studentToken, { remarks: 'Great' })).status).toBe(403);
+
+      const card = await asUser(request(app).get(`/reports/${studentId}?term=${term.id}&format=json`), studentToken);
+      expect(card.status).toBe(200);
+      expect(card.body.subjects).toEqual([
+        { subject: 'English', score: 60, grade: 'D', gradePoints: 1, sectionAverage: 65, remarks: null },
+        { subject: 'Math', score: 80, grade: 'B', gradePoints: 3, sectionAverage: 86, remarks: 'Keep practising' },
+      ]);
+      expect(card.body).toMatchObject({ average: 70, gpa: 2, rank: 2, rankedStudents: 2 });
+      expect(card.body.attendance).toMatchObject({ countedDays: 2, rate: 50 });
+      expect(card.body.remarks).toEqual([{ author: 'admin@example.com', remarks: 'A steady term' }]);
+
+      const pdf = await asUser(request(app).get(`/reports/${studentId}?term=${term.id}`), studentToken).responseType('blob');
+      expect(pdf.headers['content-type']).toBe('application/pdf');
+      expect(pdf.body.subarray(0, 5).toString()).toBe('%PDF-');
+      expect((await asUser(request(app).get(`/reports/${studentId}?term=${term.id}`), otherToken)).status).toBe(403);
+      const teacherCard = await asUser(request(app).get(`/reports/${studentId}?term=${term.id}&format=json`), teacherToken);
+      expect(teacherCard.status).toBe(200);
+      const sectionB = getUserIdFromToken(await signupUser('b@example.com', 'password123', 'Student', 'B'));
+      const otherSection = await asUser(request(app).get(`/reports/${sectionB}?term=${term.id}`), teacherToken);
+      expect(otherSection.status).toBe(403);
+      expect(otherSection.body.message).toBe('You do not teach section B');
+      expect((await asUser(request(app).get(`/reports/${studentId}?term=999`), studentToken)).body.message)
+        .toBe('term must be the id of an existing term');
+    });
+
+    it('should zip the report cards of a whole section for Admins', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const studentToken = await signupUser('student@example.com', 'password123', 'Student', 'A');
+      const otherId = getUserIdFromToken(await signupUser('other@example.com', 'password123', 'Student', 'A'));
+      const studentId = getUserIdFromToken(studentToken);
+      const term = await setUpTerm(adminToken, [studentId, otherId]);
+
+      const res = await asUser(request(app).get(`/reports/sections/A?term=${term.id}`), adminToken).responseType('blob');
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('application/zip');
+      const zip = await JSZip.loadAsync(res.body);
+      const names = Object.keys(zip.files).sort();
+      expect(names).toEqual([`report-card-${studentId}-student@example.com.pdf`, `report-card-${otherId}-other@example.com.pdf`]);
+      expect((await zip.file(names[0]).async('nodebuffer')).subarray(0, 5).toString()).toBe('%PDF-');
+
+      expect((await asUser(request(app).get(`/reports/sections/A?term=${term.id}`), studentToken)).status).toBe(403);
+      expect((await asUser(request(app).get(`/reports/sections/Z?term=${term.id}`), adminToken)).status).toBe(404);
+    });
+  });
+
+  describe('Teacher scoping', () => {
+    const asUser = (req, token) => req.set('Authorization', `Bearer ${token}`);
+
+    it('should only let a Teacher write marks for the sections and subjects they teach', async () => {
+      const teacherToken = await signupUser('teacher@example.com', 'password123', 'Teacher');
+      const inSection = getUserIdFromToken(await signupUser('a@example.com', 'password123', 'Student', 'A'));
+      const otherSection = getUserIdFromToken(await signupUser('b@example.com', 'password123', 'Student', 'B'));
+      await assignTeacher(teacherToken, 'A', 'Math');
+      const postMarks = (userId, subject) => asUser(request(app).post('/marks'), teacherToken).send({ userId, subject, marks: 75 });
+
+      expect((await postMarks(inSection, 'Math')).status).toBe(201);
+      const wrongSubject = await postMarks(inSection, 'Science');
+      expect(wrongSubject.status).toBe(403);
+      expect(wrongSubject.body.message).toBe('You do not teach Science in section A');
+      const wrongSection = await postMarks(otherSection, 'Math');
+      expect(wrongSection.status).toBe(403);
+      expect(wrongSection.body.message).toBe('You do not teach section B');
+    });
+
+    it('should only show a Teacher the marks of the subjects they teach', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const teacherToken = await signupUser('teacher@example.com', 'password123', 'Teacher');
+      const studentId = getUserIdFromToken(await signupUser('a@example.com', 'password123', 'Student', 'A'));
+      await assignTeacher(teacherToken, 'A', 'Math');
+      for (const subject of ['Math', 'English']) {
+        await asUser(request(app).post('/marks'), adminToken).send({ userId: studentId, subject, marks: 88 });
+      }
+
+      const res = await asUser(request(app).get(`/marks/${studentId}`), teacherToken);
+      expect(res.status).toBe(200);
+      expect(res.body.withoutExam.map(m => m.subject)).toEqual(['Math']);
+      const unassigned = await signupUser('other@example.com', 'password123', 'Teacher');
+      expect((await asUser(request(app).get(`/marks/${studentId}`), unassigned)).status).toBe(403);
+    });
+
+    it('should only let a Teacher record and read attendance of students in their sections', async () => {
+      const teacherToken = await signupUser('teacher@example.com', 'password123', 'Teacher');
+      const otherTeacherId = getUserIdFromToken(await signupUser('t2@example.com', 'password123', 'Teacher'));
+      const inSection = getUserIdFromToken(await signupUser('a@example.com', 'password123', 'Student', 'A'));
+      const otherSection = getUserIdFromToken(await signupUser('b@example.com', 'password123', 'Student', 'B'));
+      await assignTeacher(teacherToken, 'A', 'English');
+      const postAttendance = (userId) =>
+        asUser(request(app).post('/attendance'), teacherToken).send({ userId, date: '2025-03-03', status: 'present' });
+
+      expect((await postAttendance(inSection)).status).toBe(201);
+      expect((await postAttendance(otherSection)).body.message).toBe('You do not teach section B');
+      const teacher = await postAttendance(otherTeacherId);
+      expect(teacher.status).toBe(403);
+      expect(teacher.body.message).toBe('You can only access Students in the sections you teach');
+      expect((await asUser(request(app).get(`/attendance/${inSection}`), teacherToken)).status).toBe(200);
+    });
+
+    it('should list a teacher\'s sections and subjects from the routines', async () => {
+      const teacherToken = await signupUser('teacher@example.com', 'password123', 'Teacher');
+      await assignTeacher(teacherToken, 'A', 'Math');
+      await assignTeacher(teacherToken, 'A', 'Math');
+      await assignTeacher(teacherToken, 'B', 'Science');
+
+      const res = await asUser(request(app).get('/routines/assignments'), teacherToken);
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual([{ section: 'A', subject: 'Math' }, { section: 'B', subject: 'Science' }]);
+      const other = await asUser(request(app).get(`/routines/assignments?teacherId=${getUserIdFromToken(provisioningToken)}`), teacherToken);
+      expect(other.status).toBe(403);
+    });
+  });
+
+  describe('Concurrent writes', () => {
+    it('should give concurrent signups distinct ids and keep every user', async () => {
+      const responses = await Promise.all(Array.from({ length: 8 }, (_, i) =>
+        request(app)
+          .post('/auth/signup')
+          .send({ email: `student${i}@example.com`, password: 'password123', userType: 'Student', section: 'A' })
+      ));
+      responses.forEach(res => expect(res.status).toBe(201));
+
+      const ids = responses.map(res => getUserIdFromToken(res.body.token));
+      expect(new Set(ids).size).toBe(8);
+      const users = JSON.parse(await fs.readFile(USERS_FILE, 'utf-8'));
+      expect(users.length).toBe(8);
+    });
+
+    it('should reject all but one concurrent signup with the same email', async () => {
+      const responses = await Promise.all(Array.from({ length: 4 }, () =>
+        request(app)
+          .post('/auth/signup')
+          .send({ email: 'same@example.com', password: 'password123', userType: 'Student', section: 'A' })
+      ));
+      expect(responses.filter(res => res.status === 201).length).toBe(1);
+      expect(responses.filter(res => res.status === 400).length).toBe(3);
+    });
+
+    it('should keep every mark posted by concurrent requests', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const teacherToken = await signupUser('teacher@example.com', 'password123', 'Teacher');
+      const studentIds = [];
+      for (let i = 0; i < 4; i++) {
+        studentIds.push(getUserIdFromToken(await signupUser(`student${i}@example.com`, 'password123', 'Student', 'A')));
+      }
+      await assignTeacher(teacherToken, 'A', 'Science');
+
+      const responses = await Promise.all(studentIds.flatMap(userId => [
+        request(app).post('/marks').set('Authorization', `Bearer ${adminToken}`).send({ userId, subject: 'Math', marks: 80 }),
+        request(app).post('/marks').set('Authorization', `Bearer ${teacherToken}`).send({ userId, subject: 'Science', marks: 90 }),
+      ]));
+      responses.forEach(res => expect(res.status).toBe(201));
+
+      const marks = JSON.parse(await fs.readFile(MARKS_FILE, 'utf-8'));
+      expect(marks.length).toBe(8);
+    });
+
+    it('should keep every attendance record posted by concurrent requests', async () => {
+      const adminToken = await signupUser('admin@example.com', 'password123', 'Admin');
+      const studentIds = [];
+      for (let i = 0; i < 5; i++) {
+        studentIds.push(getUserIdFromToken(await signupUser(`student${i}@example.com`, 'password123', 'Student', 'A')));
+      }
+
+      const responses = await Promise.all(studentIds.map(userId =>
+        request(app)
+          .post('/attendance')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ userId, date: '2025-03-03', status: 'present' })
+      ));
+      responses.forEach(res => expect(res.status).toBe(201));
+
+      const attendance = JSON.parse(await fs.readFile(ATTENDANCE_FILE, 'utf-8'));
+      expect(attendance.map(record => record.userId).sort()).toEqual([...studentIds].sort());
+    });
   });
-});
\ No newline at end of file
+});
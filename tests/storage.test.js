@@ -0,0 +1,310 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createJsonRepository } = require('../src/storage/jsonBackend');
+const { openDatabase, createSqliteRepository } = require('../src/storage/sqliteBackend');
+const { getRepository, closeStorage } = require('../src/storage/storage');
+const { nextId } = require('../src/storage/sequences');
+const { repairDuplicateIds } = require('../src/storage/repairIds');
+const { migrateWeeklyAttendance } = require('../src/storage/migrateAttendance');
+const { migrateRoutineTimes } = require('../src/storage/migrateRoutines');
+
+describe('Storage layer', () => {
+  let dataDir;
+  let db;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+  });
+
+  afterEach(async () => {
+    if (db) {
+      db.close();
+      db = null;
+    }
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  const backends = {
+    json: () => createJsonRepository('routines', dataDir),
+    sqlite: () => {
+      db = openDatabase(path.join(dataDir, 'school.db'));
+      return createSqliteRepository('routines', db, dataDir);
+    },
+  };
+
+  describe.each(Object.keys(backends))('%s backend', (backend) => {
+    it('should insert, find, update and remove records in insertion order', async () => {
+      const repo = backends[backend]();
+      await repo.insert({ id: 1, section: 'A' });
+      await repo.insert({ id: 2, section: 'B' });
+      await repo.insert({ id: 3, section: 'A' });
+
+      expect((await repo.all()).map(r => r.id)).toEqual([1, 2, 3]);
+      expect((await repo.find(r => r.section === 'A')).map(r => r.id)).toEqual([1, 3]);
+      expect(await repo.findOne(r => r.id === 2)).toEqual({ id: 2, section: 'B' });
+      expect(await repo.findOne(r => r.id === 9)).toBeNull();
+
+      const updated = await repo.update(r => r.id === 2, { section: 'C' });
+      expect(updated).toEqual([{ id: 2, section: 'C' }]);
+      const replaced = await repo.update(r => r.id === 3, () => ({ id: 3 }));
+      expect(replaced).toEqual([{ id: 3 }]);
+
+      expect(await repo.remove(r => r.id === 1)).toBe(1);
+      expect(await repo.remove(r => r.id === 1)).toBe(0);
+      expect(await repo.all()).toEqual([{ id: 2, section: 'C' }, { id: 3 }]);
+
+      await repo.replaceAll([{ id: 7 }]);
+      expect(await repo.all()).toEqual([{ id: 7 }]);
+    });
+
+    it('should not lose updates made by concurrent read-modify-write cycles', async () => {
+      const repo = backends[backend]();
+      await repo.insert({ id: 1, count: 0 });
+
+      await Promise.all(Array.from({ length: 25 }, (_, i) => Promise.all([
+        repo.mutate(async (records) => {
+          const counter = records.find(r => r.id === 1);
+          // Yield between read and write, as a request handler would
+          await new Promise(resolve => setImmediate(resolve));
+          counter.count += 1;
+        }),
+        repo.insert({ id: i + 2 }),
+      ])));
+
+      const records = await repo.all();
+      expect(records.find(r => r.id === 1).count).toBe(25);
+      expect(records.length).toBe(26);
+    });
+
+    it('should leave the records untouched when a mutation throws', async () => {
+      const repo = backends[backend]();
+      await repo.insert({ id: 1 });
+      await expect(repo.mutate((records) => {
+        records.push({ id: 2 });
+        throw new Error('validation failed');
+      })).rejects.toThrow('validation failed');
+      expect(await repo.all()).toEqual([{ id: 1 }]);
+      await repo.insert({ id: 3 });
+      expect((await repo.all()).map(r => r.id)).toEqual([1, 3]);
+    });
+  });
+
+  it('should keep the JSON file format as a pretty-printed array', async () => {
+    const repo = createJsonRepository('marks', dataDir);
+    await repo.insert({ userId: 2, subject: 'Math', marks: 85 });
+    const data = await fs.readFile(path.join(dataDir, 'marks.json'), 'utf-8');
+    expect(data).toBe(JSON.stringify([{ userId: 2, subject: 'Math', marks: 85 }], null, 2));
+  });
+
+  it('should treat an empty JSON file as an empty collection', async () => {
+    await fs.writeFile(path.join(dataDir, 'documents.json'), '');
+    const repo = createJsonRepository('documents', dataDir);
+    expect(await repo.all()).toEqual([]);
+  });
+
+  it('should commit JSON files atomically without leaving temp files behind', async () => {
+    const repo = createJsonRepository('attendance', dataDir);
+    await Promise.all(Array.from({ length: 10 }, (_, i) => repo.insert({ userId: i })));
+    const files = await fs.readdir(dataDir);
+    expect(files.sort()).toEqual(['attendance.json', 'attendance.json.bak']);
+    expect((await repo.all()).length).toBe(10);
+  });
+
+  it('should not rewrite the file or its backup when a mutation changes nothing', async () => {
+    const repo = createJsonRepository('users', dataDir);
+    await repo.insert({ id: 1 });
+    await repo.insert({ id: 2 });
+    const backupFile = path.join(dataDir, 'users.json.bak');
+    const backup = await fs.readFile(backupFile, 'utf-8');
+    const { mtimeMs } = await fs.stat(path.join(dataDir, 'users.json'));
+
+    expect(await repo.mutate(records => records.length)).toBe(2);
+    expect(await repo.update(r => r.id === 3, { name: 'x' })).toEqual([]);
+    expect(await fs.readFile(backupFile, 'utf-8')).toBe(backup);
+    expect((await fs.stat(path.join(dataDir, 'users.json'))).mtimeMs).toBe(mtimeMs);
+  });
+
+  it('should recover a corrupt JSON file from the last good copy', async () => {
+    const repo = createJsonRepository('users', dataDir);
+    await repo.insert({ id: 1 });
+    await repo.insert({ id: 2 });
+    // Simulate a write that was cut off halfway
+    await fs.writeFile(path.join(dataDir, 'users.json'), '[\n  {\n    "id": 1');
+
+    expect(await repo.all()).toEqual([{ id: 1 }]);
+    const restored = JSON.parse(await fs.readFile(path.join(dataDir, 'users.json'), 'utf-8'));
+    expect(restored).toEqual([{ id: 1 }]);
+    await repo.insert({ id: 3 });
+    expect((await repo.all()).map(r => r.id)).toEqual([1, 3]);
+  });
+
+  it('should restore a missing JSON file from the last good copy', async () => {
+    const repo = createJsonRepository('users', dataDir);
+    await repo.insert({ id: 1 });
+    await repo.insert({ id: 2 });
+    await fs.rm(path.join(dataDir, 'users.json'));
+    expect(await repo.all()).toEqual([{ id: 1 }]);
+  });
+
+  it('should fail loudly when a corrupt JSON file has no good copy', async () => {
+    await fs.writeFile(path.join(dataDir, 'marks.json'), '{ not json');
+    const repo = createJsonRepository('marks', dataDir);
+    await expect(repo.all()).rejects.toThrow('Failed to read marks');
+  });
+
+  it('should import an existing JSON file when the SQLite table is first created', async () => {
+    await fs.writeFile(path.join(dataDir, 'users.json'), JSON.stringify([{ id: 1, email: 'admin@example.com' }]));
+    db = openDatabase(path.join(dataDir, 'school.db'));
+    const repo = createSqliteRepository('users', db, dataDir);
+    expect(await repo.all()).toEqual([{ id: 1, email: 'admin@example.com' }]);
+
+    await repo.insert({ id: 2, email: 'teacher@example.com' });
+    const reopened = createSqliteRepository('users', db, dataDir);
+    expect((await reopened.all()).length).toBe(2);
+  });
+
+  describe('getRepository', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+      closeStorage();
+      process.env = { ...env };
+    });
+
+    it('should use the driver chosen by STORAGE_DRIVER', async () => {
+      process.env.DATA_DIR = dataDir;
+      process.env.STORAGE_DRIVER = 'sqlite';
+      await getRepository('policies').insert({ id: 1 });
+      await expect(fs.access(path.join(dataDir, 'school.db'))).resolves.toBeUndefined();
+      await expect(fs.access(path.join(dataDir, 'policies.json'))).rejects.toThrow();
+      closeStorage();
+
+      process.env.STORAGE_DRIVER = 'json';
+      await getRepository('policies').insert({ id: 2 });
+      const data = JSON.parse(await fs.readFile(path.join(dataDir, 'policies.json'), 'utf-8'));
+      expect(data).toEqual([{ id: 2 }]);
+    });
+
+    it('should reject an unknown driver', () => {
+      process.env.STORAGE_DRIVER = 'mongo';
+      expect(() => getRepository('users')).toThrow('Invalid STORAGE_DRIVER "mongo"');
+    });
+  });
+
+  describe('Id sequences', () => {
+    const env = { ...process.env };
+
+    beforeEach(() => {
+      process.env.DATA_DIR = dataDir;
+      delete process.env.STORAGE_DRIVER;
+    });
+
+    afterEach(() => {
+      closeStorage();
+      process.env = { ...env };
+    });
+
+    it('should hand out increasing ids that survive deletions', async () => {
+      const routines = getRepository('routines');
+      const create = () => routines.mutate(async (records) => {
+        const routine = { id: await nextId('routines', records) };
+        records.push(routine);
+        return routine;
+      });
+
+      const ids = (await Promise.all([create(), create(), create()])).map(r => r.id);
+      expect(ids.sort()).toEqual([1, 2, 3]);
+      await routines.remove(r => r.id === 3);
+      expect((await create()).id).toBe(4);
+
+      const sequences = JSON.parse(await fs.readFile(path.join(dataDir, 'sequences.json'), 'utf-8'));
+      expect(sequences).toEqual([{ collection: 'routines', value: 4 }]);
+    });
+
+    it('should skip past ids already present in the records', async () => {
+      expect(await nextId('policies', [{ id: 1 }, { id: 7 }])).toBe(8);
+    });
+
+    it('should renumber duplicate ids and advance the sequence', async () => {
+      await fs.writeFile(path.join(dataDir, 'routines.json'), JSON.stringify([
+        { id: 1, section: 'A' },
+        { id: 2, section: 'B' },
+        { id: 2, section: 'C' },
+        { id: 1, section: 'D' },
+      ]));
+
+      const changes = await repairDuplicateIds(['routines', 'users']);
+      expect(changes).toEqual([
+        { collection: 'routines', oldId: 2, newId: 3 },
+        { collection: 'routines', oldId: 1, newId: 4 },
+      ]);
+      const routines = await getRepository('routines').all();
+      expect(routines.map(r => [r.id, r.section])).toEqual([[1, 'A'], [2, 'B'], [3, 'C'], [4, 'D']]);
+      expect(await nextId('routines')).toBe(5);
+      expect(await repairDuplicateIds(['routines'])).toEqual([]);
+    });
+  });
+
+  describe('Attendance migration', () => {
+    const env = { ...process.env };
+
+    beforeEach(() => {
+      process.env.DATA_DIR = dataDir;
+      delete process.env.STORAGE_DRIVER;
+    });
+
+    afterEach(() => {
+      closeStorage();
+      process.env = { ...env };
+    });
+
+    it('should turn weekly maps into dated records once', async () => {
+      await fs.writeFile(path.join(dataDir, 'attendance.json'), JSON.stringify([
+        { userId: 4, name: 'a@example.com', userType: 'Student', attendance: { Monday: true, Wednesday: false } },
+        { id: 1, userId: 5, userType: 'Student', date: '2025-01-02', period: null, status: 'late', remarks: '', history: [] },
+      ]));
+
+      const result = await migrateWeeklyAttendance({ weekOf: '2025-03-05' });
+      expect(result).toEqual({ weekOf: '2025-03-03', converted: 1, created: 2 });
+      const records = await getRepository('attendance').all();
+      expect(records.map(r => [r.id, r.userId, r.date, r.status])).toEqual([
+        [1, 5, '2025-01-02', 'late'],
+        [2, 4, '2025-03-03', 'present'],
+        [3, 4, '2025-03-05', 'absent'],
+      ]);
+      expect((await migrateWeeklyAttendance({ weekOf: '2025-03-05' })).converted).toBe(0);
+    });
+  });
+
+  describe('Routine migration', () => {
+    const env = { ...process.env };
+
+    beforeEach(() => {
+      process.env.DATA_DIR = dataDir;
+      delete process.env.STORAGE_DRIVER;
+    });
+
+    afterEach(() => {
+      closeStorage();
+      process.env = { ...env };
+    });
+
+    it('should turn free-text times into start and end times once', async () => {
+      await fs.writeFile(path.join(dataDir, 'routines.json'), JSON.stringify([
+        { id: 1, section: 'A', day: 'monday', time: '9:00', subject: 'Math', teacherId: 2 },
+        { id: 2, section: 'A', day: 'Tuesday', time: '10:15 - 11:00', subject: 'Math', teacherId: 2 },
+        { id: 3, section: 'B', day: 'Someday', time: 'after lunch', subject: 'Math', teacherId: 2 },
+      ]));
+
+      const result = await migrateRoutineTimes({ periodMinutes: 40 });
+      expect(result).toEqual({ converted: 2, skipped: [{ id: 3, day: 'Someday', time: 'after lunch' }] });
+      const routines = await getRepository('routines').all();
+      expect(routines.slice(0, 2).map(r => [r.day, r.startTime, r.endTime, r.time])).toEqual([
+        ['Monday', '09:00', '09:40', undefined],
+        ['Tuesday', '10:15', '11:00', undefined],
+      ]);
+      expect((await migrateRoutineTimes()).converted).toBe(0);
+    });
+  });
+});